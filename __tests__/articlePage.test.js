@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getServerSideProps } from '../pages/[lang]/[title]';
+
+vi.mock('../pages/index', () => ({ default: () => null }));
+vi.mock('../lib/wikiapi', () => ({
+  getPageSummary: vi.fn(async (title) => ({ pageid: 1, title, extract: 'Mathematician and writer.' }))
+}));
+
+// Headers a client can send to try to point cached previews at its own host
+const SPOOFED = { host: 'wikitok.example', 'x-forwarded-host': 'evil.example', 'x-forwarded-proto': 'https' };
+
+async function render(headers = SPOOFED) {
+  const res = { headers: {}, setHeader(name, value) { this.headers[name] = value; } };
+  const { props } = await getServerSideProps({
+    params: { lang: 'en', title: 'Ada_Lovelace' },
+    req: { headers, socket: {} },
+    res
+  });
+  return { meta: props.meta, cacheControl: res.headers['Cache-Control'] };
+}
+
+beforeEach(() => {
+  delete process.env.SITE_URL;
+  delete process.env.TRUST_PROXY;
+});
+
+afterEach(() => {
+  delete process.env.SITE_URL;
+  delete process.env.TRUST_PROXY;
+});
+
+describe('/[lang]/[title] previews', () => {
+  it('builds URLs from SITE_URL and lets shared caches keep them', async () => {
+    process.env.SITE_URL = 'https://wikitok.example/';
+    const { meta, cacheControl } = await render();
+
+    expect(meta.url).toBe('https://wikitok.example/en/Ada_Lovelace');
+    expect(meta.image.startsWith('https://wikitok.example/api/og?')).toBe(true);
+    expect(cacheControl).toMatch(/^public/);
+  });
+
+  it('ignores forwarded headers and skips public caching without SITE_URL', async () => {
+    const { meta, cacheControl } = await render();
+
+    expect(meta.url).toBe('http://wikitok.example/en/Ada_Lovelace');
+    expect(cacheControl).toBeUndefined();
+  });
+
+  it('uses forwarded headers behind a trusted proxy', async () => {
+    process.env.TRUST_PROXY = 'true';
+    const { meta, cacheControl } = await render({ ...SPOOFED, 'x-forwarded-host': 'proxy.example, internal' });
+
+    expect(meta.url).toBe('https://proxy.example/en/Ada_Lovelace');
+    expect(cacheControl).toBeUndefined();
+  });
+});
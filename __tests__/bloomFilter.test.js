@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import BloomFilter from '../lib/bloomFilter';
+
+// The size lib/seenPages.js uses, rated for ~1% false positives at 7,000 items
+const BITS = 65536;
+const HASHES = 7;
+const CAPACITY = 7000;
+
+function filled(count) {
+  const filter = new BloomFilter(BITS, HASHES);
+  for (let i = 0; i < count; i++) filter.add(`en-${i}`);
+  return filter;
+}
+
+describe('BloomFilter', () => {
+  it('has every item that was added', () => {
+    const filter = filled(CAPACITY);
+
+    for (let i = 0; i < CAPACITY; i++) {
+      expect(filter.has(`en-${i}`)).toBe(true);
+    }
+  });
+
+  it('has nothing when empty', () => {
+    const filter = new BloomFilter(BITS, HASHES);
+
+    expect(filter.has('en-1')).toBe(false);
+    expect(filter.has('')).toBe(false);
+  });
+
+  it('tells apart keys that differ only in language', () => {
+    const filter = new BloomFilter(BITS, HASHES);
+    filter.add('en-42');
+
+    expect(filter.has('fr-42')).toBe(false);
+  });
+
+  it('keeps false positives near 1% at capacity', () => {
+    const filter = filled(CAPACITY);
+    const trials = 20000;
+    let falsePositives = 0;
+    for (let i = 0; i < trials; i++) {
+      if (filter.has(`de-${i}`)) falsePositives++;
+    }
+
+    expect(falsePositives / trials).toBeLessThan(0.02);
+  });
+
+  it('rounds the size up to whole bytes', () => {
+    expect(new BloomFilter(10, 3).bits).toHaveLength(2);
+  });
+
+  it('restores a filter from its bits without sharing them', () => {
+    const original = filled(100);
+    const restored = new BloomFilter(BITS, HASHES, original.bits);
+
+    expect(restored.has('en-99')).toBe(true);
+    restored.add('en-extra');
+    expect(original.has('en-extra')).toBe(false);
+  });
+
+  it('rejects bits of another size', () => {
+    expect(() => new BloomFilter(BITS, HASHES, new Uint8Array(16))).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { formatFeaturedDate, mapFeaturedContent, FEATURED_SECTIONS } from '../lib/featured';
+import payload from './fixtures/featured-2025-01-15.json';
+
+describe('formatFeaturedDate', () => {
+  it('pads months and days', () => {
+    expect(formatFeaturedDate(new Date(2025, 0, 5))).toBe('2025/01/05');
+    expect(formatFeaturedDate(new Date(2024, 11, 31))).toBe('2024/12/31');
+  });
+
+  it('uses the local day, not the UTC one', () => {
+    expect(formatFeaturedDate(new Date(2025, 2, 9, 23, 59))).toBe('2025/03/09');
+    expect(formatFeaturedDate(new Date(2025, 2, 10, 0, 1))).toBe('2025/03/10');
+  });
+});
+
+describe('mapFeaturedContent', () => {
+  const cards = mapFeaturedContent(payload, 'en');
+
+  it('turns every section into cards, in display order', () => {
+    const sections = [...new Set(cards.map(card => card.section))];
+    expect(sections).toEqual(['featured', 'picture', 'mostread', 'news', 'onthisday']);
+    expect(sections.every(section => FEATURED_SECTIONS[section])).toBe(true);
+  });
+
+  it('tags every card with the language', () => {
+    expect(mapFeaturedContent(payload, 'de').every(card => card.language === 'de')).toBe(true);
+  });
+
+  it('maps the featured article', () => {
+    expect(cards[0]).toMatchObject({ pageid: 1001, title: 'Hubble_Space_Telescope', section: 'featured' });
+    expect(cards[0].thumbnail.source).toContain('1001.jpg');
+  });
+
+  it('maps the picture of the day without a page ID, crediting the artist as plain text', () => {
+    const picture = cards.find(card => card.section === 'picture');
+    expect(picture.pageid).toBeUndefined();
+    expect(picture.title).toBe('File:Aurora over Tromsø.jpg');
+    expect(picture.extract).toBe('An aurora over Tromsø, Norway');
+    expect(picture.context).toBe('Photo: Jane Example');
+  });
+
+  it('keeps the top of the most-read list and skips articles without images', () => {
+    const mostRead = cards.filter(card => card.section === 'mostread');
+    expect(mostRead).toHaveLength(9);
+    expect(mostRead.map(card => card.pageid)).not.toContain(2002);
+    expect(mostRead.map(card => card.pageid)).not.toContain(2010);
+  });
+
+  it('uses the first linked article with an image for a news story, with the story as context', () => {
+    const news = cards.filter(card => card.section === 'news');
+    expect(news).toHaveLength(1);
+    expect(news[0].pageid).toBe(3002);
+    expect(news[0].context).toBe('An election is held in Examplestan & its territories.');
+  });
+
+  it('gives on-this-day cards the year and event as context', () => {
+    const events = cards.filter(card => card.section === 'onthisday');
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ pageid: 4001, context: '1905: The first Example was founded.' });
+  });
+
+  it('shows a page only in the first section it appears in', () => {
+    const keys = cards.map(card => card.pageid || card.title);
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(cards.filter(card => card.pageid === 1001)).toHaveLength(1);
+  });
+
+  it('handles a missing or partial payload', () => {
+    expect(mapFeaturedContent(null)).toEqual([]);
+    expect(mapFeaturedContent({ tfa: payload.tfa })).toHaveLength(1);
+  });
+});
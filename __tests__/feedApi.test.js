@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { startMockWikipedia, createResponse } from './helpers/mockWikipedia';
+
+// Random summaries cycle through ten pages; every third one has no image
+function summary(pageid, language) {
+  return {
+    pageid,
+    title: `Page ${pageid}`,
+    displaytitle: `Page ${pageid}`,
+    extract: `Extract of page ${pageid} in ${language}`,
+    type: 'standard',
+    thumbnail: pageid % 3 === 0 ? undefined : { source: `https://upload.wikimedia.org/${pageid}/320px-x.jpg`, width: 320, height: 240 }
+  };
+}
+
+let server;
+let counter = 0;
+let failing = false;
+
+beforeAll(async () => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  server = await startMockWikipedia((language, path) => {
+    if (failing || path !== '/page/random/summary') return null;
+    counter++;
+    return summary((counter % 10) + 1, language);
+  });
+  process.env.WIKI_REST_BASE_URL = server.url;
+});
+
+afterAll(async () => {
+  delete process.env.WIKI_REST_BASE_URL;
+  await server.close();
+  vi.restoreAllMocks();
+});
+
+// The buffer is module state, so each test gets a fresh copy of the route
+async function loadRoute() {
+  vi.resetModules();
+  const feedBuffer = await import('../lib/feedBuffer');
+  const { default: handler } = await import('../pages/api/feed');
+  return { handler, feedBuffer };
+}
+
+async function request(handler, query, method = 'GET') {
+  const res = createResponse();
+  await handler({ method, query }, res);
+  return res;
+}
+
+describe('/api/feed', () => {
+  beforeEach(() => {
+    counter = 0;
+    failing = false;
+    server.requests.length = 0;
+  });
+
+  it('returns a batch of cards with images, tagged with the language', async () => {
+    const { handler } = await loadRoute();
+    const res = await request(handler, { lang: 'fr', count: '4' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body.language).toBe('fr');
+    expect(res.body.pages).toHaveLength(4);
+    for (const page of res.body.pages) {
+      expect(page.thumbnail.source).toBeTruthy();
+      expect(page.language).toBe('fr');
+    }
+    expect(server.requests.every(({ language }) => language === 'fr')).toBe(true);
+  });
+
+  it('never repeats a page within a batch or across batches of one cursor', async () => {
+    const { handler } = await loadRoute();
+    const first = await request(handler, { lang: 'en', count: '3' });
+    const second = await request(handler, { lang: 'en', count: '3', cursor: first.body.cursor });
+
+    expect(second.body.cursor).toBe(first.body.cursor);
+    const ids = [...first.body.pages, ...second.body.pages].map(page => page.pageid);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('refills the buffer in parallel rounds instead of one request per card', async () => {
+    const { handler } = await loadRoute();
+    await request(handler, { lang: 'en', count: '5' });
+
+    // One round of ten parallel requests yields more than five renderable cards
+    expect(server.requests.length).toBeLessThanOrEqual(20);
+  });
+
+  it('clamps the batch size', async () => {
+    const { handler } = await loadRoute();
+    const res = await request(handler, { lang: 'en', count: '500' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.pages.length).toBeLessThanOrEqual(20);
+  });
+
+  it('rejects unsupported languages without calling Wikipedia', async () => {
+    const { handler } = await loadRoute();
+
+    const rejected = ['xx', 'en-foo', 'qqq', ''];
+    for (const lang of rejected) {
+      const res = await request(handler, { lang });
+      expect(res.statusCode).toBe(400);
+    }
+    // Earlier tests may still be topping up their buffers in the background
+    expect(server.requests.filter(({ language }) => rejected.includes(language))).toHaveLength(0);
+  });
+
+  it('only allows GET', async () => {
+    const { handler } = await loadRoute();
+    const res = await request(handler, {}, 'POST');
+
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toBe('GET');
+  });
+
+  it('answers 502 when Wikipedia returns nothing usable', async () => {
+    failing = true;
+    const { handler } = await loadRoute();
+    const res = await request(handler, { lang: 'en' });
+
+    expect(res.statusCode).toBe(502);
+  });
+});
+
+describe('toCard', () => {
+  it('drops summaries without an image or page id', async () => {
+    const { feedBuffer } = await loadRoute();
+
+    expect(feedBuffer.toCard({ pageid: 1, title: 'A' }, 'en')).toBeNull();
+    expect(feedBuffer.toCard({ title: 'A', thumbnail: { source: 'x' } }, 'en')).toBeNull();
+    expect(feedBuffer.toCard(summary(1, 'de'), 'de')).toMatchObject({ pageid: 1, language: 'de' });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * In-memory Web Storage with the parts of the Storage API the app uses
+ */
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return [...this.items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Install a minimal `window` with localStorage and sessionStorage stand-ins, for lib modules
+ * that check `typeof window` and dispatch window events. Tests run in Node otherwise.
+ * @returns {Object} { window, events } where events records every dispatched event
+ */
+export function installBrowserStandIn() {
+  const window = new EventTarget();
+  const events = [];
+  const dispatch = window.dispatchEvent.bind(window);
+  window.dispatchEvent = (event) => {
+    events.push(event);
+    return dispatch(event);
+  };
+  window.localStorage = new MemoryStorage();
+  window.sessionStorage = new MemoryStorage();
+
+  globalThis.window = window;
+  globalThis.localStorage = window.localStorage;
+  globalThis.sessionStorage = window.sessionStorage;
+  return { window, events };
+}
+
+/**
+ * Remove the globals set by installBrowserStandIn
+ */
+export function removeBrowserStandIn() {
+  delete globalThis.window;
+  delete globalThis.localStorage;
+  delete globalThis.sessionStorage;
+}
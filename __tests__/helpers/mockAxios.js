@@ -0,0 +1,26 @@
+/**
+ * Route axios.get calls in tests to canned responses
+ * @param {Function} respond - Called with (url, params); returns response data, or throws to fail
+ * the request like a network error
+ * @returns {Function} Implementation for a mocked axios.get
+ */
+export function routeRequests(respond) {
+  return async (url, config = {}) => ({ data: await respond(url, config.params || {}) });
+}
+
+/**
+ * Page entry of an Action API query response
+ * @param {number} pageid - Page ID
+ * @param {string} title - Page title
+ * @param {boolean} [withImage] - Give the page a thumbnail
+ * @returns {Object}
+ */
+export function apiPage(pageid, title, withImage = true) {
+  return {
+    pageid,
+    ns: 0,
+    title,
+    extract: `${title} is an article.`,
+    ...(withImage ? { thumbnail: { source: `https://upload.wikimedia.org/${pageid}/1000px-x.jpg`, width: 1000, height: 750 } } : {})
+  };
+}
@@ -0,0 +1,55 @@
+import http from 'http';
+
+/**
+ * Local stand-in for the Wikipedia REST API. Serves paths like /{language}/page/random/summary
+ * from a handler, so code under test can be pointed at it through WIKI_REST_BASE_URL.
+ * @param {Function} handle - Called with (language, path, url); returns a JSON body or null for 404
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+export async function startMockWikipedia(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const [, language, ...rest] = url.pathname.split('/');
+    const path = `/${rest.join('/')}`;
+    requests.push({ language, path });
+
+    const body = handle(language, path, url);
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { type: 'not_found' }));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Response object for calling a pages/api handler directly
+ * @returns {Object} res with status, setHeader and json, and the recorded statusCode, headers and body
+ */
+export function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+}
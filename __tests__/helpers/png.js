@@ -0,0 +1,72 @@
+import { inflateSync } from 'node:zlib';
+
+// Bytes per pixel of the 8-bit color types: grayscale, RGB, gray + alpha, RGBA
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * Decode an 8-bit, non-interlaced PNG such as the ones /api/og renders
+ * @param {Buffer} buffer - PNG file
+ * @returns {Object} { width, height, pixel(x, y) } where pixel returns [r, g, b]
+ */
+export function decodePng(buffer) {
+  if (buffer.toString('latin1', 1, 4) !== 'PNG') {
+    throw new Error('Not a PNG');
+  }
+
+  let width;
+  let height;
+  let channels;
+  const data = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      if (body[8] !== 8 || body[12] !== 0 || !CHANNELS[body[9]]) {
+        throw new Error('Only 8-bit, non-interlaced PNGs without a palette are supported');
+      }
+      channels = CHANNELS[body[9]];
+    } else if (type === 'IDAT') {
+      data.push(body);
+    }
+    offset += length + 12;
+  }
+
+  // Undo the per-row filters
+  const raw = inflateSync(Buffer.concat(data));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    for (let x = 0; x < stride; x++) {
+      const value = raw[y * (stride + 1) + 1 + x];
+      const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[(y - 1) * stride + x - channels] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      pixels[y * stride + x] = (value + predictor) & 0xff;
+    }
+  }
+
+  return {
+    width,
+    height,
+    pixel(x, y) {
+      const start = y * stride + x * channels;
+      return channels < 3
+        ? [pixels[start], pixels[start], pixels[start]]
+        : [pixels[start], pixels[start + 1], pixels[start + 2]];
+    }
+  };
+}
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  MIN_DWELL_MS,
+  getHistory,
+  recordView,
+  saveSession,
+  getSavedSession
+} from '../lib/history';
+import { installBrowserStandIn, removeBrowserStandIn } from './helpers/browserStandIn';
+
+const NOW = Date.UTC(2025, 0, 15, 12);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function card(pageid, language = 'en') {
+  return { pageid, title: `Page ${pageid}`, language, extract: `About page ${pageid}`, thumbnail: { source: `https://x/${pageid}.jpg` } };
+}
+
+function session(overrides = {}) {
+  return { pages: [card(1), card(2)], index: 0, language: 'en', feedMode: 'random', ...overrides };
+}
+
+beforeEach(() => {
+  installBrowserStandIn();
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  removeBrowserStandIn();
+});
+
+describe('recordView', () => {
+  it('ignores cards skipped faster than the dwell threshold', () => {
+    recordView(card(1), MIN_DWELL_MS - 1);
+
+    expect(getHistory()).toEqual([]);
+  });
+
+  it('records a card shown for the dwell threshold', () => {
+    recordView(card(1, 'fr'), MIN_DWELL_MS);
+
+    expect(getHistory()).toEqual([{
+      id: '1', language: 'fr', title: 'Page 1', thumbnail: 'https://x/1.jpg', viewedAt: NOW, dwellMs: MIN_DWELL_MS, views: 1
+    }]);
+  });
+
+  it('adds up repeat views and moves the page to the top', () => {
+    recordView(card(1), 1000);
+    recordView(card(2), 1000);
+    vi.setSystemTime(NOW + 5000);
+    recordView(card(1), 2500.4);
+
+    const [latest, older] = getHistory();
+    expect(latest).toMatchObject({ id: '1', dwellMs: 3500, views: 2, viewedAt: NOW + 5000 });
+    expect(older.id).toBe('2');
+  });
+
+  it('skips stubs and cards without a page ID', () => {
+    recordView({ ...card(1), evicted: true }, 5000);
+    recordView({ title: 'File:Aurora.jpg', language: 'en' }, 5000);
+
+    expect(getHistory()).toEqual([]);
+  });
+});
+
+describe('saveSession', () => {
+  it('stores cards near the current one whole and stubs the rest', () => {
+    const pages = Array.from({ length: 20 }, (_, position) => card(position + 1));
+    saveSession(session({ pages, index: 10 }));
+
+    const saved = getSavedSession().pages;
+    expect(saved).toHaveLength(20);
+    expect(saved.slice(5, 16).every(page => !page.evicted && page.extract)).toBe(true);
+    expect(saved[4]).toEqual({ pageid: 5, title: 'Page 5', language: 'en', evicted: true });
+    expect(saved[16]).toEqual({ pageid: 17, title: 'Page 17', language: 'en', evicted: true });
+  });
+
+  it('keeps cards without a page ID whole, since they can\'t be refetched', () => {
+    const pictureOfTheDay = { title: 'File:Aurora.jpg', language: 'en', thumbnail: { source: 'https://x/aurora.jpg' } };
+    const pages = [pictureOfTheDay, ...Array.from({ length: 10 }, (_, position) => card(position + 1))];
+    saveSession(session({ pages, index: 10 }));
+
+    expect(getSavedSession().pages[0]).toEqual(pictureOfTheDay);
+  });
+
+  it('stubs offline pack cards, whose image blobs JSON can\'t hold', () => {
+    const packCard = { ...card(2), offlineImage: new Blob(['image'], { type: 'image/jpeg' }) };
+    saveSession(session({ pages: [card(1), packCard, card(3)], index: 1 }));
+
+    const resumed = getSavedSession();
+    expect(resumed.index).toBe(1);
+    expect(resumed.pages[1]).toEqual({ pageid: 2, title: 'Page 2', language: 'en', evicted: true });
+    expect(resumed.pages[0]).toEqual(card(1));
+  });
+
+  it('round-trips the featured date', () => {
+    saveSession(session({ feedMode: 'today', featuredDate: new Date(NOW - DAY_MS) }));
+
+    const saved = getSavedSession();
+    expect(saved.feedMode).toBe('today');
+    expect(saved.featuredDate).toEqual(new Date(NOW - DAY_MS));
+  });
+});
+
+describe('getSavedSession', () => {
+  it('offers a session for a week', () => {
+    saveSession(session());
+    vi.setSystemTime(NOW + 7 * DAY_MS);
+
+    expect(getSavedSession()).not.toBeNull();
+  });
+
+  it('drops a session older than a week', () => {
+    saveSession(session());
+    vi.setSystemTime(NOW + 7 * DAY_MS + 1);
+
+    expect(getSavedSession()).toBeNull();
+  });
+
+  it('keeps the index within the stack', () => {
+    saveSession(session({ index: 1 }));
+    const stored = JSON.parse(localStorage.getItem('wikiTokSession'));
+    localStorage.setItem('wikiTokSession', JSON.stringify({ ...stored, index: 9 }));
+
+    expect(getSavedSession().index).toBe(1);
+  });
+});
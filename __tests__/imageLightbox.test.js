@@ -0,0 +1,47 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { render, screen, cleanup, act } from '@testing-library/react';
+import ImageLightbox from '../components/ImageLightbox';
+
+const images = [
+  { url: 'https://upload.wikimedia.org/a.jpg', width: 800, height: 600, alt: 'First' },
+  { url: 'https://upload.wikimedia.org/b.jpg', width: 800, height: 600, alt: 'Second' }
+];
+
+function open(props = {}) {
+  return render(<ImageLightbox images={images} index={0} onChange={vi.fn()} onClose={vi.fn()} {...props} />);
+}
+
+afterEach(() => {
+  cleanup();
+  document.body.innerHTML = '';
+});
+
+describe('ImageLightbox', () => {
+  it('zooms on the wheel without scrolling or zooming the page behind', () => {
+    const behind = vi.fn();
+    document.body.addEventListener('wheel', behind);
+    open();
+
+    const wheel = new WheelEvent('wheel', { deltaY: -300, bubbles: true, cancelable: true });
+    act(() => {
+      screen.getByRole('dialog').dispatchEvent(wheel);
+    });
+
+    expect(wheel.defaultPrevented).toBe(true);
+    expect(behind).not.toHaveBeenCalled();
+    expect(screen.getByRole('img').style.transform).toContain('scale(2.7');
+  });
+
+  it('moves focus to the close button and back to the opener when closed', () => {
+    const opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+
+    const { unmount } = open();
+    expect(document.activeElement).toBe(screen.getByLabelText('Close image'));
+
+    unmount();
+    expect(document.activeElement).toBe(opener);
+  });
+});
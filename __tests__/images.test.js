@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { thumbnailUrl, getImageSources, standardImage, THUMB_WIDTHS, DATA_SAVER_MAX_WIDTH } from '../lib/images';
+import { getThumbnailImages } from '../lib/wikiapi';
+
+const ORIGINAL = 'https://upload.wikimedia.org/wikipedia/commons/a/ab/Ada_Lovelace.jpg';
+const THUMB = 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/ab/Ada_Lovelace.jpg/1920px-Ada_Lovelace.jpg';
+
+const widthsOf = (srcSet) => srcSet.split(', ').map(entry => Number(entry.split(' ')[1].replace('w', '')));
+
+describe('thumbnailUrl', () => {
+  it('changes the width of a thumbnail', () => {
+    expect(thumbnailUrl(THUMB, 500))
+      .toBe('https://upload.wikimedia.org/wikipedia/commons/thumb/a/ab/Ada_Lovelace.jpg/500px-Ada_Lovelace.jpg');
+  });
+
+  it('builds a thumbnail of an original upload', () => {
+    expect(thumbnailUrl(ORIGINAL, 330))
+      .toBe('https://upload.wikimedia.org/wikipedia/commons/thumb/a/ab/Ada_Lovelace.jpg/330px-Ada_Lovelace.jpg');
+  });
+
+  it('renders vector files as PNG', () => {
+    expect(thumbnailUrl('https://upload.wikimedia.org/wikipedia/commons/1/12/Map.svg', 960))
+      .toBe('https://upload.wikimedia.org/wikipedia/commons/thumb/1/12/Map.svg/960px-Map.svg.png');
+  });
+
+  it('keeps the page prefix of multi-page files', () => {
+    expect(thumbnailUrl('https://upload.wikimedia.org/wikipedia/commons/thumb/c/cd/Book.pdf/page3-800px-Book.pdf.jpg', 250))
+      .toBe('https://upload.wikimedia.org/wikipedia/commons/thumb/c/cd/Book.pdf/page3-250px-Book.pdf.jpg');
+  });
+
+  it('leaves other hosts alone', () => {
+    expect(thumbnailUrl('https://example.com/a/ab/Ada_Lovelace.jpg', 500)).toBeNull();
+    expect(thumbnailUrl('data:image/svg+xml,<svg/>', 500)).toBeNull();
+  });
+});
+
+describe('getImageSources', () => {
+  it('offers every standard width up to the image\'s own', () => {
+    const { src, srcSet, sizes } = getImageSources({ url: THUMB, width: 1920, height: 1280 });
+
+    expect(src).toBe(THUMB);
+    expect(widthsOf(srcSet)).toEqual(THUMB_WIDTHS);
+    expect(sizes).toBe('max(100vw, 150vh)');
+  });
+
+  it('caps the sources at the data saver width', () => {
+    const { src, srcSet } = getImageSources({ url: THUMB, width: 1920, height: 1280 }, true);
+
+    expect(widthsOf(srcSet)).toEqual([250, 330, DATA_SAVER_MAX_WIDTH]);
+    expect(src).toBe(thumbnailUrl(THUMB, DATA_SAVER_MAX_WIDTH));
+  });
+
+  it('never asks for more than the width of an original narrower than the sources', () => {
+    const { src, srcSet } = getImageSources({ url: ORIGINAL, width: 400, height: 600 });
+
+    expect(widthsOf(srcSet)).toEqual([250, 330, 400]);
+    expect(src).toBe(ORIGINAL);
+  });
+
+  it('keeps a narrow original as is in data saver mode', () => {
+    const { src, srcSet } = getImageSources({ url: ORIGINAL, width: 300, height: 300 }, true);
+
+    expect(widthsOf(srcSet)).toEqual([250, 300]);
+    expect(src).toBe(ORIGINAL);
+  });
+
+  it('uses standard widths only, including for the placeholder', () => {
+    const { srcSet, placeholder } = getImageSources({ url: THUMB, width: 1920, height: 1280 });
+
+    expect(widthsOf(srcSet).every(width => THUMB_WIDTHS.includes(width))).toBe(true);
+    expect(placeholder).toBe(thumbnailUrl(THUMB, THUMB_WIDTHS[0]));
+  });
+
+  it('skips the placeholder for images no wider than it', () => {
+    expect(getImageSources({ url: ORIGINAL, width: 200, height: 200 }).placeholder).toBeNull();
+  });
+
+  it('reads the width of a plain thumbnail URL from its name', () => {
+    const { srcSet } = getImageSources(thumbnailUrl(THUMB, 960));
+
+    expect(widthsOf(srcSet)).toEqual([250, 330, 500, 960]);
+  });
+
+  it('shows images Wikimedia can\'t resize as they are', () => {
+    expect(getImageSources('blob:offline-1')).toEqual({ src: 'blob:offline-1', srcSet: null, sizes: null, placeholder: null });
+  });
+});
+
+describe('standardImage', () => {
+  it('scales to the widest standard width below the original', () => {
+    expect(standardImage(ORIGINAL, 3000, 2000)).toEqual({ url: thumbnailUrl(ORIGINAL, 1920), width: 1920, height: 1280 });
+    expect(standardImage(ORIGINAL, 1000, 500)).toEqual({ url: thumbnailUrl(ORIGINAL, 960), width: 960, height: 480 });
+  });
+
+  it('keeps originals narrower than every standard width', () => {
+    expect(standardImage(ORIGINAL, 200, 100)).toEqual({ url: ORIGINAL, width: 200, height: 100 });
+  });
+});
+
+describe('getThumbnailImages', () => {
+  it('uses the original image of the summary at a standard width', () => {
+    const page = {
+      title: 'Ada Lovelace',
+      thumbnail: { source: thumbnailUrl(ORIGINAL, 320), width: 320, height: 400 },
+      originalimage: { source: ORIGINAL, width: 2400, height: 3000 }
+    };
+
+    expect(getThumbnailImages(page)).toEqual([{ url: thumbnailUrl(ORIGINAL, 1920), width: 1920, height: 2400 }]);
+  });
+
+  it('falls back to the thumbnail when there is no original', () => {
+    const thumbnail = { source: thumbnailUrl(ORIGINAL, 320), width: 320, height: 400 };
+
+    expect(getThumbnailImages({ title: 'Ada Lovelace', thumbnail }))
+      .toEqual([{ url: thumbnail.source, width: 320, height: 400 }]);
+  });
+
+  it('draws a placeholder for pages without an image', () => {
+    const [placeholder] = getThumbnailImages({ title: 'Ada Lovelace' });
+
+    expect(placeholder).toMatch(/^data:image\/svg\+xml/);
+  });
+});
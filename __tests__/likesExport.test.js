@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  exportLikes,
+  likesToJson,
+  likesToCsv,
+  likesToMarkdown,
+  likesToBookmarksHtml,
+  parseLikesFile
+} from '../lib/likesExport';
+
+const LIKES = [
+  {
+    id: '736',
+    language: 'en',
+    title: 'Albert Einstein',
+    thumbnail: 'https://upload.wikimedia.org/einstein.jpg',
+    likedAt: Date.UTC(2025, 0, 15, 9, 30)
+  },
+  // Characters every format has to escape
+  {
+    id: '42',
+    language: 'fr',
+    title: 'Rock, "Paper" & <Scissors> [*_`]\nsecond line',
+    thumbnail: null,
+    likedAt: null
+  },
+  // A migrated like whose metadata was never fetched
+  { id: '7', language: 'ja', title: null, thumbnail: null, likedAt: Date.UTC(2024, 5, 1) }
+];
+
+describe('round trips', () => {
+  it('reads back a JSON export', () => {
+    const text = likesToJson(LIKES, new Date(Date.UTC(2025, 0, 16)));
+
+    expect(JSON.parse(text)).toMatchObject({ format: 'wikitok-likes', version: 2, exportedAt: '2025-01-16T00:00:00.000Z' });
+    expect(parseLikesFile(text, 'likes.json')).toEqual(LIKES);
+  });
+
+  it('reads back a CSV export', () => {
+    const text = likesToCsv(LIKES);
+
+    expect(text.split('\r\n')[0]).toBe('id,language,title,thumbnail,likedAt');
+    expect(text).toContain('"Rock, ""Paper"" & <Scissors> [*_`]\nsecond line"');
+    expect(parseLikesFile(text, 'likes.csv')).toEqual(LIKES);
+  });
+
+  it('reads back a CSV export with a byte order mark and reordered columns', () => {
+    const text = '﻿language,title,id\r\nde,Berlin,3354\r\n';
+
+    expect(parseLikesFile(text, 'likes.csv')).toEqual([
+      { id: '3354', language: 'de', title: 'Berlin', thumbnail: null, likedAt: null }
+    ]);
+  });
+
+  it('tells JSON from CSV by content when the file name has no extension', () => {
+    expect(parseLikesFile(likesToJson(LIKES))).toEqual(LIKES);
+    expect(parseLikesFile(likesToCsv(LIKES))).toEqual(LIKES);
+  });
+
+  it('drops duplicates', () => {
+    expect(parseLikesFile(JSON.stringify([LIKES[0], LIKES[0]]))).toEqual([LIKES[0]]);
+  });
+});
+
+describe('reading formats', () => {
+  it('writes a Markdown reading list', () => {
+    expect(likesToMarkdown(LIKES)).toBe([
+      '# WikiTok reading list',
+      '',
+      '- [Albert Einstein](https://en.wikipedia.org/wiki/Albert_Einstein) `en` (liked 2025-01-15)',
+      '- [Rock, "Paper" & <Scissors> \\[\\*\\_\\`\\]\nsecond line](https://fr.wikipedia.org/wiki/Rock%2C_%22Paper%22_%26_%3CScissors%3E_%5B*_%60%5D%0Asecond_line) `fr`',
+      '- [Page 7](https://ja.wikipedia.org/?curid=7) `ja` (liked 2024-06-01)',
+      ''
+    ].join('\n'));
+  });
+
+  it('writes bookmarks browsers can import', () => {
+    const html = likesToBookmarksHtml(LIKES);
+
+    expect(html.startsWith('<!DOCTYPE NETSCAPE-Bookmark-file-1>')).toBe(true);
+    expect(html).toContain('<DT><A HREF="https://en.wikipedia.org/wiki/Albert_Einstein" ADD_DATE="1736933400">Albert Einstein</A>');
+    expect(html).toContain('>Rock, &quot;Paper&quot; &amp; &lt;Scissors&gt; [*_`]\nsecond line</A>');
+    expect(html).toContain('<DT><A HREF="https://ja.wikipedia.org/?curid=7" ADD_DATE="1717200000">Page 7</A>');
+  });
+
+  it('rejects an unknown format', () => {
+    expect(() => exportLikes(LIKES, 'xml')).toThrow('Unknown export format "xml"');
+  });
+});
+
+describe('validation', () => {
+  const json = (likes) => JSON.stringify({ format: 'wikitok-likes', version: 2, likes });
+
+  it.each([
+    ['not JSON', '{', 'likes.json', 'File is not valid JSON'],
+    ['another JSON document', '{"bookmarks": []}', 'likes.json', 'JSON file is not a WikiTok likes export'],
+    ['a newer export', JSON.stringify({ format: 'wikitok-likes', version: 3, likes: [] }), 'likes.json', 'File was exported by a newer version of WikiTok'],
+    ['a record that isn\'t an object', json(['736']), 'likes.json', 'Like 1: expected an object'],
+    ['a bad page ID', json([{ id: '0', language: 'en' }]), 'likes.json', 'Like 1: "0" is not a valid page ID'],
+    ['an unsupported language', json([{ id: '1', language: 'xx' }]), 'likes.json', 'Like 1: unsupported language "xx"'],
+    ['a thumbnail that isn\'t https', json([{ id: '1', language: 'en', thumbnail: 'javascript:alert(1)' }]), 'likes.json', 'Like 1: thumbnail must be an https URL'],
+    ['a bad date', json([{ id: '1', language: 'en', likedAt: 'someday' }]), 'likes.json', 'Like 1: "someday" is not a valid date'],
+    ['an empty CSV', '', 'likes.csv', 'CSV file is empty'],
+    ['a CSV without required columns', 'title\r\nBerlin\r\n', 'likes.csv', 'CSV is missing the id and language column'],
+    ['an unterminated quote', 'id,language,title\r\n1,en,"Berlin\r\n', 'likes.csv', 'CSV has an unterminated quoted field'],
+    ['a bad CSV row', 'id,language\r\n1,en\r\nabc,en\r\n', 'likes.csv', 'Row 3: "abc" is not a valid page ID']
+  ])('rejects %s', (_, text, fileName, message) => {
+    expect(() => parseLikesFile(text, fileName)).toThrow(message);
+  });
+});
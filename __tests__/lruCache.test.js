@@ -0,0 +1,67 @@
+import { describe, it, expect, vi } from 'vitest';
+import LRUCache from '../lib/lruCache';
+
+describe('LRUCache', () => {
+  it('evicts the least recently used entry beyond maxSize', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1).set('b', 2).set('c', 3);
+
+    expect(cache.size).toBe(2);
+    expect(cache.has('a')).toBe(false);
+    expect([...cache.keys()]).toEqual(['b', 'c']);
+  });
+
+  it('counts reads as a use', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1).set('b', 2);
+
+    expect(cache.get('a')).toBe(1);
+    cache.set('c', 3);
+
+    expect(cache.has('a')).toBe(true);
+    expect(cache.has('b')).toBe(false);
+  });
+
+  it('counts overwrites as a use without growing', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1).set('b', 2).set('a', 10).set('c', 3);
+
+    expect(cache.get('a')).toBe(10);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.size).toBe(2);
+  });
+
+  it('calls onEvict for entries pushed out by the limit only', () => {
+    const onEvict = vi.fn();
+    const cache = new LRUCache(1, onEvict);
+    cache.set('a', 1);
+    cache.delete('a');
+    cache.set('b', 2).set('c', 3);
+
+    expect(onEvict).toHaveBeenCalledTimes(1);
+    expect(onEvict).toHaveBeenCalledWith('b', 2);
+  });
+
+  it('returns undefined for missing keys without changing the order', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1).set('b', 2);
+
+    expect(cache.get('missing')).toBeUndefined();
+    cache.set('c', 3);
+    expect(cache.has('a')).toBe(false);
+  });
+
+  it('can be cleared', () => {
+    const cache = new LRUCache(3);
+    cache.set('a', 1).set('b', 2);
+    cache.clear();
+
+    expect(cache.size).toBe(0);
+  });
+
+  it('rejects sizes that aren\'t positive integers', () => {
+    expect(() => new LRUCache(0)).toThrow(RangeError);
+    expect(() => new LRUCache(1.5)).toThrow(RangeError);
+    expect(() => new LRUCache()).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import handler from '../pages/api/og';
+import { decodePng } from './helpers/png';
+
+// Solid #2a7fff, 300×300, served as the article's lead image
+const LEAD_IMAGE = readFileSync(new URL('./fixtures/lead-image.png', import.meta.url));
+const FIXTURE_COLOR = [0x2a, 0x7f, 0xff];
+const DARK = [0x12, 0x12, 0x12];
+const PRIMARY = [0xff, 0x4d, 0x4d];
+
+const SUMMARY = {
+  pageid: 1,
+  title: 'Ada Lovelace',
+  extract: 'Augusta Ada King, Countess of Lovelace, was an English mathematician and writer chiefly known for her work on the Analytical Engine.',
+  originalimage: { source: 'https://upload.wikimedia.org/wikipedia/commons/lead.png', width: 300, height: 300 }
+};
+
+let summary;
+
+function ogRequest(query, method = 'GET') {
+  return new Request(`http://localhost/api/og?${query}`, { method });
+}
+
+async function render(query) {
+  const response = await handler(ogRequest(query));
+  expect(response.status).toBe(200);
+  expect(response.headers.get('content-type')).toBe('image/png');
+  return decodePng(Buffer.from(await response.arrayBuffer()));
+}
+
+// Average color of each block of the image, to 4 bits per channel: coarse enough to ignore font
+// antialiasing, fine enough to catch layout changes
+function colorGrid(png, block) {
+  const rows = [];
+  for (let top = 0; top < png.height; top += block) {
+    const row = [];
+    for (let left = 0; left < png.width; left += block) {
+      const sum = [0, 0, 0];
+      let count = 0;
+      for (let y = top; y < Math.min(top + block, png.height); y += 4) {
+        for (let x = left; x < Math.min(left + block, png.width); x += 4) {
+          png.pixel(x, y).forEach((value, channel) => { sum[channel] += value; });
+          count++;
+        }
+      }
+      row.push(sum.map(value => Math.round(value / count / 17).toString(16)).join(''));
+    }
+    rows.push(row.join(' '));
+  }
+  return rows;
+}
+
+function hasColor(png, color, { left, top, right, bottom }) {
+  for (let y = top; y < bottom; y += 2) {
+    for (let x = left; x < right; x += 2) {
+      if (png.pixel(x, y).every((value, channel) => Math.abs(value - color[channel]) <= 2)) return true;
+    }
+  }
+  return false;
+}
+
+beforeEach(() => {
+  summary = SUMMARY;
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.stubGlobal('fetch', vi.fn(async (url) => {
+    const { hostname, pathname } = new URL(url);
+    if (hostname.endsWith('.wikipedia.org') && pathname.startsWith('/api/rest_v1/page/summary/')) {
+      return summary ? Response.json(summary) : new Response(null, { status: 404 });
+    }
+    if (hostname === 'upload.wikimedia.org') {
+      return new Response(LEAD_IMAGE, { headers: { 'Content-Type': 'image/png' } });
+    }
+    throw new Error(`Unexpected request to ${url}`);
+  }));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('/api/og rendering', () => {
+  it('renders the link preview with the lead image on the left', async () => {
+    const png = await render('lang=fr&title=Ada_Lovelace&format=link');
+
+    expect([png.width, png.height]).toEqual([1200, 630]);
+    expect(png.pixel(260, 315)).toEqual(FIXTURE_COLOR);
+    expect(png.pixel(1150, 20)).toEqual(DARK);
+    expect(hasColor(png, PRIMARY, { left: 520, top: 500, right: 700, bottom: 630 })).toBe(true);
+    expect(fetch).toHaveBeenCalledWith('https://fr.wikipedia.org/api/rest_v1/page/summary/Ada_Lovelace', expect.anything());
+    expect(colorGrid(png, 100)).toMatchSnapshot();
+  });
+
+  it('renders the story with the lead image on top', async () => {
+    const png = await render('lang=en&title=Ada_Lovelace&format=story');
+
+    expect([png.width, png.height]).toEqual([1080, 1920]);
+    expect(png.pixel(540, 300)).toEqual(FIXTURE_COLOR);
+    expect(png.pixel(1060, 1900)).toEqual(DARK);
+    expect(hasColor(png, PRIMARY, { left: 60, top: 1700, right: 300, bottom: 1860 })).toBe(true);
+    expect(colorGrid(png, 120)).toMatchSnapshot();
+  });
+
+  it('renders text only for articles without an image', async () => {
+    summary = { ...SUMMARY, originalimage: undefined };
+    const png = await render('lang=en&title=Ada_Lovelace&format=link');
+
+    expect(png.pixel(260, 315)).toEqual(DARK);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks for a thumbnail when the original is wider than the layout', async () => {
+    summary = {
+      ...SUMMARY,
+      originalimage: { source: 'https://upload.wikimedia.org/wikipedia/commons/huge.png', width: 4000, height: 3000 },
+      thumbnail: { source: 'https://upload.wikimedia.org/wikipedia/commons/thumb/huge.png/320px-huge.png', width: 320, height: 240 }
+    };
+    await render('lang=en&title=Ada_Lovelace&format=link');
+
+    expect(fetch.mock.calls.map(([url]) => String(url))).toContain('https://upload.wikimedia.org/wikipedia/commons/thumb/huge.png/600px-huge.png');
+  });
+});
+
+describe('/api/og errors', () => {
+  it.each([
+    ['lang=xx&title=Ada', 400, 'Invalid language code'],
+    ['lang=en', 400, 'Missing title'],
+    ['lang=en&title=Ada&format=square', 400, 'Invalid format']
+  ])('rejects %s', async (query, status, error) => {
+    const response = await handler(ogRequest(query));
+
+    expect(response.status).toBe(status);
+    expect(await response.json()).toEqual({ error });
+  });
+
+  it('answers 404 for missing articles', async () => {
+    summary = null;
+    const response = await handler(ogRequest('lang=en&title=Nowhere'));
+
+    expect(response.status).toBe(404);
+  });
+
+  it('answers 500 when Wikipedia can\'t be reached', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('fetch failed'));
+    const response = await handler(ogRequest('lang=en&title=Ada'));
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({ error: 'Failed to render share image' });
+  });
+
+  it('only answers GET', async () => {
+    const response = await handler(ogRequest('lang=en&title=Ada', 'POST'));
+
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('GET');
+  });
+});
@@ -0,0 +1,105 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { archivePage, restorePage, clearArchive } from '../lib/pageArchive';
+import useFeed from '../hooks/useFeed';
+
+vi.mock('../lib/seenPages', () => ({
+  filterUnseen: vi.fn(async pages => pages),
+  markSeen: vi.fn()
+}));
+vi.mock('../lib/contentFilter', () => ({
+  filterContent: vi.fn(async pages => pages)
+}));
+vi.mock('../lib/cardPacks', () => ({
+  isOffline: vi.fn(() => false),
+  takePackCards: vi.fn(async () => [])
+}));
+vi.mock('../lib/wikiapi', () => ({
+  getPageSummary: vi.fn(async (title, language) => ({ pageid: Number(title.split(' ')[1]), title, extract: 'Refetched', language }))
+}));
+
+function card(pageid) {
+  return { pageid, title: `Page ${pageid}`, extract: `Extract ${pageid}`, thumbnail: { source: 'x' }, language: 'en' };
+}
+
+beforeEach(() => {
+  sessionStorage.clear();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('page archive', () => {
+  it('swaps a card for a stub and restores it once', () => {
+    const stub = archivePage(card(1), 'en-1');
+
+    expect(stub).toEqual({ pageid: 1, title: 'Page 1', language: 'en', evicted: true });
+    expect(restorePage('en-1')).toEqual(card(1));
+    expect(restorePage('en-1')).toBeNull();
+  });
+
+  it('keeps the card in memory when storage is full', () => {
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementationOnce(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    expect(archivePage(card(1), 'en-1')).toBeNull();
+  });
+
+  it('keeps offline pack cards in memory, since their image blobs can\'t be archived', () => {
+    const packCard = { ...card(1), offlineImage: new Blob(['image']) };
+
+    expect(archivePage(packCard, 'en-1')).toBeNull();
+    expect(sessionStorage.length).toBe(0);
+  });
+
+  it('clears only archived cards', () => {
+    sessionStorage.setItem('unrelated', 'kept');
+    archivePage(card(1), 'en-1');
+    clearArchive();
+
+    expect(restorePage('en-1')).toBeNull();
+    expect(sessionStorage.getItem('unrelated')).toBe('kept');
+  });
+});
+
+describe('useFeed windowing', () => {
+  const source = {
+    id: 'long',
+    fetchBatch: async ({ cursor }) => {
+      const start = cursor || 0;
+      return { pages: Array.from({ length: 10 }, (_, index) => card(start + index + 1)), cursor: start + 10 };
+    }
+  };
+
+  async function scrollTo(result, index) {
+    while (result.current.currentIndex < index) {
+      await waitFor(() => expect(result.current.pages.length).toBeGreaterThan(result.current.currentIndex + 1));
+      act(() => result.current.next());
+    }
+  }
+
+  it('evicts cards far behind the current one and restores them on the way back', async () => {
+    const { result } = renderHook(() => useFeed({ source, language: 'en' }));
+    await scrollTo(result, 25);
+
+    expect(result.current.pages[0]).toEqual({ pageid: 1, title: 'Page 1', language: 'en', evicted: true });
+    expect(result.current.pages[20].evicted).toBeUndefined();
+
+    while (result.current.currentIndex > 3) {
+      act(() => result.current.previous());
+    }
+    expect(result.current.pages[0]).toEqual(card(1));
+  });
+
+  it('refetches evicted cards whose archive entry is gone', async () => {
+    const { result } = renderHook(() => useFeed({ source, language: 'en' }));
+    await scrollTo(result, 25);
+    sessionStorage.clear();
+
+    while (result.current.currentIndex > 3) {
+      act(() => result.current.previous());
+    }
+
+    await waitFor(() => expect(result.current.pages[0]).toMatchObject({ pageid: 1, extract: 'Refetched' }));
+  });
+});
@@ -0,0 +1,47 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { parseArticle } from '../lib/reader';
+
+function links(html, language = 'en') {
+  const template = document.createElement('template');
+  template.innerHTML = parseArticle(html, language).html;
+  return Array.from(template.content.querySelectorAll('a'));
+}
+
+describe('parseArticle links', () => {
+  it('marks article links so the reader can open them as cards', () => {
+    const [link] = links('<p><a rel="mw:WikiLink" href="./Ada_Lovelace#Early_life">Ada</a></p>', 'fr');
+
+    expect(link.getAttribute('data-wiki-title')).toBe('Ada Lovelace');
+    expect(link.getAttribute('href')).toBe('https://fr.wikipedia.org/wiki/Ada_Lovelace');
+  });
+
+  it('leaves red links to Wikipedia, without their edit query', () => {
+    const [link] = links('<a rel="mw:WikiLink" class="new" href="./Missing_page?action=edit&amp;redlink=1">Missing</a>');
+
+    expect(link.hasAttribute('data-wiki-title')).toBe(false);
+    expect(link.getAttribute('href')).toBe('https://en.wikipedia.org/wiki/Missing_page');
+    expect(link.getAttribute('target')).toBe('_blank');
+  });
+
+  it('strips queries from article links', () => {
+    const [link] = links('<a rel="mw:WikiLink" href="./Paris?oldid=123">Paris</a>');
+
+    expect(link.getAttribute('data-wiki-title')).toBe('Paris');
+  });
+
+  it('doesn\'t throw on malformed percent-encoding', () => {
+    const [link] = links('<a rel="mw:WikiLink" href="./100%_Wool">Wool</a><a rel="mw:WikiLink" href="./Caf%C3%A9">Café</a>');
+
+    expect(link.hasAttribute('data-wiki-title')).toBe(false);
+    expect(link.getAttribute('href')).toBe('https://en.wikipedia.org/wiki/100%_Wool');
+    expect(links('<a rel="mw:WikiLink" href="./Caf%C3%A9">Café</a>')[0].getAttribute('data-wiki-title')).toBe('Café');
+  });
+
+  it('sends links into other namespaces to Wikipedia', () => {
+    const [link] = links('<a rel="mw:WikiLink" href="./Category:Mathematicians">Mathematicians</a>');
+
+    expect(link.hasAttribute('data-wiki-title')).toBe(false);
+    expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+  });
+});
@@ -0,0 +1,251 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  LONG_DWELL_MS,
+  seededRandom,
+  collectSeeds,
+  buildProfile,
+  scoreCandidate,
+  explainRecommendation,
+  rankCandidates,
+  blendBatch,
+  getRecommendations
+} from '../lib/recommender';
+import { fetchFeedBatch, getRelatedPages, searchCards, getPageTopics } from '../lib/wikiapi';
+import { getAllLikes } from '../lib/storage';
+import { getHistory } from '../lib/history';
+
+vi.mock('../lib/wikiapi', () => ({
+  fetchFeedBatch: vi.fn(),
+  getRelatedPages: vi.fn(),
+  searchCards: vi.fn(),
+  getPageTopics: vi.fn()
+}));
+vi.mock('../lib/storage', () => ({ getAllLikes: vi.fn(() => []) }));
+vi.mock('../lib/history', () => ({ getHistory: vi.fn(() => []) }));
+
+const card = (pageid, title = `Page ${pageid}`) => ({ pageid, title, language: 'en' });
+
+// Seeds and topics of a reader who likes astronomy and read about Mozart
+const SEEDS = [
+  { title: 'Hubble Space Telescope', kind: 'like', weight: 3 },
+  { title: 'Wolfgang Amadeus Mozart', kind: 'view', weight: 2 }
+];
+const TOPICS = {
+  'Hubble Space Telescope': { categories: ['Space telescopes', 'NASA'], links: ['James Webb Space Telescope', 'Edwin Hubble'] },
+  'Wolfgang Amadeus Mozart': { categories: ['Classical composers'], links: ['Salzburg', 'Edwin Hubble'] }
+};
+
+describe('seededRandom', () => {
+  it('gives the same number for the same string', () => {
+    expect(seededRandom('en:3:42')).toBe(seededRandom('en:3:42'));
+    expect(seededRandom('en:3:42')).not.toBe(seededRandom('en:3:43'));
+  });
+
+  it('stays in [0, 1)', () => {
+    for (let i = 0; i < 200; i++) {
+      const value = seededRandom(`seed:${i}`);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+});
+
+describe('collectSeeds', () => {
+  it('weights likes above long reads and ignores other languages, untitled likes and short reads', () => {
+    const likes = [
+      { id: '1', language: 'en', title: 'Hubble Space Telescope' },
+      { id: '2', language: 'de', title: 'Berlin' },
+      { id: '3', language: 'en', title: null }
+    ];
+    const history = [
+      { title: 'Wolfgang Amadeus Mozart', language: 'en', dwellMs: 2 * LONG_DWELL_MS },
+      { title: 'Quick glance', language: 'en', dwellMs: LONG_DWELL_MS - 1 }
+    ];
+
+    expect(collectSeeds(likes, history, 'en')).toEqual([
+      { title: 'Hubble Space Telescope', kind: 'like', weight: 3 },
+      { title: 'Wolfgang Amadeus Mozart', kind: 'view', weight: 2 }
+    ]);
+  });
+
+  it('adds long reads of liked pages to the like and caps the weight of a read', () => {
+    const likes = [{ id: '1', language: 'en', title: 'Hubble Space Telescope' }];
+    const history = [
+      { title: 'Hubble Space Telescope', language: 'en', dwellMs: LONG_DWELL_MS },
+      { title: 'Salzburg', language: 'en', dwellMs: 10 * LONG_DWELL_MS }
+    ];
+
+    expect(collectSeeds(likes, history, 'en')).toEqual([
+      { title: 'Hubble Space Telescope', kind: 'like', weight: 4 },
+      { title: 'Salzburg', kind: 'view', weight: 3 }
+    ]);
+  });
+
+  it('keeps the 20 strongest, breaking ties by title', () => {
+    const likes = Array.from({ length: 25 }, (_, index) => ({ id: String(index), language: 'en', title: `Title ${String(index).padStart(2, '0')}` }));
+
+    const seeds = collectSeeds(likes, [], 'en');
+    expect(seeds).toHaveLength(20);
+    expect(seeds[0].title).toBe('Title 00');
+    expect(seeds[19].title).toBe('Title 19');
+  });
+});
+
+describe('scoring', () => {
+  const profile = buildProfile(SEEDS, TOPICS);
+
+  it('sums term weights and remembers the strongest seed', () => {
+    expect(profile.categories.NASA).toEqual({ weight: 3, seed: SEEDS[0] });
+    expect(profile.links['Edwin Hubble']).toEqual({ weight: 5, seed: SEEDS[0] });
+    expect(profile.links.Salzburg).toEqual({ weight: 2, seed: SEEDS[1] });
+  });
+
+  it('scores shared categories, links from seeds and links to seeds', () => {
+    const topic = { categories: ['Space telescopes', 'Infrared telescopes'], links: ['Hubble Space Telescope'] };
+
+    // Category 1 * 3, linked from Hubble 2 * 3, links to Hubble 1.5 * 3
+    expect(scoreCandidate(card(1, 'James Webb Space Telescope'), topic, profile)).toEqual({ score: 13.5, seed: SEEDS[0] });
+  });
+
+  it('credits the seed that contributed most', () => {
+    const topic = { categories: ['NASA'], links: ['Wolfgang Amadeus Mozart'] };
+
+    // Hubble: category 3, Mozart: link to seed 3 plus linked from seed 4
+    expect(scoreCandidate(card(1, 'Salzburg'), topic, profile)).toEqual({ score: 10, seed: SEEDS[1] });
+  });
+
+  it('scores unrelated pages and pages without topics zero', () => {
+    expect(scoreCandidate(card(1, 'Cheese'), { categories: ['Dairy'], links: [] }, profile)).toEqual({ score: 0, seed: null });
+    expect(scoreCandidate(card(1, 'Cheese'), undefined, profile)).toEqual({ score: 0, seed: null });
+  });
+
+  it('explains each kind of recommendation', () => {
+    expect(explainRecommendation(SEEDS[0])).toEqual({ kind: 'like', text: 'Because you liked “Hubble Space Telescope”' });
+    expect(explainRecommendation(SEEDS[1])).toEqual({ kind: 'view', text: 'Because you spent time reading “Wolfgang Amadeus Mozart”' });
+    expect(explainRecommendation(null)).toEqual({ kind: 'explore', text: 'Something new, to keep your feed varied' });
+  });
+});
+
+describe('rankCandidates', () => {
+  const profile = buildProfile(SEEDS, TOPICS);
+  const candidates = [
+    card(1, 'Cheese'),
+    card(2, 'Salzburg'),
+    card(3, 'James Webb Space Telescope'),
+    { ...card(4, 'Requiem'), via: SEEDS[1] },
+    card(5, 'Bread')
+  ];
+  const topics = {
+    'James Webb Space Telescope': { categories: ['Space telescopes'], links: ['Hubble Space Telescope'] }
+  };
+
+  it('puts matches first and unmatched cards in page ID order', () => {
+    const ranked = rankCandidates(candidates, topics, profile, 'en:0');
+
+    expect(ranked.map(page => page.pageid)).toEqual([3, 2, 1, 4, 5]);
+  });
+
+  it('gives the same order for the same seed string', () => {
+    expect(rankCandidates(candidates, topics, profile, 'en:7')).toEqual(rankCandidates(candidates, topics, profile, 'en:7'));
+  });
+
+  it('explains search results by the seed they were found through', () => {
+    const ranked = rankCandidates(candidates, topics, profile, 'en:0');
+
+    expect(ranked.find(page => page.pageid === 4)).toEqual({ ...card(4, 'Requiem'), reason: explainRecommendation(SEEDS[1]) });
+    expect(ranked.find(page => page.pageid === 1).reason.kind).toBe('explore');
+  });
+
+  it('only lets the jitter reorder close matches', () => {
+    const close = [card(10, 'A'), card(11, 'B')];
+    const closeTopics = { A: { categories: ['NASA'], links: [] }, B: { categories: ['NASA'], links: [] } };
+    const orders = new Set(Array.from({ length: 20 }, (_, round) =>
+      rankCandidates(close, closeTopics, profile, `en:${round}`).map(page => page.pageid).join()));
+
+    expect(orders).toEqual(new Set(['10,11', '11,10']));
+  });
+});
+
+describe('blendBatch', () => {
+  const ranked = [1, 2, 3, 4, 5].map(id => ({ ...card(id), reason: explainRecommendation(SEEDS[0]) }));
+  const explore = [101, 102, 103].map(id => card(id));
+
+  it('mixes in the exploration share at seeded positions', () => {
+    const batch = blendBatch(ranked, explore, { count: 5, exploration: 0.4, seed: 'en:0' });
+
+    expect(batch).toHaveLength(5);
+    expect(batch.filter(page => page.reason.kind === 'explore').map(page => page.pageid)).toEqual(
+      expect.arrayContaining([101, 102])
+    );
+    expect(batch.filter(page => page.reason.kind === 'like').map(page => page.pageid)).toEqual([1, 2, 3]);
+    expect(blendBatch(ranked, explore, { count: 5, exploration: 0.4, seed: 'en:0' })).toEqual(batch);
+  });
+
+  it('fills up with exploration cards when recommendations run out', () => {
+    const batch = blendBatch(ranked.slice(0, 1), explore, { count: 4, exploration: 0, seed: 'en:0' });
+
+    expect(batch.map(page => page.pageid).sort()).toEqual([1, 101, 102, 103]);
+  });
+
+  it('serves only recommendations without exploration', () => {
+    expect(blendBatch(ranked, explore, { count: 5, exploration: 0, seed: 'en:0' }).map(page => page.pageid)).toEqual([1, 2, 3, 4, 5]);
+  });
+});
+
+describe('getRecommendations', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getPageTopics.mockImplementation(async titles =>
+      Object.fromEntries(titles.filter(title => TOPICS[title]).map(title => [title, TOPICS[title]])));
+    fetchFeedBatch.mockResolvedValue({ pages: [card(101), card(102)], cursor: 'next' });
+    getRelatedPages.mockImplementation(async (title) => (title === 'Hubble Space Telescope'
+      ? [card(3, 'James Webb Space Telescope'), card(1, 'Hubble Space Telescope')]
+      : [card(2, 'Salzburg')]));
+    searchCards.mockImplementation(async (query) => (query === 'morelike:Wolfgang Amadeus Mozart'
+      ? [card(4, 'Requiem'), card(3, 'James Webb Space Telescope')]
+      : []));
+  });
+
+  it('serves exploration only while there is nothing to personalize', async () => {
+    const result = await getRecommendations({ language: 'fr', count: 2, round: 0, excludeIds: [], exploration: 0.2 });
+
+    expect(getRelatedPages).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      pages: expect.arrayContaining([expect.objectContaining({ pageid: 101 }), expect.objectContaining({ pageid: 102 })]),
+      randomCursor: 'next'
+    });
+    expect(result.pages.every(page => page.reason.kind === 'explore')).toBe(true);
+  });
+
+  it('recommends pages related to the seeds, without the seeds, excluded pages or duplicates', async () => {
+    getAllLikes.mockReturnValue([{ id: '1', language: 'en', title: 'Hubble Space Telescope' }]);
+    getHistory.mockReturnValue([{ title: 'Wolfgang Amadeus Mozart', language: 'en', dwellMs: 2 * LONG_DWELL_MS }]);
+
+    const result = await getRecommendations({ language: 'en', count: 3, round: 0, excludeIds: [2], exploration: 0 });
+
+    expect(getRelatedPages).toHaveBeenCalledWith('Hubble Space Telescope', 3, 'en', [2]);
+    expect(getRelatedPages).toHaveBeenCalledWith('Wolfgang Amadeus Mozart', 3, 'en', [2]);
+    const personal = result.pages.filter(page => page.reason.kind !== 'explore');
+    expect(personal.map(page => [page.pageid, page.reason.kind])).toEqual([[3, 'like'], [4, 'view']]);
+    // Two recommendations don't fill a batch of three
+    expect(result.pages).toHaveLength(3);
+  });
+
+  it('gives the same batch for the same round', async () => {
+    getAllLikes.mockReturnValue([{ id: '1', language: 'en', title: 'Hubble Space Telescope' }]);
+    const options = { language: 'en', count: 4, round: 3, excludeIds: [], exploration: 0.5 };
+
+    expect(await getRecommendations(options)).toEqual(await getRecommendations(options));
+  });
+
+  it('keeps recommending when the exploration feed fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    getAllLikes.mockReturnValue([{ id: '1', language: 'en', title: 'Hubble Space Telescope' }]);
+    fetchFeedBatch.mockRejectedValue(new Error('Network Error'));
+
+    const result = await getRecommendations({ language: 'en', count: 3, round: 0, excludeIds: [], exploration: 0.5, randomCursor: 'kept' });
+
+    expect(result.randomCursor).toBe('kept');
+    expect(result.pages.map(page => page.pageid)).toContain(3);
+  });
+});
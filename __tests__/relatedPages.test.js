@@ -0,0 +1,166 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import axios from 'axios';
+import { getRelatedPages } from '../lib/wikiapi';
+import { topicSource } from '../lib/feedSources';
+import { routeRequests, apiPage } from './helpers/mockAxios';
+
+vi.mock('axios');
+
+const SOURCE = {
+  title: 'Ada Lovelace',
+  categories: [{ ns: 14, title: 'Category:English mathematicians' }],
+  links: [{ ns: 0, title: 'Charles Babbage' }, { ns: 0, title: 'Analytical Engine' }, { ns: 0, title: 'Ada Lovelace' }]
+};
+const MEMBERS = [
+  { pageid: 10, ns: 0, title: 'Mary Somerville' },
+  { pageid: 11, ns: 0, title: 'Augustus De Morgan' }
+];
+const DETAILS = {
+  'Charles Babbage': apiPage(1, 'Charles Babbage'),
+  'Analytical Engine': apiPage(2, 'Analytical Engine'),
+  'Mary Somerville': apiPage(10, 'Mary Somerville'),
+  'Augustus De Morgan': apiPage(11, 'Augustus De Morgan', false)
+};
+const RANDOM_PAGES = [
+  { pageid: 100, title: 'Random one', thumbnail: { source: 'x' }, language: 'en' },
+  { pageid: 101, title: 'Random two', thumbnail: { source: 'y' }, language: 'en' }
+];
+
+// Answers the Action API like a wiki with the pages above, and /api/feed with random pages
+function wiki({ source = SOURCE, members = MEMBERS } = {}) {
+  return routeRequests((url, params) => {
+    if (url === '/api/feed') {
+      return { pages: RANDOM_PAGES.slice(0, params.count), cursor: 'c1' };
+    }
+    if (params.prop === 'categories|links') {
+      return { query: { pages: { 1: { pageid: 1, ...source } } } };
+    }
+    if (params.list === 'categorymembers') {
+      return { query: { categorymembers: members } };
+    }
+    if (params.prop === 'extracts|pageimages') {
+      expect(params.titles.split('|').length).toBeLessThanOrEqual(20);
+      const pages = params.titles.split('|').filter(title => DETAILS[title]).map(title => DETAILS[title]);
+      return { query: { pages: Object.fromEntries(pages.map(page => [page.pageid, page])) } };
+    }
+    throw new Error(`Unexpected request ${url} ${JSON.stringify(params)}`);
+  });
+}
+
+function requestsTo(predicate) {
+  return axios.get.mock.calls.filter(([url, config]) => predicate(url, (config && config.params) || {}));
+}
+
+beforeEach(() => {
+  vi.mocked(axios.get).mockReset();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('getRelatedPages', () => {
+  it('returns pages with images from the article\'s category and links', async () => {
+    vi.mocked(axios.get).mockImplementation(wiki());
+
+    const pages = await getRelatedPages('Ada Lovelace', 3, 'fr');
+
+    expect(pages.map(page => page.title).sort()).toEqual(['Analytical Engine', 'Charles Babbage', 'Mary Somerville']);
+    expect(pages.every(page => page.language === 'fr' && page.thumbnail)).toBe(true);
+    // Every request goes to the feed language's wiki
+    expect(requestsTo(url => url !== 'https://fr.wikipedia.org/w/api.php')).toHaveLength(0);
+  });
+
+  it('never suggests the article itself', async () => {
+    vi.mocked(axios.get).mockImplementation(wiki());
+    await getRelatedPages('Ada Lovelace', 3, 'en');
+
+    const [[, { params }]] = requestsTo((url, params) => params.prop === 'extracts|pageimages');
+    expect(params.titles.split('|')).not.toContain('Ada Lovelace');
+  });
+
+  it('leaves out excluded page IDs', async () => {
+    vi.mocked(axios.get).mockImplementation(wiki());
+
+    const pages = await getRelatedPages('Ada Lovelace', 2, 'en', [1, '10']);
+
+    expect(pages.map(page => page.pageid)).not.toContain(1);
+    expect(pages.map(page => page.pageid)).not.toContain(10);
+  });
+
+  it('tops up with random pages when too few related pages have images', async () => {
+    vi.mocked(axios.get).mockImplementation(wiki());
+
+    const pages = await getRelatedPages('Ada Lovelace', 5, 'en');
+
+    expect(pages).toHaveLength(5);
+    expect(pages.slice(3).map(page => page.pageid)).toEqual([100, 101]);
+    const [[, { params }]] = requestsTo(url => url === '/api/feed');
+    expect(params).toMatchObject({ lang: 'en', count: 2 });
+  });
+
+  it('falls back to random pages in the right language when the article has no categories or links', async () => {
+    vi.mocked(axios.get).mockImplementation(wiki({ source: { title: 'Stub' } }));
+
+    const pages = await getRelatedPages('Stub', 2, 'de');
+
+    expect(pages.map(page => page.pageid)).toEqual([100, 101]);
+    const [[, { params }]] = requestsTo(url => url === '/api/feed');
+    expect(params).toMatchObject({ lang: 'de', count: 2 });
+  });
+
+  it('leaves excluded page IDs out of the random pages too', async () => {
+    vi.mocked(axios.get).mockImplementation(wiki({ source: { title: 'Stub' } }));
+
+    const pages = await getRelatedPages('Stub', 2, 'en', [100]);
+
+    expect(pages.map(page => page.pageid)).toEqual([101]);
+  });
+
+  it('doesn\'t repeat related pages among the random ones', async () => {
+    const related = { ...DETAILS, 'Charles Babbage': apiPage(100, 'Charles Babbage') };
+    vi.mocked(axios.get).mockImplementation(routeRequests((url, params) => {
+      if (params.prop === 'extracts|pageimages') {
+        const pages = params.titles.split('|').filter(title => related[title]).map(title => related[title]);
+        return { query: { pages: Object.fromEntries(pages.map(page => [page.pageid, page])) } };
+      }
+      return wiki()(url, { params }).then(response => response.data);
+    }));
+
+    const pages = await getRelatedPages('Ada Lovelace', 5, 'en');
+    const ids = pages.map(page => page.pageid);
+
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('falls back to random pages when the API fails', async () => {
+    vi.mocked(axios.get).mockImplementation(routeRequests((url, params) => {
+      if (url === '/api/feed') return { pages: RANDOM_PAGES.slice(0, params.count) };
+      throw new Error('Network Error');
+    }));
+
+    const pages = await getRelatedPages('Ada Lovelace', 2, 'en');
+
+    expect(pages.map(page => page.pageid)).toEqual([100, 101]);
+  });
+});
+
+describe('topicSource', () => {
+  it('follows the last page of each batch and skips pages already shown', async () => {
+    vi.mocked(axios.get).mockImplementation(wiki());
+    const seed = { pageid: 1, title: 'Ada Lovelace', language: 'en' };
+    const source = topicSource(seed);
+
+    const first = await source.fetchBatch({ language: 'en', cursor: null, shown: [{ pageid: 2 }] });
+
+    expect(first.pages.map(page => page.pageid)).not.toContain(2);
+    expect(first.cursor).toBe(first.pages[first.pages.length - 1]);
+    expect(requestsTo((url, params) => params.prop === 'categories|links')[0][1].params.titles).toBe('Ada Lovelace');
+  });
+
+  it('stays on the seed\'s wiki when it differs from the feed language', async () => {
+    vi.mocked(axios.get).mockImplementation(wiki());
+    const source = topicSource({ pageid: 1, title: 'Ada Lovelace', language: 'fr' });
+
+    await source.fetchBatch({ language: 'en', cursor: null, shown: [] });
+
+    expect(requestsTo(url => url.startsWith('https://en.'))).toHaveLength(0);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { installBrowserStandIn, removeBrowserStandIn } from './helpers/browserStandIn';
+
+const NOW = Date.UTC(2025, 0, 15, 12);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Filters are written this long after the last markSeen
+const SAVE_DELAY_MS = 2000;
+
+function card(pageid, language = 'en') {
+  return { pageid, title: `Page ${pageid}`, language };
+}
+
+// A fresh copy of the module, as after reloading the app; IndexedDB keeps what was saved
+async function loadSeenPages() {
+  vi.resetModules();
+  return import('../lib/seenPages');
+}
+
+async function storedFilters() {
+  const { idbGet } = await import('../lib/idb');
+  return idbGet('seen', 'filters');
+}
+
+function setWindowDays(days) {
+  localStorage.setItem('wikiTokSettings', JSON.stringify({ version: 1, settings: { seenWindowDays: days } }));
+}
+
+const ids = (pages) => pages.map(page => page.pageid);
+
+beforeEach(() => {
+  const { window } = installBrowserStandIn();
+  window.indexedDB = new IDBFactory();
+  globalThis.indexedDB = window.indexedDB;
+  vi.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+  vi.setSystemTime(NOW);
+  setWindowDays(30);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  delete globalThis.indexedDB;
+  removeBrowserStandIn();
+});
+
+describe('seen pages', () => {
+  it('filters out pages that were marked seen', async () => {
+    const { filterUnseen, markSeen } = await loadSeenPages();
+    await markSeen(card(1));
+    await markSeen(card(2, 'fr'));
+
+    expect(ids(await filterUnseen([card(1), card(2), card(2, 'fr'), card(3)]))).toEqual([2, 3]);
+  });
+
+  it('keys cards without a page ID by title', async () => {
+    const { filterUnseen, markSeen } = await loadSeenPages();
+    const pictureOfTheDay = { title: 'File:Aurora.jpg', language: 'en' };
+    await markSeen(pictureOfTheDay);
+
+    expect(await filterUnseen([pictureOfTheDay])).toEqual([]);
+  });
+
+  it('does nothing when the window is off', async () => {
+    setWindowDays(0);
+    const { filterUnseen, markSeen } = await loadSeenPages();
+    await markSeen(card(1));
+
+    expect(ids(await filterUnseen([card(1)]))).toEqual([1]);
+  });
+
+  it('remembers a page for at least half the window', async () => {
+    const { filterUnseen, markSeen } = await loadSeenPages();
+    await markSeen(card(1));
+
+    vi.setSystemTime(NOW + 15 * DAY_MS - 1);
+    expect(await filterUnseen([card(1)])).toEqual([]);
+  });
+
+  it('forgets a page a window after it was seen, even without new marks', async () => {
+    const { filterUnseen, markSeen } = await loadSeenPages();
+    await markSeen(card(1));
+
+    vi.setSystemTime(NOW + 30 * DAY_MS);
+    expect(ids(await filterUnseen([card(1)]))).toEqual([1]);
+  });
+
+  it('starts a new filter every half window and keeps the newest two', async () => {
+    const { filterUnseen, markSeen } = await loadSeenPages();
+    await markSeen(card(1));
+    vi.setSystemTime(NOW + 15 * DAY_MS);
+    await markSeen(card(2));
+    vi.setSystemTime(NOW + 30 * DAY_MS);
+    await markSeen(card(3));
+
+    // Page 1's filter has expired; page 2's is still one of the two kept
+    expect(ids(await filterUnseen([card(1), card(2), card(3)]))).toEqual([1]);
+
+    await vi.advanceTimersByTimeAsync(SAVE_DELAY_MS);
+    await vi.waitFor(async () => {
+      const filters = await storedFilters();
+      expect(filters.map(filter => filter.createdAt)).toEqual([NOW + 15 * DAY_MS, NOW + 30 * DAY_MS]);
+    });
+  });
+
+  it('saves the filters to IndexedDB and reads them back after a reload', async () => {
+    const first = await loadSeenPages();
+    await first.markSeen(card(1));
+    await first.markSeen(card(2));
+    expect(await storedFilters()).toBeUndefined();
+
+    await vi.advanceTimersByTimeAsync(SAVE_DELAY_MS);
+    await vi.waitFor(async () => expect(await storedFilters()).toHaveLength(1));
+
+    const reloaded = await loadSeenPages();
+    expect(ids(await reloaded.filterUnseen([card(1), card(2), card(3)]))).toEqual([3]);
+  });
+
+  it('drops expired filters from IndexedDB when reading', async () => {
+    const first = await loadSeenPages();
+    await first.markSeen(card(1));
+    await vi.advanceTimersByTimeAsync(SAVE_DELAY_MS);
+    await vi.waitFor(async () => expect(await storedFilters()).toHaveLength(1));
+
+    vi.setSystemTime(NOW + 30 * DAY_MS);
+    const reloaded = await loadSeenPages();
+    await reloaded.filterUnseen([card(1)]);
+
+    await vi.advanceTimersByTimeAsync(SAVE_DELAY_MS);
+    await vi.waitFor(async () => expect(await storedFilters()).toEqual([]));
+  });
+
+  it('forgets everything on reset, in memory and in IndexedDB', async () => {
+    const { filterUnseen, markSeen, resetSeen } = await loadSeenPages();
+    await markSeen(card(1));
+    await vi.advanceTimersByTimeAsync(SAVE_DELAY_MS);
+    await vi.waitFor(async () => expect(await storedFilters()).toHaveLength(1));
+
+    await resetSeen();
+
+    expect(ids(await filterUnseen([card(1)]))).toEqual([1]);
+    expect(await storedFilters()).toBeUndefined();
+  });
+});
@@ -0,0 +1,111 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { sharePage, shareImage, prefetchShareImage, getArticlePath, parseWikipediaUrl } from '../lib/share';
+
+function abort(name) {
+  const error = new Error(name);
+  error.name = name;
+  return error;
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(new Blob(['png']), { status: 200 })));
+  URL.createObjectURL = vi.fn(() => 'blob:share');
+  URL.revokeObjectURL = vi.fn();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+  delete navigator.share;
+  delete navigator.canShare;
+  delete navigator.clipboard;
+});
+
+describe('sharePage', () => {
+  it('uses the share sheet where there is one', async () => {
+    navigator.share = vi.fn(async () => {});
+
+    expect(await sharePage('Ada Lovelace', 'fr')).toBe('shared');
+    expect(navigator.share).toHaveBeenCalledWith(expect.objectContaining({ url: `${window.location.origin}/fr/Ada_Lovelace` }));
+  });
+
+  it('copies the link otherwise', async () => {
+    navigator.clipboard = { writeText: vi.fn(async () => {}) };
+
+    expect(await sharePage('Ada Lovelace')).toBe('copied');
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith(`${window.location.origin}/en/Ada_Lovelace`);
+  });
+
+  it('reports nothing when the share sheet is closed', async () => {
+    navigator.share = vi.fn(async () => { throw abort('AbortError'); });
+
+    expect(await sharePage('Ada Lovelace')).toBeNull();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('shareImage', () => {
+  it('starts sharing a prefetched image within the tap', async () => {
+    navigator.canShare = vi.fn(() => true);
+    navigator.share = vi.fn(async () => {});
+    const prefetched = prefetchShareImage('Ada Lovelace', 'en', 'story');
+    await prefetched.ready;
+    fetch.mockClear();
+
+    const result = shareImage('Ada Lovelace', 'en', 'story', prefetched);
+    // Called before anything was awaited
+    expect(navigator.share).toHaveBeenCalledTimes(1);
+    expect(await result).toBe('shared');
+    expect(fetch).not.toHaveBeenCalled();
+
+    const [file] = navigator.share.mock.calls[0][0].files;
+    expect(file.name).toBe('Ada-Lovelace-wikitok-story.png');
+  });
+
+  it('waits for a prefetch that hasn\'t finished', async () => {
+    navigator.canShare = vi.fn(() => true);
+    navigator.share = vi.fn(async () => {});
+
+    expect(await shareImage('Ada Lovelace', 'en', 'story', prefetchShareImage('Ada Lovelace'))).toBe('shared');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('/api/og?lang=en&title=Ada+Lovelace&format=story');
+  });
+
+  it('downloads where files can\'t be shared', async () => {
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    expect(await shareImage('Ada Lovelace', 'en', 'link')).toBe('downloaded');
+    expect(click).toHaveBeenCalledTimes(1);
+  });
+
+  it('downloads when the tap no longer counts by the time the image loaded', async () => {
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    navigator.canShare = vi.fn(() => true);
+    navigator.share = vi.fn(async () => { throw abort('NotAllowedError'); });
+
+    expect(await shareImage('Ada Lovelace')).toBe('downloaded');
+    expect(click).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports a failed render', async () => {
+    fetch.mockResolvedValue(new Response(null, { status: 502 }));
+
+    expect(await shareImage('Ada Lovelace')).toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('links', () => {
+  it('builds deep link paths', () => {
+    expect(getArticlePath('C++ (language)', 'de')).toBe('/de/C%2B%2B_(language)');
+  });
+
+  it('finds article links on supported wikis', () => {
+    expect(parseWikipediaUrl('Look: https://fr.m.wikipedia.org/wiki/Tour_Eiffel#Histoire')).toEqual({ title: 'Tour Eiffel', language: 'fr' });
+    expect(parseWikipediaUrl('https://en.wikipedia.org/w/index.php?title=Ada_Lovelace&oldid=1')).toEqual({ title: 'Ada Lovelace', language: 'en' });
+    expect(parseWikipediaUrl('https://xx.wikipedia.org/wiki/Ada')).toBeNull();
+    expect(parseWikipediaUrl('https://en.wikipedia.org/wiki/%E0%A4%A')).toBeNull();
+  });
+});
@@ -0,0 +1,295 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  getAllLikes,
+  isPageLiked,
+  togglePageLike,
+  removeLike,
+  updateLikeMetadata,
+  importLikes,
+  clearAllLikes,
+  getLikesState,
+  replaceLikesState,
+  pruneTombstones
+} from '../lib/storage';
+import { installBrowserStandIn, removeBrowserStandIn } from './helpers/browserStandIn';
+
+const KEY = 'wikiTokLikes';
+const NOW = Date.UTC(2025, 0, 15, 12);
+
+let events;
+
+function stored() {
+  return JSON.parse(localStorage.getItem(KEY));
+}
+
+function page(pageid, language = 'en') {
+  return { pageid, title: `Page ${pageid}`, language, thumbnail: { source: `https://upload.wikimedia.org/${pageid}.jpg` } };
+}
+
+beforeEach(() => {
+  ({ events } = installBrowserStandIn());
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(NOW);
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  removeBrowserStandIn();
+});
+
+describe('migration', () => {
+  it('starts empty', () => {
+    expect(getAllLikes()).toEqual([]);
+  });
+
+  it('migrates version 0, bare English page IDs, and writes the result back', () => {
+    localStorage.setItem(KEY, JSON.stringify(['123', 456]));
+
+    expect(getAllLikes()).toEqual([
+      { id: '123', language: 'en', title: null, thumbnail: null, likedAt: null, updatedAt: 0 },
+      { id: '456', language: 'en', title: null, thumbnail: null, likedAt: null, updatedAt: 0 }
+    ]);
+    expect(stored().version).toBe(3);
+    expect(stored().tombstones).toEqual([]);
+  });
+
+  it('migrates version 1 records with a language', () => {
+    localStorage.setItem(KEY, JSON.stringify([{ id: 7, language: 'fr' }]));
+
+    expect(getAllLikes()).toEqual([
+      { id: '7', language: 'fr', title: null, thumbnail: null, likedAt: null, updatedAt: 0 }
+    ]);
+  });
+
+  it('migrates version 2, dating changes from likedAt', () => {
+    localStorage.setItem(KEY, JSON.stringify({
+      version: 2,
+      likes: [{ id: '9', language: 'de', title: 'Neun', thumbnail: 'https://x/9.jpg', likedAt: 1000 }]
+    }));
+
+    expect(getAllLikes()[0]).toEqual({
+      id: '9', language: 'de', title: 'Neun', thumbnail: 'https://x/9.jpg', likedAt: 1000, updatedAt: 1000
+    });
+    expect(stored().version).toBe(3);
+  });
+
+  it('drops records without an ID and fixes bad field types', () => {
+    localStorage.setItem(KEY, JSON.stringify({
+      version: 3,
+      likes: [null, { title: 'No ID' }, { id: 1, title: 5, thumbnail: {}, likedAt: 'yesterday' }],
+      tombstones: []
+    }));
+
+    expect(getAllLikes()).toEqual([
+      { id: '1', language: 'en', title: null, thumbnail: null, likedAt: null, updatedAt: 0 }
+    ]);
+  });
+
+  it('survives a corrupt document', () => {
+    localStorage.setItem(KEY, '{not json');
+
+    expect(getAllLikes()).toEqual([]);
+    expect(isPageLiked(1)).toBe(false);
+  });
+
+  it('does nothing on the server', () => {
+    removeBrowserStandIn();
+
+    expect(getAllLikes()).toEqual([]);
+    expect(togglePageLike(page(1))).toBe(false);
+  });
+});
+
+describe('likes', () => {
+  it('stores the card\'s metadata when liking', () => {
+    expect(togglePageLike(page(1, 'es'))).toBe(true);
+
+    expect(getAllLikes()).toEqual([{
+      id: '1', language: 'es', title: 'Page 1', thumbnail: 'https://upload.wikimedia.org/1.jpg', likedAt: NOW, updatedAt: NOW
+    }]);
+  });
+
+  it('tells pages apart by language', () => {
+    togglePageLike(page(1, 'es'));
+
+    expect(isPageLiked(1, 'es')).toBe(true);
+    expect(isPageLiked('1', 'es')).toBe(true);
+    expect(isPageLiked(1, 'en')).toBe(false);
+  });
+
+  it('unlikes on the second toggle, leaving a tombstone', () => {
+    togglePageLike(page(1));
+    vi.setSystemTime(NOW + 1000);
+
+    expect(togglePageLike(page(1))).toBe(false);
+    expect(getAllLikes()).toEqual([]);
+    expect(stored().tombstones).toEqual([{ id: '1', language: 'en', updatedAt: NOW + 1000 }]);
+  });
+
+  it('drops the tombstone when a page is liked again', () => {
+    togglePageLike(page(1));
+    togglePageLike(page(1));
+    togglePageLike(page(1));
+
+    expect(stored().tombstones).toEqual([]);
+  });
+
+  it('announces every change', () => {
+    togglePageLike(page(1, 'fr'));
+    removeLike(1, 'fr');
+
+    expect(events.map(event => [event.type, event.detail])).toEqual([
+      ['likeStatusChanged', { pageId: '1', language: 'fr', liked: true, synced: false }],
+      ['likeStatusChanged', { pageId: '1', language: 'fr', liked: false, synced: false }]
+    ]);
+  });
+
+  it('ignores cards without a page ID, such as the picture of the day', () => {
+    expect(togglePageLike({ title: 'File:Aurora.jpg', language: 'en' })).toBe(false);
+    expect(getAllLikes()).toEqual([]);
+  });
+
+  it('removes one like', () => {
+    togglePageLike(page(1));
+    togglePageLike(page(2));
+    removeLike('1');
+
+    expect(getAllLikes().map(like => like.id)).toEqual(['2']);
+  });
+
+  it('clears every like from the key it stores them under', () => {
+    togglePageLike(page(1));
+    togglePageLike(page(2, 'de'));
+    clearAllLikes();
+
+    expect(getAllLikes()).toEqual([]);
+    expect(stored().likes).toEqual([]);
+    expect(stored().tombstones).toHaveLength(2);
+    expect(events[events.length - 1].detail).toEqual({ pageId: null, language: null, liked: false, synced: false });
+  });
+
+  it('backfills metadata of migrated likes', () => {
+    localStorage.setItem(KEY, JSON.stringify(['5']));
+    updateLikeMetadata([{ pageid: 5, language: 'en', title: 'Five', thumbnail: { source: 'https://x/5.jpg' } }]);
+
+    expect(getAllLikes()[0]).toMatchObject({ title: 'Five', thumbnail: 'https://x/5.jpg', updatedAt: NOW });
+  });
+
+  it('leaves likes whose metadata is unchanged alone', () => {
+    togglePageLike(page(1));
+    const document = localStorage.getItem(KEY);
+    vi.setSystemTime(NOW + 1000);
+
+    updateLikeMetadata([page(1)]);
+
+    expect(localStorage.getItem(KEY)).toBe(document);
+    expect(getAllLikes()[0].updatedAt).toBe(NOW);
+  });
+});
+
+describe('importLikes', () => {
+  it('adds new likes and fills gaps in existing ones', () => {
+    localStorage.setItem(KEY, JSON.stringify(['5']));
+
+    const added = importLikes([
+      { id: '5', language: 'en', title: 'Five', likedAt: 10 },
+      { id: '6', language: 'it', title: 'Sei' }
+    ]);
+
+    expect(added).toBe(1);
+    expect(getAllLikes()).toEqual([
+      { id: '5', language: 'en', title: 'Five', thumbnail: null, likedAt: 10, updatedAt: NOW },
+      { id: '6', language: 'it', title: 'Sei', thumbnail: null, likedAt: null, updatedAt: NOW }
+    ]);
+  });
+
+  it('keeps stored metadata over imported metadata', () => {
+    togglePageLike(page(1));
+    importLikes([{ id: '1', language: 'en', title: 'Other title' }]);
+
+    expect(getAllLikes()[0].title).toBe('Page 1');
+  });
+
+  it('only touches and announces likes the import changes', () => {
+    togglePageLike(page(1));
+    togglePageLike({ pageid: 2, language: 'en' });
+    events.length = 0;
+    vi.setSystemTime(NOW + 1000);
+
+    const added = importLikes([
+      { id: '1', language: 'en', title: 'Other title' },
+      { id: '2', language: 'en', title: 'Two' },
+      { id: '3', language: 'en', title: 'Three' }
+    ]);
+
+    expect(added).toBe(1);
+    expect(getAllLikes().map(like => [like.id, like.title, like.updatedAt])).toEqual([
+      ['1', 'Page 1', NOW],
+      ['2', 'Two', NOW + 1000],
+      ['3', 'Three', NOW + 1000]
+    ]);
+    expect(events.map(event => event.detail.pageId)).toEqual(['3']);
+  });
+
+  it('leaves storage alone when the import has nothing new', () => {
+    togglePageLike(page(1));
+    const document = localStorage.getItem(KEY);
+
+    expect(importLikes([{ id: '1', language: 'en', title: 'Page 1' }])).toBe(0);
+    expect(localStorage.getItem(KEY)).toBe(document);
+  });
+});
+
+describe('sync state', () => {
+  it('replaces likes and tombstones and announces what changed', () => {
+    togglePageLike(page(1));
+    events.length = 0;
+
+    replaceLikesState({
+      likes: [{ id: '2', language: 'en', updatedAt: NOW - 2 }],
+      tombstones: [{ id: '1', language: 'en', updatedAt: NOW - 1 }]
+    });
+
+    expect(getLikesState().likes.map(like => like.id)).toEqual(['2']);
+    expect(getLikesState().tombstones).toEqual([{ id: '1', language: 'en', updatedAt: NOW - 1 }]);
+    expect(events.map(event => event.detail)).toEqual([
+      { pageId: '2', language: 'en', liked: true, synced: true },
+      { pageId: '1', language: 'en', liked: false, synced: true }
+    ]);
+  });
+});
+
+describe('pruneTombstones', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  it('drops tombstones older than 90 days', () => {
+    const tombstones = [
+      { id: '1', language: 'en', updatedAt: NOW - 91 * DAY },
+      { id: '2', language: 'en', updatedAt: NOW - 89 * DAY }
+    ];
+
+    expect(pruneTombstones(tombstones, NOW).map(tombstone => tombstone.id)).toEqual(['2']);
+  });
+
+  it('keeps the newest 1000', () => {
+    const tombstones = Array.from({ length: 1005 }, (_, index) => ({ id: String(index), language: 'en', updatedAt: NOW - index }));
+
+    const kept = pruneTombstones(tombstones, NOW);
+    expect(kept).toHaveLength(1000);
+    expect(kept[0].id).toBe('0');
+    expect(kept[999].id).toBe('999');
+  });
+
+  it('runs whenever likes are saved', () => {
+    localStorage.setItem(KEY, JSON.stringify({
+      version: 3,
+      likes: [],
+      tombstones: [{ id: '1', language: 'en', updatedAt: NOW - 100 * DAY }, { id: '2', language: 'en', updatedAt: NOW - DAY }]
+    }));
+    togglePageLike(page(3));
+
+    expect(stored().tombstones.map(tombstone => tombstone.id)).toEqual(['2']);
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  mergeLikesState,
+  isSameLikesState,
+  memoryBackend,
+  localBackend,
+  setSyncBackend,
+  syncNow,
+  getSyncStatus
+} from '../lib/sync';
+import { getAllLikes, getLikesState, togglePageLike, isPageLiked } from '../lib/storage';
+import { installBrowserStandIn, removeBrowserStandIn } from './helpers/browserStandIn';
+
+const NOW = Date.UTC(2025, 0, 15, 12);
+
+const like = (id, updatedAt, language = 'en') => ({ id, language, title: `Page ${id}`, thumbnail: null, likedAt: updatedAt, updatedAt });
+const tombstone = (id, updatedAt, language = 'en') => ({ id, language, updatedAt });
+const page = (pageid, language = 'en') => ({ pageid, title: `Page ${pageid}`, language });
+
+describe('mergeLikesState', () => {
+  it('keeps the newest change of every page', () => {
+    const local = { likes: [like('1', NOW - 10), like('2', NOW - 30)], tombstones: [tombstone('3', NOW - 10)] };
+    const remote = { likes: [like('3', NOW - 20), like('4', NOW - 20)], tombstones: [tombstone('2', NOW - 20)] };
+
+    expect(mergeLikesState(local, remote, NOW)).toEqual({
+      likes: [like('1', NOW - 10), like('4', NOW - 20)],
+      tombstones: [tombstone('3', NOW - 10), tombstone('2', NOW - 20)]
+    });
+  });
+
+  it('brings back a page liked again after it was unliked elsewhere', () => {
+    const local = { likes: [like('1', NOW)], tombstones: [] };
+    const remote = { likes: [], tombstones: [tombstone('1', NOW - 1)] };
+
+    expect(mergeLikesState(local, remote)).toEqual({ likes: [like('1', NOW)], tombstones: [] });
+  });
+
+  it('lets the like win a tie', () => {
+    const local = { likes: [], tombstones: [tombstone('1', NOW)] };
+    const remote = { likes: [like('1', NOW)], tombstones: [] };
+
+    expect(mergeLikesState(local, remote).likes).toEqual([like('1', NOW)]);
+  });
+
+  it('tells pages apart by language', () => {
+    const local = { likes: [like('1', NOW, 'en')], tombstones: [] };
+    const remote = { likes: [], tombstones: [tombstone('1', NOW + 1, 'de')] };
+
+    expect(mergeLikesState(local, remote).likes).toEqual([like('1', NOW, 'en')]);
+  });
+
+  it('keeps the local state when there is no remote one yet', () => {
+    const local = { likes: [like('1', NOW)], tombstones: [tombstone('2', NOW)] };
+
+    expect(mergeLikesState(local, null, NOW)).toEqual(local);
+  });
+
+  it('prunes expired tombstones', () => {
+    const local = { likes: [], tombstones: [tombstone('1', NOW - 100 * 24 * 60 * 60 * 1000)] };
+
+    expect(mergeLikesState(local, null, NOW).tombstones).toEqual([]);
+  });
+});
+
+describe('isSameLikesState', () => {
+  it('ignores order', () => {
+    const a = { likes: [like('1', 1), like('2', 2)], tombstones: [tombstone('3', 3)] };
+    const b = { likes: [like('2', 2), like('1', 1)], tombstones: [tombstone('3', 3)] };
+
+    expect(isSameLikesState(a, b)).toBe(true);
+  });
+
+  it('compares change times', () => {
+    expect(isSameLikesState({ likes: [like('1', 1)], tombstones: [] }, { likes: [like('1', 2)], tombstones: [] })).toBe(false);
+  });
+
+  it('treats a missing remote as empty', () => {
+    expect(isSameLikesState({ likes: [], tombstones: [] }, null)).toBe(true);
+    expect(isSameLikesState({ likes: [like('1', 1)], tombstones: [] }, null)).toBe(false);
+  });
+});
+
+describe('syncing', () => {
+  let events;
+  let store;
+  // A second device signed in to the same account
+  let otherDevice;
+
+  beforeEach(() => {
+    ({ events } = installBrowserStandIn());
+    vi.stubGlobal('navigator', { onLine: true });
+    vi.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+    vi.setSystemTime(NOW);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    store = { state: null, listeners: new Set() };
+    otherDevice = memoryBackend(store);
+  });
+
+  afterEach(() => {
+    setSyncBackend(localBackend());
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    removeBrowserStandIn();
+  });
+
+  it('uploads local likes when sync is turned on', async () => {
+    togglePageLike(page(1));
+
+    setSyncBackend(memoryBackend(store));
+    await syncNow();
+
+    expect(store.state.likes.map(entry => entry.id)).toEqual(['1']);
+    expect(getSyncStatus()).toBe('idle');
+  });
+
+  it('merges likes another device saved and marks them as synced', async () => {
+    togglePageLike(page(1));
+    setSyncBackend(memoryBackend(store));
+    await syncNow();
+    events.length = 0;
+
+    await otherDevice.save({ likes: [...store.state.likes, like('2', NOW + 1, 'fr')], tombstones: [] });
+    await syncNow();
+
+    expect(isPageLiked(2, 'fr')).toBe(true);
+    expect(events.filter(event => event.type === 'likeStatusChanged').map(event => event.detail)).toEqual([
+      { pageId: '2', language: 'fr', liked: true, synced: true }
+    ]);
+  });
+
+  it('removes likes another device unliked later', async () => {
+    togglePageLike(page(1));
+    setSyncBackend(memoryBackend(store));
+    await syncNow();
+
+    await otherDevice.save({ likes: [], tombstones: [tombstone('1', NOW + 1)] });
+    await syncNow();
+
+    expect(getAllLikes()).toEqual([]);
+    expect(getLikesState().tombstones).toEqual([tombstone('1', NOW + 1)]);
+  });
+
+  it('pushes local changes once they settle', async () => {
+    const backend = memoryBackend(store);
+    setSyncBackend(backend);
+    await syncNow();
+    const save = vi.spyOn(backend, 'save');
+
+    togglePageLike(page(1));
+    togglePageLike(page(2));
+    expect(save).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await syncNow();
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(store.state.likes.map(entry => entry.id)).toEqual(['1', '2']);
+  });
+
+  it('keeps working offline and pushes when the connection comes back', async () => {
+    navigator.onLine = false;
+    setSyncBackend(memoryBackend(store));
+    await syncNow();
+    expect(getSyncStatus()).toBe('offline');
+
+    togglePageLike(page(1));
+    await vi.advanceTimersByTimeAsync(1000);
+    await syncNow();
+    expect(isPageLiked(1)).toBe(true);
+    expect(store.state).toBeNull();
+
+    navigator.onLine = true;
+    window.dispatchEvent(new Event('online'));
+    await syncNow();
+
+    expect(store.state.likes.map(entry => entry.id)).toEqual(['1']);
+    expect(getSyncStatus()).toBe('idle');
+  });
+
+  it('reports errors and leaves local likes alone', async () => {
+    togglePageLike(page(1));
+    const backend = { ...memoryBackend(store), load: () => Promise.reject(new Error('Permission denied')) };
+
+    setSyncBackend(backend);
+    await syncNow();
+
+    expect(getSyncStatus()).toBe('error');
+    expect(isPageLiked(1)).toBe(true);
+    expect(events.at(-1)).toMatchObject({ type: 'syncStatusChanged', detail: { status: 'error', backend: 'memory' } });
+  });
+
+  it('stops listening to the backend when sync is turned off', async () => {
+    setSyncBackend(memoryBackend(store));
+    await syncNow();
+
+    setSyncBackend(localBackend());
+    expect(store.listeners.size).toBe(0);
+
+    await otherDevice.save({ likes: [like('2', NOW)], tombstones: [] });
+    await syncNow();
+    expect(getAllLikes()).toEqual([]);
+  });
+});
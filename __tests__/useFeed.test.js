@@ -0,0 +1,196 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import useFeed, { appendUnique, pageKey } from '../hooks/useFeed';
+import { filterUnseen } from '../lib/seenPages';
+import { featuredSource, collectionSource, randomSource, topicSource } from '../lib/feedSources';
+
+// Seen pages and content filters aren't under test here, so they let everything through
+vi.mock('../lib/seenPages', () => ({
+  filterUnseen: vi.fn(async pages => pages),
+  markSeen: vi.fn()
+}));
+vi.mock('../lib/contentFilter', () => ({
+  filterContent: vi.fn(async pages => pages)
+}));
+
+function card(pageid, language = 'en') {
+  return { pageid, title: `Page ${pageid}`, language };
+}
+
+// Source that serves consecutive page IDs, five per batch, with a numeric cursor
+function counterSource({ id = 'counter', total = Infinity, ...rest } = {}) {
+  return {
+    id,
+    ...rest,
+    fetchBatch: vi.fn(async ({ language, cursor }) => {
+      const start = cursor || 0;
+      const end = Math.min(start + 5, total);
+      const pages = [];
+      for (let pageid = start + 1; pageid <= end; pageid++) pages.push(card(pageid, language));
+      return { pages, cursor: end, done: end >= total };
+    })
+  };
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  sessionStorage.clear();
+});
+
+describe('appendUnique', () => {
+  it('adds only pages that aren\'t in the stack or earlier in the batch', () => {
+    const stack = [card(1), card(2)];
+    const result = appendUnique(stack, [card(2), card(3), card(3), card(2, 'fr')]);
+
+    expect(result.map(pageKey)).toEqual(['en-1', 'en-2', 'en-3', 'fr-2']);
+  });
+
+  it('returns the same stack when nothing is new', () => {
+    const stack = [card(1)];
+    expect(appendUnique(stack, [card(1)])).toBe(stack);
+  });
+
+  it('keys the picture of the day by title', () => {
+    expect(pageKey({ title: 'File:Aurora.jpg', language: 'en' })).toBe('en-File:Aurora.jpg');
+  });
+});
+
+describe('useFeed', () => {
+  it('loads the first batch on mount', async () => {
+    const source = counterSource();
+    const { result } = renderHook(() => useFeed({ source, language: 'de' }));
+
+    await waitFor(() => expect(result.current.pages).toHaveLength(5));
+    expect(result.current.currentPage).toMatchObject({ pageid: 1, language: 'de' });
+    expect(source.fetchBatch).toHaveBeenCalledWith({ language: 'de', cursor: null, shown: [] });
+  });
+
+  it('prefetches the next batch near the end of the stack, passing the cursor back', async () => {
+    const source = counterSource();
+    const { result } = renderHook(() => useFeed({ source, language: 'en', prefetchWindow: 2 }));
+    await waitFor(() => expect(result.current.pages).toHaveLength(5));
+
+    act(() => result.current.next());
+    act(() => result.current.next());
+    expect(source.fetchBatch).toHaveBeenCalledTimes(1);
+
+    act(() => result.current.next());
+    await waitFor(() => expect(result.current.pages).toHaveLength(10));
+    expect(source.fetchBatch).toHaveBeenLastCalledWith(expect.objectContaining({ cursor: 5 }));
+  });
+
+  it('keeps next and previous within the stack', async () => {
+    const source = counterSource({ total: 2 });
+    const { result } = renderHook(() => useFeed({ source, language: 'en' }));
+    await waitFor(() => expect(result.current.pages).toHaveLength(2));
+
+    act(() => result.current.previous());
+    expect(result.current.currentIndex).toBe(0);
+    act(() => result.current.next());
+    act(() => result.current.next());
+    expect(result.current.currentIndex).toBe(1);
+  });
+
+  it('drops pages that are already in the stack', async () => {
+    const source = {
+      id: 'repeating',
+      fetchBatch: vi.fn()
+        .mockResolvedValueOnce({ pages: [card(1), card(2)], cursor: 1 })
+        .mockResolvedValueOnce({ pages: [card(2), card(3)], cursor: 2 })
+    };
+    const { result } = renderHook(() => useFeed({ source, language: 'en', prefetchWindow: 5 }));
+
+    await waitFor(() => expect(result.current.pages.map(page => page.pageid)).toEqual([1, 2, 3]));
+  });
+
+  it('stops at the end of a finite source', async () => {
+    const source = counterSource({ total: 7 });
+    const { result } = renderHook(() => useFeed({ source, language: 'en', prefetchWindow: 10 }));
+
+    await waitFor(() => expect(result.current.exhausted).toBe(true));
+    expect(result.current.pages).toHaveLength(7);
+    expect(source.fetchBatch).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips seen pages only in open-ended streams', async () => {
+    filterUnseen.mockClear();
+    const stream = renderHook(() => useFeed({ source: counterSource(), language: 'en' }));
+    await waitFor(() => expect(stream.result.current.pages).toHaveLength(5));
+    expect(filterUnseen).toHaveBeenCalledTimes(1);
+
+    filterUnseen.mockClear();
+    const fixedList = renderHook(() => useFeed({ source: counterSource({ keepSeen: true }), language: 'en' }));
+    await waitFor(() => expect(fixedList.result.current.pages).toHaveLength(5));
+    expect(filterUnseen).not.toHaveBeenCalled();
+  });
+
+  it('reports errors and loads again on retry', async () => {
+    const source = {
+      id: 'flaky',
+      fetchBatch: vi.fn()
+        .mockRejectedValueOnce(Object.assign(new Error('Server error'), { response: { status: 500 } }))
+        .mockResolvedValueOnce({ pages: [card(1)], cursor: 1 })
+        .mockResolvedValue({ pages: [], cursor: 1 })
+    };
+    const { result } = renderHook(() => useFeed({ source, language: 'en' }));
+
+    await waitFor(() => expect(result.current.error).toBe('Server error'));
+    act(() => result.current.retry());
+    await waitFor(() => expect(result.current.pages).toHaveLength(1));
+  });
+
+  it('starts over when the language changes', async () => {
+    const source = counterSource();
+    const { result, rerender } = renderHook(({ language }) => useFeed({ source, language }), {
+      initialProps: { language: 'en' }
+    });
+    await waitFor(() => expect(result.current.pages).toHaveLength(5));
+    act(() => result.current.next());
+
+    rerender({ language: 'fr' });
+
+    await waitFor(() => expect(result.current.pages[0]).toMatchObject({ pageid: 1, language: 'fr' }));
+    expect(result.current.currentIndex).toBe(0);
+    expect(result.current.pages.every(page => page.language === 'fr')).toBe(true);
+  });
+
+  it('ignores a batch that arrives after a reset to another source', async () => {
+    let resolveSlow;
+    const slow = {
+      id: 'slow',
+      fetchBatch: vi.fn(() => new Promise(resolve => { resolveSlow = resolve; }))
+    };
+    const fast = counterSource({ id: 'fast' });
+    const { result } = renderHook(() => useFeed({ source: slow, language: 'en' }));
+    await waitFor(() => expect(slow.fetchBatch).toHaveBeenCalled());
+
+    act(() => result.current.reset(fast));
+    await waitFor(() => expect(result.current.pages).toHaveLength(5));
+    await act(async () => resolveSlow({ pages: [card(99)], cursor: 1 }));
+
+    expect(result.current.source).toBe(fast);
+    expect(result.current.pages.map(page => page.pageid)).not.toContain(99);
+  });
+
+  it('can keep the current card and insert new ones after it', async () => {
+    const source = counterSource();
+    const { result } = renderHook(() => useFeed({ source, language: 'en' }));
+    await waitFor(() => expect(result.current.pages).toHaveLength(5));
+    act(() => result.current.next());
+
+    act(() => result.current.reset(counterSource({ id: 'other', total: 0 }), { keepCurrent: true, insert: [card(42)] }));
+
+    expect(result.current.pages.map(page => page.pageid)).toEqual([1, 2, 42]);
+    expect(result.current.currentPage.pageid).toBe(42);
+  });
+});
+
+describe('feed sources', () => {
+  it('keep seen pages in featured days and collections', () => {
+    expect(featuredSource(new Date(2025, 0, 15)).keepSeen).toBe(true);
+    expect(collectionSource({ id: 'c1', pages: [] }).keepSeen).toBe(true);
+    expect(randomSource().keepSeen).toBeFalsy();
+    expect(topicSource(card(1)).keepSeen).toBeFalsy();
+  });
+});
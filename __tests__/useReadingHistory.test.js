@@ -0,0 +1,59 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import useReadingHistory from '../hooks/useReadingHistory';
+import { saveSession, getSavedSession } from '../lib/history';
+
+function card(pageid) {
+  return { pageid, title: `Page ${pageid}`, language: 'en' };
+}
+
+function feed(pages, currentIndex = 0) {
+  return { pages, currentIndex, currentPage: pages[currentIndex] };
+}
+
+const options = { language: 'en', feedMode: 'random', featuredDate: null };
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  localStorage.clear();
+  // The previous visit's stack, waiting to be offered for resuming
+  saveSession({ pages: [card(1), card(2), card(3)], index: 2, language: 'en', feedMode: 'random' });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('useReadingHistory', () => {
+  it('keeps the previous stack while the resume prompt is open', () => {
+    renderHook(() => useReadingHistory(feed([card(10), card(11)]), { ...options, holdSession: true }));
+
+    act(() => vi.advanceTimersByTime(5000));
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(getSavedSession().pages.map(page => page.pageid)).toEqual([1, 2, 3]);
+  });
+
+  it('saves the stack once the prompt is answered', () => {
+    const pages = [card(10), card(11)];
+    const { rerender } = renderHook(
+      ({ holdSession }) => useReadingHistory(feed(pages), { ...options, holdSession }),
+      { initialProps: { holdSession: true } }
+    );
+    act(() => vi.advanceTimersByTime(5000));
+
+    rerender({ holdSession: false });
+    act(() => vi.advanceTimersByTime(1000));
+
+    expect(getSavedSession().pages.map(page => page.pageid)).toEqual([10, 11]);
+  });
+
+  it('saves when the tab closes', () => {
+    renderHook(() => useReadingHistory(feed([card(10), card(11)], 1), options));
+
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(getSavedSession()).toMatchObject({ index: 1, pages: [card(10), card(11)] });
+  });
+});
@@ -0,0 +1,83 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { render, waitFor, cleanup } from '@testing-library/react';
+import WikiCard from '../components/WikiCard';
+import { extractImages, getThumbnailImages } from '../lib/wikiapi';
+
+vi.mock('../lib/wikiapi', () => ({
+  extractImages: vi.fn(async () => []),
+  getThumbnailImages: vi.fn(() => [])
+}));
+
+describe('WikiCard with an offline pack card', () => {
+  const image = new Blob(['image'], { type: 'image/jpeg' });
+  const page = { pageid: 1, title: 'Page 1', extract: 'Stored offline', language: 'en', offlineImage: image };
+
+  beforeEach(() => {
+    URL.createObjectURL = vi.fn(() => 'blob:offline-1');
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  afterEach(() => {
+    cleanup();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('shows the stored image without fetching any', async () => {
+    const { container } = render(<WikiCard page={page} isActive />);
+
+    await waitFor(() => expect(container.querySelector('img[src="blob:offline-1"]')).not.toBeNull());
+    expect(URL.createObjectURL).toHaveBeenCalledWith(image);
+    expect(extractImages).not.toHaveBeenCalled();
+  });
+
+  it('releases the object URL when it unmounts', async () => {
+    const { unmount } = render(<WikiCard page={page} isActive />);
+    await waitFor(() => expect(URL.createObjectURL).toHaveBeenCalledTimes(1));
+
+    unmount();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:offline-1');
+  });
+
+  it('fetches images for a pack card that went through JSON, e.g. in an older saved session', async () => {
+    const resumed = JSON.parse(JSON.stringify(page));
+    render(<WikiCard page={resumed} isActive />);
+
+    await waitFor(() => expect(extractImages).toHaveBeenCalledWith(1, 'en'));
+    expect(URL.createObjectURL).not.toHaveBeenCalled();
+  });
+});
+
+describe('WikiCard image preloading', () => {
+  let preloaded;
+  const OriginalImage = window.Image;
+
+  beforeEach(() => {
+    preloaded = [];
+    window.Image = class {
+      set src(url) {
+        preloaded.push(url);
+      }
+    };
+  });
+
+  afterEach(() => {
+    cleanup();
+    window.Image = OriginalImage;
+  });
+
+  it('preloads ranked images by their URL', async () => {
+    vi.mocked(extractImages).mockResolvedValueOnce([{ url: 'https://upload.wikimedia.org/a.jpg', width: 800, height: 600 }]);
+    render(<WikiCard page={{ pageid: 2, title: 'Page 2', language: 'en' }} isActive />);
+
+    await waitFor(() => expect(preloaded).toEqual(['https://upload.wikimedia.org/a.jpg']));
+  });
+
+  it('preloads images given as plain URLs, such as summary thumbnails', async () => {
+    vi.mocked(getThumbnailImages).mockReturnValueOnce(['https://upload.wikimedia.org/b.jpg']);
+    render(<WikiCard page={{ title: 'File:Aurora.jpg', language: 'en' }} isActive />);
+
+    await waitFor(() => expect(preloaded).toEqual(['https://upload.wikimedia.org/b.jpg']));
+  });
+});
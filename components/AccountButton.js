@@ -0,0 +1,106 @@
+import { useState, useEffect } from 'react';
+import { FaUserCircle, FaSyncAlt, FaExclamationTriangle } from 'react-icons/fa';
+import { isFirebaseConfigured, onAccountChange, signIn, signOut, firebaseBackend } from '../lib/firebase';
+import { setSyncBackend, localBackend, syncNow, getSyncStatus } from '../lib/sync';
+
+const STATUS_LABELS = {
+  idle: 'Likes synced',
+  syncing: 'Syncing likes...',
+  offline: 'Offline, will sync when reconnected',
+  error: 'Sync failed'
+};
+
+// Sign-in for syncing likes across devices; renders nothing unless Firebase is configured
+export default function AccountButton() {
+  const [account, setAccount] = useState(null);
+  const [status, setStatus] = useState(getSyncStatus);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Sync with the signed-in account, and only locally when signed out
+  useEffect(() => {
+    return onAccountChange(nextAccount => {
+      setAccount(nextAccount);
+      setSyncBackend(nextAccount ? firebaseBackend(nextAccount) : localBackend());
+    });
+  }, []);
+
+  useEffect(() => {
+    const handleStatus = (event) => setStatus(event.detail.status);
+    window.addEventListener('syncStatusChanged', handleStatus);
+    return () => window.removeEventListener('syncStatusChanged', handleStatus);
+  }, []);
+
+  if (!isFirebaseConfigured()) return null;
+
+  const handleSignIn = async () => {
+    setError(null);
+    try {
+      await signIn();
+    } catch (err) {
+      // Closing the popup isn't an error worth showing
+      if (err.code !== 'auth/popup-closed-by-user') {
+        console.error('Error signing in:', err);
+        setError('Sign-in failed');
+      }
+    }
+  };
+
+  const handleSignOut = async () => {
+    setMenuOpen(false);
+    try {
+      await signOut();
+    } catch (err) {
+      console.error('Error signing out:', err);
+    }
+  };
+
+  if (!account) {
+    return (
+      <button
+        onClick={handleSignIn}
+        className="bg-gray-800 bg-opacity-50 p-2 rounded-full"
+        aria-label="Sign in to sync likes"
+        title={error || 'Sign in to sync likes'}
+      >
+        <FaUserCircle className={`text-xl ${error ? 'text-red-400' : 'text-white'}`} />
+      </button>
+    );
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setMenuOpen(!menuOpen)}
+        className="relative bg-gray-800 bg-opacity-50 p-1 rounded-full"
+        aria-label="Account"
+        aria-expanded={menuOpen}
+      >
+        {account.photoURL ? (
+          <img src={account.photoURL} alt="" className="w-7 h-7 rounded-full" referrerPolicy="no-referrer" />
+        ) : (
+          <FaUserCircle className="text-white text-xl m-1" />
+        )}
+        {status === 'error' && (
+          <FaExclamationTriangle className="absolute -bottom-1 -right-1 text-yellow-400 text-xs" />
+        )}
+      </button>
+
+      {menuOpen && (
+        <div className="absolute top-12 right-0 w-56 bg-gray-800 text-white text-sm rounded-lg shadow-lg overflow-hidden">
+          <p className="px-3 py-2 border-b border-gray-700 truncate">{account.displayName || 'Signed in'}</p>
+          <button
+            onClick={syncNow}
+            className="w-full flex items-center px-3 py-2 hover:bg-gray-700 text-left"
+          >
+            <FaSyncAlt className={`mr-2 ${status === 'syncing' ? 'animate-spin' : ''}`} />
+            {STATUS_LABELS[status]}
+          </button>
+          <button onClick={handleSignOut} className="w-full px-3 py-2 hover:bg-gray-700 text-left">
+            Sign out
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,24 @@
-import { useState, useEffect } from 'react';
-import { FaHeart, FaRegHeart, FaShare } from 'react-icons/fa';
+import { useState, useEffect, useCallback } from 'react';
+import { FaHeart, FaRegHeart, FaShare, FaBookmark, FaRegBookmark, FaBan } from 'react-icons/fa';
 import { isPageLiked, togglePageLike } from '../lib/storage';
+import { getCollectionsForPage } from '../lib/collections';
+import CollectionPicker from './CollectionPicker';
+import MuteTopicMenu from './MuteTopicMenu';
+import ShareMenu from './ShareMenu';
+
+export default function ActionButtons({ page, isLiked, onLikeChange }) {
+  const { pageid: pageId } = page;
+  const language = page.language || 'en';
 
-export default function ActionButtons({ pageId, title, isLiked, onLikeChange }) {
   // Use the prop value if provided, otherwise manage state locally
   const [liked, setLiked] = useState(isLiked || false);
   const [showAnimation, setShowAnimation] = useState(false);
-  // New state for showing the "Link Copied" popup
-  const [showCopied, setShowCopied] = useState(false);
+  // Message popup above the share button, e.g. "Link Copied"
+  const [shareMessage, setShareMessage] = useState(null);
+  const [shareOpen, setShareOpen] = useState(false);
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [inCollection, setInCollection] = useState(false);
+  const [muteOpen, setMuteOpen] = useState(false);
 
   // Update local state when prop changes
   useEffect(() => {
@@ -18,17 +29,31 @@ export default function ActionButtons({ pageId, title, isLiked, onLikeChange })
   
   // If not using props, load from localStorage
   useEffect(() => {
-    if (isLiked === undefined) {
-      setLiked(isPageLiked(pageId));
+    if (isLiked === undefined && pageId) {
+      setLiked(isPageLiked(pageId, language));
     }
-  }, [pageId, isLiked]);
+  }, [pageId, language, isLiked]);
+  
+  // Filled bookmark while the page is saved in any collection
+  useEffect(() => {
+    if (!pageId) return;
+    
+    const update = () => setInCollection(getCollectionsForPage(pageId, language).length > 0);
+    update();
+    window.addEventListener('collectionsChanged', update);
+    return () => window.removeEventListener('collectionsChanged', update);
+  }, [pageId, language]);
+  
+  const closePicker = useCallback(() => setPickerOpen(false), []);
+  const closeMute = useCallback(() => setMuteOpen(false), []);
+  const closeShare = useCallback(() => setShareOpen(false), []);
   
   const handleLike = (e) => {
     // Prevent event propagation
     e.stopPropagation();
     
     // Toggle like in localStorage and update state
-    const newLikedStatus = togglePageLike(pageId);
+    const newLikedStatus = togglePageLike(page);
     setLiked(newLikedStatus);
     
     // Notify parent if callback provided
@@ -44,60 +69,86 @@ export default function ActionButtons({ pageId, title, isLiked, onLikeChange })
     }
   };
   
-  const handleShare = async (e) => {
-    // Prevent event propagation
-    e.stopPropagation();
-    let shareSuccess = false;
-    
-    try {
-      const shareUrl = `https://en.wikipedia.org/wiki/${encodeURIComponent(title)}`;
-      if (navigator.share) {
-        await navigator.share({
-          title: `Check out this WikiTok about ${title}!`,
-          text: `Learn about ${title} on WikiTok`,
-          url: shareUrl,
-        });
-        shareSuccess = true;
-      } else {
-        // Fallback for browsers that don't support the Web Share API:
-        await navigator.clipboard.writeText(shareUrl);
-        shareSuccess = true;
-      }
-    } catch (error) {
-      console.error('Error sharing content:', error);
-    }
-    
-    if (shareSuccess) {
-      setShowCopied(true);
-      setTimeout(() => setShowCopied(false), 2000);
-    }
+  const handleShareResult = (message) => {
+    if (!message) return;
+    setShareMessage(message);
+    setTimeout(() => setShareMessage(null), 2000);
   };
   
   return (
     <div className="flex items-center space-x-3">
-      <button 
-        onClick={handleLike}
-        className="bg-transparent p-1 rounded-full"
-      >
-        {liked ? (
-          <FaHeart className="text-red-500 text-xl" />
-        ) : (
-          <FaRegHeart className="text-white text-xl" />
-        )}
-      </button>
+      {/* Only articles can be liked */}
+      {pageId && (
+        <button 
+          onClick={handleLike}
+          className="bg-transparent p-1 rounded-full"
+        >
+          {liked ? (
+            <FaHeart className="text-red-500 text-xl" />
+          ) : (
+            <FaRegHeart className="text-white text-xl" />
+          )}
+        </button>
+      )}
+      
+      {/* Save to collections */}
+      {pageId && (
+        <div className="relative">
+          <button 
+            onClick={(e) => {
+              e.stopPropagation();
+              setPickerOpen(!pickerOpen);
+            }}
+            className="bg-transparent p-1 rounded-full"
+            aria-label="Save to collection"
+            aria-expanded={pickerOpen}
+          >
+            {inCollection ? (
+              <FaBookmark className="text-wikitok-primary text-xl" />
+            ) : (
+              <FaRegBookmark className="text-white text-xl" />
+            )}
+          </button>
+          {pickerOpen && <CollectionPicker page={{ ...page, language }} onClose={closePicker} />}
+        </div>
+      )}
+      
+      {/* Hide this kind of article from the feeds */}
+      {pageId && (
+        <div className="relative">
+          <button 
+            onClick={(e) => {
+              e.stopPropagation();
+              setMuteOpen(!muteOpen);
+            }}
+            className="bg-transparent p-1 rounded-full"
+            aria-label="Mute topic"
+            aria-expanded={muteOpen}
+          >
+            <FaBan className="text-white text-xl" />
+          </button>
+          {muteOpen && <MuteTopicMenu page={{ ...page, language }} onClose={closeMute} />}
+        </div>
+      )}
       
       {/* Wrap the share button in a relative container */}
       <div className="relative">
         <button 
-          onClick={handleShare}
+          onClick={(e) => {
+            e.stopPropagation();
+            setShareOpen(!shareOpen);
+          }}
           className="bg-transparent p-1 rounded-full"
+          aria-label="Share"
+          aria-expanded={shareOpen}
         >
           <FaShare className="text-white text-xl" />
         </button>
+        {shareOpen && <ShareMenu page={{ ...page, language }} onClose={closeShare} onResult={handleShareResult} />}
         {/* Popup message above the share button */}
-        {showCopied && (
-          <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 bg-gray-800 text-white text-xs px-2 py-1 rounded shadow">
-            Link Copied
+        {shareMessage && (
+          <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 bg-gray-800 text-white text-xs px-2 py-1 rounded shadow whitespace-nowrap">
+            {shareMessage}
           </div>
         )}
       </div>
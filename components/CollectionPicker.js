@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { FaCheck, FaPlus } from 'react-icons/fa';
+import { getCollections, getCollectionsForPage, togglePageInCollection, createCollection } from '../lib/collections';
+
+// Popover listing every collection with a check for the ones the page is saved in
+export default function CollectionPicker({ page, onClose }) {
+  const [collections, setCollections] = useState([]);
+  const [savedIn, setSavedIn] = useState([]);
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => {
+    const load = () => {
+      setCollections(getCollections());
+      setSavedIn(getCollectionsForPage(page.pageid, page.language));
+    };
+
+    load();
+    window.addEventListener('collectionsChanged', load);
+    return () => window.removeEventListener('collectionsChanged', load);
+  }, [page.pageid, page.language]);
+
+  // Close on Escape without the card stack also handling the key
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [onClose]);
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const collection = createCollection(newName);
+    if (collection) {
+      // A collection created from a card starts with that card
+      togglePageInCollection(collection.id, page);
+      setNewName('');
+    }
+  };
+
+  return (
+    <div
+      className="absolute bottom-full right-0 mb-2 w-56 bg-gray-800 text-white text-sm rounded-lg shadow-lg overflow-hidden z-30"
+      onClick={(e) => e.stopPropagation()}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Save to collection"
+    >
+      {collections.length > 0 && (
+        <ul className="max-h-48 overflow-y-auto">
+          {collections.map(collection => {
+            const saved = savedIn.includes(collection.id);
+            return (
+              <li key={collection.id}>
+                <button
+                  onClick={() => togglePageInCollection(collection.id, page)}
+                  className="w-full flex items-center justify-between px-3 py-2 hover:bg-gray-700 text-left"
+                  aria-pressed={saved}
+                >
+                  <span className="truncate">{collection.name}</span>
+                  {saved && <FaCheck className="text-wikitok-primary flex-shrink-0 ml-2" />}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="flex items-center border-t border-gray-700">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New collection"
+          className="flex-1 min-w-0 bg-transparent px-3 py-2 focus:outline-none"
+          aria-label="New collection name"
+        />
+        <button
+          type="submit"
+          disabled={!newName.trim()}
+          className="px-3 py-2 text-wikitok-primary disabled:text-gray-500"
+          aria-label="Create collection"
+        >
+          <FaPlus />
+        </button>
+      </form>
+    </div>
+  );
+}
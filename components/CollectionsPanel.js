@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { FaArrowUp, FaArrowDown, FaPen, FaTrash, FaPlay, FaTimes, FaChevronDown, FaChevronRight } from 'react-icons/fa';
+import {
+  getCollections,
+  renameCollection,
+  deleteCollection,
+  moveCollection,
+  removeFromCollection
+} from '../lib/collections';
+import { getWikiUrl } from '../lib/language';
+
+// Collections tab of the sidebar: manage collections and open one as the card stack
+export default function CollectionsPanel({ onOpen }) {
+  const [collections, setCollections] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  useEffect(() => {
+    const load = () => setCollections(getCollections());
+
+    load();
+    window.addEventListener('collectionsChanged', load);
+    return () => window.removeEventListener('collectionsChanged', load);
+  }, []);
+
+  const startRename = (collection) => {
+    setEditingId(collection.id);
+    setDraftName(collection.name);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    renameCollection(editingId, draftName);
+    setEditingId(null);
+  };
+
+  const handleDelete = (collection) => {
+    if (window.confirm(`Delete "${collection.name}" and the ${collection.pages.length} pages saved in it?`)) {
+      deleteCollection(collection.id);
+    }
+  };
+
+  const handleOpen = (collection) => {
+    // The feed page swaps its stack for the collection
+    const event = new CustomEvent('openCollection', {
+      detail: { collectionId: collection.id }
+    });
+    window.dispatchEvent(event);
+    onOpen();
+  };
+
+  if (collections.length === 0) {
+    return (
+      <p className="text-center py-8 text-gray-400">
+        No collections yet. Use the bookmark on a card to start one.
+      </p>
+    );
+  }
+
+  return (
+    <ul className="space-y-2">
+      {collections.map((collection, index) => {
+        const expanded = expandedId === collection.id;
+        return (
+          <li key={collection.id} className="border-b border-gray-700 pb-2">
+            <div className="flex items-center text-white">
+              <button
+                onClick={() => setExpandedId(expanded ? null : collection.id)}
+                className="p-1 text-gray-400"
+                aria-label={expanded ? 'Hide pages' : 'Show pages'}
+                aria-expanded={expanded}
+              >
+                {expanded ? <FaChevronDown /> : <FaChevronRight />}
+              </button>
+
+              {editingId === collection.id ? (
+                <form onSubmit={submitRename} className="flex-1 min-w-0 mx-1">
+                  <input
+                    type="text"
+                    value={draftName}
+                    onChange={(e) => setDraftName(e.target.value)}
+                    onBlur={submitRename}
+                    onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                    className="w-full bg-gray-800 px-2 py-1 rounded focus:outline-none"
+                    aria-label="Collection name"
+                    autoFocus
+                  />
+                </form>
+              ) : (
+                <span className="flex-1 min-w-0 mx-1 truncate font-medium">
+                  {collection.name}
+                  <span className="ml-2 text-xs text-gray-400">{collection.pages.length}</span>
+                </span>
+              )}
+
+              <button
+                onClick={() => handleOpen(collection)}
+                disabled={collection.pages.length === 0}
+                className="p-2 text-wikitok-primary disabled:text-gray-600"
+                title="Open as feed"
+              >
+                <FaPlay />
+              </button>
+              <button onClick={() => startRename(collection)} className="p-2 text-gray-300" title="Rename">
+                <FaPen />
+              </button>
+              <button
+                onClick={() => moveCollection(collection.id, -1)}
+                disabled={index === 0}
+                className="p-2 text-gray-300 disabled:text-gray-600"
+                title="Move up"
+              >
+                <FaArrowUp />
+              </button>
+              <button
+                onClick={() => moveCollection(collection.id, 1)}
+                disabled={index === collections.length - 1}
+                className="p-2 text-gray-300 disabled:text-gray-600"
+                title="Move down"
+              >
+                <FaArrowDown />
+              </button>
+              <button onClick={() => handleDelete(collection)} className="p-2 text-red-400 hover:text-red-300" title="Delete">
+                <FaTrash />
+              </button>
+            </div>
+
+            {/* Pages saved in the collection */}
+            {expanded && (
+              <ul className="mt-2 ml-6 space-y-1 text-sm">
+                {collection.pages.length === 0 && <li className="text-gray-400">Empty</li>}
+                {collection.pages.map(entry => (
+                  <li key={`${entry.language}-${entry.id}`} className="flex items-center">
+                    <a
+                      href={getWikiUrl(entry.title, entry.language)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex-1 min-w-0 truncate text-gray-200 hover:underline"
+                    >
+                      {entry.title}
+                      <span className="ml-2 text-xs uppercase text-gray-400">{entry.language}</span>
+                    </a>
+                    <button
+                      onClick={() => removeFromCollection(collection.id, entry.id, entry.language)}
+                      className="p-1 text-gray-400 hover:text-white"
+                      aria-label={`Remove ${entry.title}`}
+                    >
+                      <FaTimes />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,77 @@
+import { FaFolderOpen, FaTimes } from 'react-icons/fa';
+import { formatFeaturedDate } from '../lib/featured';
+
+const TABS = [
+  { mode: 'foryou', label: 'For You' },
+  { mode: 'random', label: 'Random' },
+  { mode: 'today', label: 'Today' },
+];
+
+// The featured feed starts in 2015; `toISODate` gives the YYYY-MM-DD that date inputs use
+const FIRST_FEATURED_DATE = '2015-01-01';
+const toISODate = (date) => formatFeaturedDate(date).replace(/\//g, '-');
+
+export default function FeedTabs({
+  mode,
+  onModeChange,
+  date,
+  onDateChange,
+  showDatePicker = true,
+  collectionName,
+  onCloseCollection
+}) {
+  const handleDateChange = (e) => {
+    if (!e.target.value) return;
+    // Parse as local midnight so the picked day doesn't shift with the timezone
+    const [year, month, day] = e.target.value.split('-').map(Number);
+    onDateChange(new Date(year, month - 1, day));
+  };
+
+  return (
+    <div className="fixed top-4 left-1/2 -translate-x-1/2 z-[999] flex flex-col items-center">
+      <div className="flex bg-gray-800 bg-opacity-50 rounded-full p-1 text-sm" role="tablist">
+        {TABS.map(tab => (
+          <button
+            key={tab.mode}
+            role="tab"
+            aria-selected={!collectionName && mode === tab.mode}
+            onClick={() => onModeChange(tab.mode)}
+            className={`px-3 py-1 rounded-full font-medium ${
+              !collectionName && mode === tab.mode ? 'bg-white text-black' : 'text-white hover:bg-gray-700'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Open collection, which replaces the tab's feed until closed */}
+      {collectionName && (
+        <div className="mt-2 flex items-center bg-gray-800 bg-opacity-70 text-white text-sm rounded-full pl-3 pr-1 py-1 max-w-[16rem]">
+          <FaFolderOpen className="mr-2 flex-shrink-0" />
+          <span className="truncate">{collectionName}</span>
+          <button
+            onClick={onCloseCollection}
+            className="ml-1 p-1 rounded-full hover:bg-gray-700"
+            aria-label="Close collection"
+          >
+            <FaTimes />
+          </button>
+        </div>
+      )}
+
+      {/* Past dates for the Today feed */}
+      {mode === 'today' && showDatePicker && !collectionName && (
+        <input
+          type="date"
+          value={toISODate(date)}
+          min={FIRST_FEATURED_DATE}
+          max={toISODate(new Date())}
+          onChange={handleDateChange}
+          className="mt-2 bg-gray-800 bg-opacity-70 text-white text-sm rounded-full px-3 py-1 focus:outline-none [color-scheme:dark]"
+          aria-label="Featured content date"
+        />
+      )}
+    </div>
+  );
+}
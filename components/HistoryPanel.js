@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { FaTimes, FaSearch, FaTrash, FaImage } from 'react-icons/fa';
+import { getHistory, removeHistoryEntry, clearHistory } from '../lib/history';
+
+// "42s" or "3m 5s"
+function formatDwell(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+// Day heading for an entry: "Today", "Yesterday" or the date
+function formatDay(timestamp) {
+  const day = new Date(timestamp).toDateString();
+  const today = new Date();
+  if (day === today.toDateString()) return 'Today';
+  today.setDate(today.getDate() - 1);
+  if (day === today.toDateString()) return 'Yesterday';
+  return new Date(timestamp).toLocaleDateString();
+}
+
+export default function HistoryPanel({ isOpen, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const load = () => setEntries(getHistory());
+    load();
+    window.addEventListener('historyChanged', load);
+    return () => window.removeEventListener('historyChanged', load);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const term = searchTerm.trim().toLowerCase();
+  const filtered = entries.filter(entry => !term || entry.title.toLowerCase().includes(term));
+
+  const handleOpen = (entry) => {
+    // The feed page inserts the article as the current card
+    const event = new CustomEvent('openArticle', {
+      detail: { title: entry.title, language: entry.language }
+    });
+    window.dispatchEvent(event);
+    onClose();
+  };
+
+  const handleClear = () => {
+    if (window.confirm('Clear your whole reading history?')) {
+      clearHistory();
+    }
+  };
+
+  return (
+    <>
+      {/* Click outside to close */}
+      <div className="fixed inset-0 z-[1001]" onClick={onClose} style={{ background: 'transparent' }} />
+
+      <div
+        className="fixed right-0 top-0 bottom-0 z-[1002] w-full sm:max-w-md bg-wikitok-dark shadow-lg"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Reading history"
+      >
+        <div className="h-full overflow-y-auto p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-xl font-bold text-white">History</h2>
+            <div className="flex items-center space-x-2">
+              {entries.length > 0 && (
+                <button onClick={handleClear} className="text-sm text-red-400 hover:text-red-300">
+                  Clear all
+                </button>
+              )}
+              <button onClick={onClose} className="p-1 text-white" aria-label="Close history">
+                <FaTimes />
+              </button>
+            </div>
+          </div>
+
+          {/* Search input */}
+          <div className="mb-4 relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <FaSearch className="text-gray-400" />
+            </div>
+            <input
+              type="text"
+              placeholder="Search history..."
+              className="bg-gray-800 text-white w-full pl-10 pr-4 py-2 rounded-lg focus:outline-none"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+          </div>
+
+          {entries.length === 0 ? (
+            <p className="text-center py-8 text-gray-400">Pages you view will show up here</p>
+          ) : filtered.length === 0 ? (
+            <p className="text-center py-8 text-gray-400">No pages match your search</p>
+          ) : (
+            <ul className="space-y-3">
+              {filtered.map((entry, index) => {
+                const day = formatDay(entry.viewedAt);
+                const showDay = index === 0 || formatDay(filtered[index - 1].viewedAt) !== day;
+                return (
+                  <li key={`${entry.language}-${entry.id}`}>
+                    {showDay && <h3 className="text-xs uppercase text-gray-400 mb-2 mt-4">{day}</h3>}
+                    <div className="flex items-center border-b border-gray-700 pb-2">
+                      <button onClick={() => handleOpen(entry)} className="flex flex-1 min-w-0 items-center text-left hover:bg-gray-700 rounded p-1">
+                        <div className="mr-3 w-12 h-12 flex-shrink-0 rounded overflow-hidden bg-gray-800">
+                          {entry.thumbnail ? (
+                            <img src={entry.thumbnail} alt="" className="w-full h-full object-cover" />
+                          ) : (
+                            <div className="w-full h-full flex items-center justify-center">
+                              <FaImage className="text-gray-600" />
+                            </div>
+                          )}
+                        </div>
+                        <div className="min-w-0">
+                          <p className="font-medium text-white truncate">
+                            {entry.title}
+                            <span className="ml-2 text-xs uppercase text-gray-400">{entry.language}</span>
+                          </p>
+                          <p className="text-xs text-gray-400">
+                            {new Date(entry.viewedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                            {' · '}{formatDwell(entry.dwellMs)}
+                            {entry.views > 1 && ` · ${entry.views} views`}
+                          </p>
+                        </div>
+                      </button>
+                      <button
+                        onClick={() => removeHistoryEntry(entry.id, entry.language)}
+                        className="p-2 text-gray-400 hover:text-white flex-shrink-0"
+                        title="Remove from history"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
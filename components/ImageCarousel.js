@@ -1,51 +1,71 @@
 import { useState, useEffect } from 'react';
+import { useSwipeable } from 'react-swipeable';
+import { FaExpand } from 'react-icons/fa';
+import ImageLightbox from './ImageLightbox';
+import useDataSaver from '../hooks/useDataSaver';
+import { getImageSources } from '../lib/images';
+
+// Horizontal distance (px) before a drag counts as a swipe between images; the card stack in
+// WikiBrowser only follows vertical drags, so the two don't compete
+const SWIPE_DELTA = 30;
+
+function ImageCredit({ credit }) {
+  if (!credit || (!credit.artist && !credit.license)) return null;
+
+  const text = [credit.artist, credit.license].filter(Boolean).join(' · ');
+  return (
+    <a
+      href={credit.sourceUrl || credit.licenseUrl || undefined}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={(e) => e.stopPropagation()}
+      className="min-w-0 truncate bg-black bg-opacity-50 text-white text-xs px-2 py-1 rounded"
+      title={text}
+    >
+      © {text}
+    </a>
+  );
+}
 
 export default function ImageCarousel({ images, loading }) {
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   const [imagesLoaded, setImagesLoaded] = useState([]);
+  // Rotation stops for good once the user picks an image themselves
+  const [paused, setPaused] = useState(false);
+  const [lightboxOpen, setLightboxOpen] = useState(false);
+  const dataSaver = useDataSaver();
 
-  // Preload images
+  // Each image fades in over its blurred placeholder once loaded
   useEffect(() => {
+    setCurrentImageIndex(0);
+    setPaused(false);
     if (!images || images.length === 0) return;
-
     setImagesLoaded(new Array(images.length).fill(false));
+  }, [images]);
 
-    const imageObjects = images.map((item, index) => {
-      const src = typeof item === 'object' && item.url ? item.url : item;
-      const img = new Image();
-
-      img.onload = () => {
-        setImagesLoaded(prev => {
-          const newState = [...prev];
-          newState[index] = true;
-          return newState;
-        });
-      };
-
-      img.onerror = () => {
-        setImagesLoaded(prev => {
-          const newState = [...prev];
-          newState[index] = true;
-          return newState;
-        });
-        console.error(`Failed to load image: ${src}`);
-      };
-
-      img.src = src;
-      return img;
+  const handleImageLoad = (index) => {
+    setImagesLoaded(prev => {
+      const newState = [...prev];
+      newState[index] = true;
+      return newState;
     });
+  };
 
-    return () => {
-      imageObjects.forEach(img => {
-        img.onload = null;
-        img.onerror = null;
-      });
-    };
-  }, [images]);
+  const showImage = (index) => {
+    setPaused(true);
+    setCurrentImageIndex(Math.min(Math.max(index, 0), images.length - 1));
+  };
+
+  const swipeHandlers = useSwipeable({
+    onSwipedLeft: () => showImage(currentImageIndex + 1),
+    onSwipedRight: () => showImage(currentImageIndex - 1),
+    delta: SWIPE_DELTA,
+    trackMouse: true
+  });
 
-  // Auto-rotate images every 5 seconds
+  // Auto-rotate images every 5 seconds; not in data saver mode, where images load only when shown
   useEffect(() => {
-    if (!images || images.length <= 1) return; // Don't rotate if there's only one image
+    if (!images || images.length <= 1 || dataSaver || paused) return; // Don't rotate if there's only one image
     
     const interval = setInterval(() => {
       setCurrentImageIndex(prevIndex => 
@@ -54,7 +74,7 @@ export default function ImageCarousel({ images, loading }) {
     }, 5000); // Change image every 5 seconds
     
     return () => clearInterval(interval);
-  }, [images]);
+  }, [images, dataSaver, paused]);
 
   if (!images || images.length === 0) {
     return (
@@ -64,33 +84,72 @@ export default function ImageCarousel({ images, loading }) {
     );
   }
 
+  const currentImage = images[currentImageIndex];
+
   return (
-    <div className="absolute inset-0">
-      {/* Main image */}
+    <div className="absolute inset-0" {...swipeHandlers}>
+      {/* Main image, over a blurred low-res version while it loads */}
       {images.map((item, index) => {
-        const src = typeof item === 'object' && item.url ? item.url : item;
+        const { src, srcSet, sizes, placeholder } = getImageSources(item, dataSaver);
         const alt = typeof item === 'object' && item.alt ? item.alt : '';
+        const isCurrent = index === currentImageIndex;
+        // In data saver mode an image is only fetched once it's shown
+        if (dataSaver && !isCurrent && !imagesLoaded[index]) return null;
+
         return (
-          <img
-            key={src}
-            src={src}
-            alt={alt}
-            className={`absolute inset-0 w-full h-full object-cover transition-opacity duration-300 ${
-              index === currentImageIndex ? 'opacity-100' : 'opacity-0'
-            }`}
-            style={{ filter: 'brightness(0.7)' }} // Darkens the image slightly
-            loading="lazy"
-          />
+          <div key={src} className={`absolute inset-0 transition-opacity duration-300 ${isCurrent ? 'opacity-100' : 'opacity-0'}`}>
+            {placeholder && !imagesLoaded[index] && (
+              <img
+                src={placeholder}
+                alt=""
+                aria-hidden="true"
+                className="absolute inset-0 w-full h-full object-cover scale-110"
+                style={{ filter: 'blur(24px) brightness(0.7)' }}
+              />
+            )}
+            <img
+              src={src}
+              srcSet={srcSet || undefined}
+              sizes={sizes || undefined}
+              alt={alt}
+              onLoad={() => handleImageLoad(index)}
+              onError={() => {
+                handleImageLoad(index);
+                console.error(`Failed to load image: ${src}`);
+              }}
+              className={`absolute inset-0 w-full h-full object-cover transition-opacity duration-300 ${
+                imagesLoaded[index] || !placeholder ? 'opacity-100' : 'opacity-0'
+              }`}
+              style={{ filter: 'brightness(0.7)' }} // Darkens the image slightly
+              loading="lazy"
+            />
+          </div>
         );
       })}
 
+      {/* Author and license of the visible image, linking to its description page, and fullscreen */}
+      <div className="absolute top-40 right-4 z-30 max-w-[70%] flex items-center gap-2">
+        <ImageCredit credit={currentImage && currentImage.credit} />
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setPaused(true);
+            setLightboxOpen(true);
+          }}
+          className="flex-shrink-0 p-2 rounded-full bg-black bg-opacity-50 text-white"
+          aria-label="View image fullscreen"
+        >
+          <FaExpand />
+        </button>
+      </div>
+
       {/* Image indicators (dots) */}
       {images.length > 1 && (
         <div className="absolute bottom-16 left-0 right-0 flex justify-center space-x-2 z-30">
           {images.map((_, index) => (
             <button
               key={index}
-              onClick={() => setCurrentImageIndex(index)}
+              onClick={() => showImage(index)}
               className={`w-2 h-2 rounded-full focus:outline-none ${
                 index === currentImageIndex ? 'bg-white' : 'bg-gray-400 bg-opacity-60'
               }`}
@@ -100,6 +159,16 @@ export default function ImageCarousel({ images, loading }) {
         </div>
       )}
 
+      {lightboxOpen && (
+        <ImageLightbox
+          images={images}
+          index={currentImageIndex}
+          onChange={showImage}
+          onClose={() => setLightboxOpen(false)}
+          dataSaver={dataSaver}
+        />
+      )}
+
       {/* Loading indicator */}
       {loading && (
         <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-40">
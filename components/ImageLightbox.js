@@ -0,0 +1,302 @@
+import { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { FaTimes, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import { getImageSources } from '../lib/images';
+
+const MAX_SCALE = 4;
+const DOUBLE_TAP_SCALE = 2.5;
+const DOUBLE_TAP_DELAY = 300; // ms
+// Pointer movement (px) below which a press counts as a tap
+const TAP_SLOP = 10;
+// Horizontal distance (px) a swipe has to cover to change images
+const SWIPE_DISTANCE = 50;
+
+const UNZOOMED = { scale: 1, x: 0, y: 0 };
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Fullscreen view of a card's images, with pinch, double-tap and wheel zoom and a caption with the
+ * file's description and credit from Commons
+ * @param {Array} images - Images as passed to ImageCarousel
+ * @param {number} index - Index of the image shown
+ * @param {Function} onChange - Called with the index of the image to show
+ * @param {Function} onClose - Called to close the lightbox
+ * @param {boolean} dataSaver - Offer only small sources
+ */
+export default function ImageLightbox({ images, index, onChange, onClose, dataSaver }) {
+  const [transform, setTransform] = useState(UNZOOMED);
+  const [animate, setAnimate] = useState(false);
+  const dialogRef = useRef(null);
+  const stageRef = useRef(null);
+  const closeRef = useRef(null);
+  // Pointers down on the stage by id, the gesture they make and when the last tap ended
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const lastTap = useRef(0);
+  const transformRef = useRef(transform);
+  transformRef.current = transform;
+
+  // Each image opens unzoomed
+  useEffect(() => {
+    setTransform(UNZOOMED);
+  }, [index]);
+
+  // Focus the close button while open, then give focus back to what had it, e.g. the button that opened it
+  useEffect(() => {
+    const opener = document.activeElement;
+    if (closeRef.current) closeRef.current.focus();
+
+    return () => {
+      if (opener && opener.isConnected && typeof opener.focus === 'function') opener.focus();
+    };
+  }, []);
+
+  // Escape closes and arrows change images; captured so the card behind doesn't react
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      } else if (e.key === 'ArrowLeft' && index > 0) {
+        onChange(index - 1);
+      } else if (e.key === 'ArrowRight' && index < images.length - 1) {
+        onChange(index + 1);
+      } else {
+        return;
+      }
+      e.stopPropagation();
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [images, index, onChange, onClose]);
+
+  // Keep a zoomed image from being panned out of view
+  const clamp = ({ scale, x, y }) => {
+    const rect = stageRef.current.getBoundingClientRect();
+    const maxX = ((scale - 1) * rect.width) / 2;
+    const maxY = ((scale - 1) * rect.height) / 2;
+    return {
+      scale,
+      x: Math.min(Math.max(x, -maxX), maxX),
+      y: Math.min(Math.max(y, -maxY), maxY)
+    };
+  };
+
+  // Zoom to a scale, keeping the point under (clientX, clientY) in place
+  const zoomAt = (current, scale, clientX, clientY) => {
+    const rect = stageRef.current.getBoundingClientRect();
+    const nextScale = Math.min(Math.max(scale, 1), MAX_SCALE);
+    const pointX = clientX - rect.left - rect.width / 2;
+    const pointY = clientY - rect.top - rect.height / 2;
+    const ratio = nextScale / current.scale;
+    return clamp({
+      scale: nextScale,
+      x: pointX - (pointX - current.x) * ratio,
+      y: pointY - (pointY - current.y) * ratio
+    });
+  };
+
+  // Start a pinch with two pointers down or a pan with one, from the current zoom
+  const startGesture = (continued) => {
+    const points = [...pointers.current.values()];
+    const start = transformRef.current;
+
+    if (points.length >= 2) {
+      const [a, b] = points;
+      gesture.current = { type: 'pinch', distance: distance(a, b), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, start };
+    } else if (points.length === 1) {
+      // A pan left over from a pinch is never a tap or a swipe
+      gesture.current = { type: 'pan', x: points[0].x, y: points[0].y, start, moved: continued };
+    } else {
+      gesture.current = null;
+    }
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    setAnimate(false);
+    startGesture(false);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const current = gesture.current;
+    if (!current) return;
+
+    if (current.type === 'pinch') {
+      const [a, b] = [...pointers.current.values()];
+      setTransform(zoomAt(current.start, current.start.scale * (distance(a, b) / current.distance), current.x, current.y));
+      return;
+    }
+
+    const dx = e.clientX - current.x;
+    const dy = e.clientY - current.y;
+    if (Math.abs(dx) > TAP_SLOP || Math.abs(dy) > TAP_SLOP) current.moved = true;
+    if (current.start.scale > 1) {
+      setTransform(clamp({ ...current.start, x: current.start.x + dx, y: current.start.y + dy }));
+    }
+  };
+
+  const handleDoubleTap = (clientX, clientY) => {
+    setAnimate(true);
+    setTransform(current => (current.scale > 1 ? UNZOOMED : zoomAt(current, DOUBLE_TAP_SCALE, clientX, clientY)));
+  };
+
+  const handlePointerUp = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.delete(e.pointerId);
+
+    const current = gesture.current;
+    if (pointers.current.size > 0) {
+      startGesture(true);
+      return;
+    }
+    gesture.current = null;
+    if (!current || current.type !== 'pan' || e.type === 'pointercancel') return;
+
+    const dx = e.clientX - current.x;
+    const dy = e.clientY - current.y;
+
+    // Swipes change images unless zoomed in, where dragging pans instead
+    if (current.start.scale === 1 && Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+      const nextIndex = dx < 0 ? index + 1 : index - 1;
+      if (nextIndex >= 0 && nextIndex < images.length) onChange(nextIndex);
+      return;
+    }
+
+    if (current.moved) return;
+    const now = Date.now();
+    if (now - lastTap.current < DOUBLE_TAP_DELAY) {
+      handleDoubleTap(e.clientX, e.clientY);
+      lastTap.current = 0;
+    } else {
+      lastTap.current = now;
+    }
+  };
+
+  // Mouse wheel and trackpad pinch (a wheel event with ctrlKey)
+  const handleWheel = (e) => {
+    // Otherwise the page scrolls, or the browser zooms it on a pinch
+    e.preventDefault();
+    e.stopPropagation();
+    setAnimate(false);
+    const factor = Math.exp(-e.deltaY / (e.ctrlKey ? 100 : 300));
+    setTransform(current => zoomAt(current, current.scale * factor, e.clientX, e.clientY));
+  };
+  const wheelRef = useRef(handleWheel);
+  wheelRef.current = handleWheel;
+
+  const item = images[index];
+
+  // React's wheel listeners are passive, where preventDefault does nothing, so listen natively
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+
+    const listener = (e) => wheelRef.current(e);
+    dialog.addEventListener('wheel', listener, { passive: false });
+    return () => dialog.removeEventListener('wheel', listener);
+  }, [item]);
+
+  if (!item) return null;
+
+  const { src, srcSet } = getImageSources(item, dataSaver);
+  const alt = typeof item === 'object' && item.alt ? item.alt : '';
+  const credit = typeof item === 'object' ? item.credit : null;
+  const attribution = credit ? [credit.artist, credit.license].filter(Boolean).join(' · ') : '';
+
+  return createPortal(
+    <div
+      ref={dialogRef}
+      className="fixed inset-0 z-[1003] bg-black text-white"
+      role="dialog"
+      aria-modal="true"
+      aria-label={alt || 'Image'}
+      // The lightbox is rendered outside the card but React still bubbles its events to it
+      onClick={(e) => e.stopPropagation()}
+      onMouseDown={(e) => e.stopPropagation()}
+    >
+      <div
+        ref={stageRef}
+        className="absolute inset-0 flex items-center justify-center overflow-hidden touch-none select-none"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <img
+          key={src}
+          src={src}
+          srcSet={srcSet || undefined}
+          // Ask for a sharper source once zoomed in
+          sizes={srcSet ? `${Math.ceil(transform.scale) * 100}vw` : undefined}
+          alt={alt}
+          draggable={false}
+          className={`max-w-full max-h-full object-contain ${animate ? 'transition-transform duration-200' : ''}`}
+          style={{ transform: `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})` }}
+        />
+      </div>
+
+      <button
+        ref={closeRef}
+        onClick={onClose}
+        className="absolute top-4 right-4 p-2 rounded-full bg-black bg-opacity-50"
+        aria-label="Close image"
+      >
+        <FaTimes className="text-xl" />
+      </button>
+
+      {index > 0 && (
+        <button
+          onClick={() => onChange(index - 1)}
+          className="hidden md:block absolute left-4 top-1/2 -translate-y-1/2 p-3 rounded-full bg-black bg-opacity-50"
+          aria-label="Previous image"
+        >
+          <FaChevronLeft />
+        </button>
+      )}
+      {index < images.length - 1 && (
+        <button
+          onClick={() => onChange(index + 1)}
+          className="hidden md:block absolute right-4 top-1/2 -translate-y-1/2 p-3 rounded-full bg-black bg-opacity-50"
+          aria-label="Next image"
+        >
+          <FaChevronRight />
+        </button>
+      )}
+
+      {/* Caption, out of the way while zoomed in */}
+      {transform.scale === 1 && (alt || credit) && (
+        <div className="absolute bottom-0 left-0 right-0 p-4 pb-8 text-sm bg-gradient-to-t from-black/90 to-transparent">
+          {images.length > 1 && (
+            <p className="text-xs text-gray-400 mb-1">{index + 1} / {images.length}</p>
+          )}
+          {alt && <p className="font-medium">{alt}</p>}
+          {credit && credit.description && (
+            <p className="mt-1 max-w-2xl text-gray-300 line-clamp-4" dir="auto">{credit.description}</p>
+          )}
+          {(attribution || (credit && credit.sourceUrl)) && (
+            <p className="mt-2 text-xs text-gray-400">
+              {attribution}
+              {credit.sourceUrl && (
+                <>
+                  {attribution && ' · '}
+                  <a href={credit.sourceUrl} target="_blank" rel="noopener noreferrer" className="underline hover:text-white">
+                    File page
+                  </a>
+                </>
+              )}
+            </p>
+          )}
+        </div>
+      )}
+    </div>,
+    document.body
+  );
+}
@@ -1,50 +1,48 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { FaGlobe, FaTimes } from 'react-icons/fa';
-
-const LANGUAGES = [
-  { code: 'en', name: 'English' },
-  { code: 'es', name: 'Español' },
-  { code: 'fr', name: 'Français' },
-  { code: 'de', name: 'Deutsch' },
-  { code: 'it', name: 'Italiano' },
-  { code: 'pt', name: 'Português' },
-  { code: 'ru', name: 'Русский' },
-  { code: 'ja', name: '日本語' },
-  { code: 'zh', name: '中文' },
-  { code: 'ar', name: 'العربية' },
-  { code: 'hi', name: 'हिन्दी' },
-];
+import { LANGUAGES, DEFAULT_LANGUAGE, getStoredLanguage, setLanguage } from '../lib/language';
 
 export default function LanguageSelector({ onLanguageChange }) {
   const [isOpen, setIsOpen] = useState(false);
-  const [currentLanguage, setCurrentLanguage] = useState('en');
-  
+  const [currentLanguage, setCurrentLanguage] = useState(DEFAULT_LANGUAGE);
+
+  // Restore the saved language after mount so server and client markup match
+  useEffect(() => {
+    setCurrentLanguage(getStoredLanguage());
+  }, []);
+
   const handleLanguageSelect = (langCode) => {
-    setCurrentLanguage(langCode);
     setIsOpen(false);
+    if (langCode === currentLanguage) return;
+
+    setCurrentLanguage(langCode);
+    // Persist and broadcast the change to the feed
+    setLanguage(langCode);
     if (onLanguageChange) {
       onLanguageChange(langCode);
     }
   };
-  
+
   return (
     <div className="relative">
-      <button 
+      <button
         onClick={() => setIsOpen(!isOpen)}
-        className="fixed top-4 left-20 z-30 bg-wikitok-gray p-2 rounded-full"
+        className="flex items-center bg-gray-800 bg-opacity-50 p-2 rounded-full text-white"
+        aria-label="Select language"
       >
-        <FaGlobe className="text-white text-xl" />
+        <FaGlobe className="text-xl" />
+        <span className="ml-1 text-xs font-medium uppercase">{currentLanguage}</span>
       </button>
-      
+
       {isOpen && (
-        <div className="fixed top-16 left-4 z-40 bg-gray-800 text-white rounded-lg shadow-lg w-52">
+        <div className="absolute top-12 right-0 z-40 bg-gray-800 text-white rounded-lg shadow-lg w-52">
           <div className="flex justify-between items-center p-2 border-b border-gray-700">
             <h3 className="font-medium">Select Language</h3>
             <button onClick={() => setIsOpen(false)}>
               <FaTimes />
             </button>
           </div>
-          
+
           <ul className="max-h-60 overflow-y-auto py-1">
             {LANGUAGES.map((lang) => (
               <li key={lang.code}>
@@ -63,4 +61,4 @@ export default function LanguageSelector({ onLanguageChange }) {
       )}
     </div>
   );
-} 
\ No newline at end of file
+}
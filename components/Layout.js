@@ -1,34 +1,105 @@
 import { useState } from 'react';
-import { FaHeart } from 'react-icons/fa';
+import { FaHeart, FaSearch, FaHistory, FaCog } from 'react-icons/fa';
 import LikedPagesSidebar from './LikedPagesSidebar';
+import LanguageSelector from './LanguageSelector';
+import SearchOverlay from './SearchOverlay';
+import HistoryPanel from './HistoryPanel';
+import SettingsPanel from './SettingsPanel';
+import AccountButton from './AccountButton';
+import TopicChips from './TopicChips';
+import TopicPicker from './TopicPicker';
 
 export default function Layout({ children }) {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [topicsOpen, setTopicsOpen] = useState(false);
+
   return (
     <>
       {/* Logo */}
       <div className="fixed top-4 left-4 z-[1000] flex items-center">
         <span className="text-white font-bold text-xl">WikiTok</span>
       </div>
-      
-      {/* Sidebar trigger */}
-      <button 
-        onClick={() => setSidebarOpen(true)}
-        className="fixed top-4 right-4 z-[1000] bg-gray-800 bg-opacity-50 p-2 rounded-full"
-      >
-        <FaHeart className="text-red-500 text-xl" />
-      </button>
-      
+
+      {/* Top-right controls */}
+      <div className="fixed top-4 right-4 z-[1000] flex items-center space-x-2">
+        <button
+          onClick={() => setSearchOpen(true)}
+          className="bg-gray-800 bg-opacity-50 p-2 rounded-full"
+          aria-label="Search"
+        >
+          <FaSearch className="text-white text-xl" />
+        </button>
+
+        <LanguageSelector />
+
+        <button
+          onClick={() => setHistoryOpen(true)}
+          className="bg-gray-800 bg-opacity-50 p-2 rounded-full"
+          aria-label="History"
+        >
+          <FaHistory className="text-white text-xl" />
+        </button>
+
+        {/* Sidebar trigger */}
+        <button
+          onClick={() => setSidebarOpen(true)}
+          className="bg-gray-800 bg-opacity-50 p-2 rounded-full"
+          aria-label="Liked pages"
+        >
+          <FaHeart className="text-red-500 text-xl" />
+        </button>
+
+        <button
+          onClick={() => setSettingsOpen(true)}
+          className="bg-gray-800 bg-opacity-50 p-2 rounded-full"
+          aria-label="Settings"
+        >
+          <FaCog className="text-white text-xl" />
+        </button>
+
+        {/* Sign-in for syncing likes, hidden when Firebase isn't configured */}
+        <AccountButton />
+      </div>
+
+      {/* Topics the random feed is limited to */}
+      <TopicChips onEdit={() => setTopicsOpen(true)} />
+
       {/* Main content */}
       <main className="relative min-h-screen w-full">
         {children}
       </main>
-      
+
+      {/* Search */}
+      <SearchOverlay
+        isOpen={searchOpen}
+        onClose={() => setSearchOpen(false)}
+      />
+
+      {/* Reading history */}
+      <HistoryPanel
+        isOpen={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+      />
+
+      {/* Topic filters */}
+      <TopicPicker
+        isOpen={topicsOpen}
+        onClose={() => setTopicsOpen(false)}
+      />
+
+      {/* Settings */}
+      <SettingsPanel
+        isOpen={settingsOpen}
+        onClose={() => setSettingsOpen(false)}
+      />
+
       {/* Sidebar */}
-      <LikedPagesSidebar 
-        isOpen={sidebarOpen} 
-        onClose={() => setSidebarOpen(false)} 
+      <LikedPagesSidebar
+        isOpen={sidebarOpen}
+        onClose={() => setSidebarOpen(false)}
       />
     </>
   );
@@ -1,66 +1,58 @@
 import { useState, useEffect, useRef } from 'react';
-import { getAllLikes, removeLike } from '../lib/storage';
+import { getAllLikes, removeLike, updateLikeMetadata } from '../lib/storage';
 import { FaTimes, FaSearch, FaTrash, FaImage } from 'react-icons/fa';
 import axios from 'axios';
+import { getWikiUrl } from '../lib/language';
+import CollectionsPanel from './CollectionsPanel';
+import LikesTransfer from './LikesTransfer';
 
-export default function LikedPagesSidebar({ isOpen, onClose, language = 'en' }) {
-  const [likedPageIds, setLikedPageIds] = useState([]);
-  const [likedPagesData, setLikedPagesData] = useState([]);
+// Likes saved before titles were stored need their metadata fetched once
+const needsMetadata = (like) => like.title === null;
+
+// Newest likes first; migrated likes without a timestamp go last
+const byLikedAt = (a, b) => (b.likedAt || 0) - (a.likedAt || 0);
+
+export default function LikedPagesSidebar({ isOpen, onClose }) {
+  const [likedPages, setLikedPages] = useState([]);
   const [loading, setLoading] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
-  const [filteredPages, setFilteredPages] = useState([]);
+  // 'likes' or 'collections'
+  const [tab, setTab] = useState('likes');
   const overlayRef = useRef(null);
   const sidebarRef = useRef(null);
   
   useEffect(() => {
     if (isOpen) {
-      // Get liked page IDs from localStorage
-      const ids = getAllLikes();
-      setLikedPageIds(ids);
+      // Stored records are enough to render the list
+      const likes = getAllLikes();
+      setLikedPages(likes);
       
-      if (ids.length > 0) {
-        fetchLikedPagesData(ids);
+      const incomplete = likes.filter(needsMetadata);
+      if (incomplete.length > 0) {
+        backfillMetadata(incomplete);
       }
     }
   }, [isOpen]);
   
-  useEffect(() => {
-    // Filter pages based on search term
-    if (searchTerm.trim() === '') {
-      setFilteredPages(likedPagesData);
-    } else {
-      const term = searchTerm.toLowerCase();
-      setFilteredPages(likedPagesData.filter(page => 
-        page.title.toLowerCase().includes(term) || 
-        (page.extract && page.extract.toLowerCase().includes(term))
-      ));
-    }
-  }, [searchTerm, likedPagesData]);
-  
-  const fetchLikedPagesData = async (ids) => {
+  const backfillMetadata = async (likes) => {
     setLoading(true);
     
     try {
-      // Fetch page details from Wikipedia API with language parameter
-      const response = await axios.get(`https://${language}.wikipedia.org/w/api.php`, {
-        params: {
-          action: 'query',
-          format: 'json',
-          pageids: ids.join('|'),
-          prop: 'extracts|info|pageimages',
-          exintro: true,
-          explaintext: true,
-          inprop: 'url',
-          piprop: 'thumbnail',
-          pithumbsize: 100,
-          origin: '*'
-        }
-      });
+      // Group likes by the wiki they came from, one request per language
+      const idsByLanguage = likes.reduce((groups, like) => {
+        groups[like.language] = [...(groups[like.language] || []), like.id];
+        return groups;
+      }, {});
       
-      if (response.data.query && response.data.query.pages) {
-        setLikedPagesData(Object.values(response.data.query.pages));
-        setFilteredPages(Object.values(response.data.query.pages));
-      }
+      const responses = await Promise.all(
+        Object.entries(idsByLanguage).map(([lang, ids]) =>
+          axios.get('/api/getLikedPages', { params: { ids: ids.join('|'), lang } })
+        )
+      );
+      
+      // Save what was fetched so the next open doesn't need the request
+      updateLikeMetadata(responses.flatMap(response => response.data.pages || []));
+      setLikedPages(getAllLikes());
     } catch (error) {
       console.error('Error fetching liked pages data:', error);
     } finally {
@@ -68,21 +60,18 @@ export default function LikedPagesSidebar({ isOpen, onClose, language = 'en' })
     }
   };
   
-  const handleRemoveLike = (pageId, e) => {
+  const term = searchTerm.trim().toLowerCase();
+  const filteredPages = likedPages
+    .filter(like => !term || (like.title || '').toLowerCase().includes(term))
+    .sort(byLikedAt);
+  
+  const handleRemoveLike = (like, e) => {
     e.preventDefault();
     e.stopPropagation();
     
-    // Remove the like from storage
-    removeLike(pageId);
-    
-    // Dispatch a custom event to notify other components
-    const event = new CustomEvent('likeStatusChanged', { detail: { pageId, liked: false } });
-    window.dispatchEvent(event);
-    
-    // Update the UI
-    setLikedPageIds(likedPageIds.filter(id => id !== pageId.toString()));
-    setLikedPagesData(likedPagesData.filter(page => page.pageid !== pageId));
-    setFilteredPages(filteredPages.filter(page => page.pageid !== pageId));
+    // Remove the like from storage, which also notifies other components
+    removeLike(like.id, like.language);
+    setLikedPages(likedPages.filter(other => !(other.id === like.id && other.language === like.language)));
   };
   
   // Use useEffect to detect clicks outside the sidebar
@@ -117,83 +106,115 @@ export default function LikedPagesSidebar({ isOpen, onClose, language = 'en' })
         className={`fixed right-0 top-0 bottom-0 z-[1002] w-full sm:max-w-md bg-wikitok-dark shadow-lg transform transition-transform duration-300 ease-out ${
             isOpen ? 'translate-x-0' : 'translate-x-full'
         }`}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Saved pages"
       >
         <div className="h-full overflow-y-auto p-6">
           <div className="flex justify-between items-center mb-4">
-            <h2 className="text-xl font-bold text-white">Liked Pages</h2>
+            <h2 className="text-xl font-bold text-white">Saved Pages</h2>
             <button onClick={onClose} className="p-1 text-white">
               <FaTimes />
             </button>
           </div>
           
-          {/* Search input */}
-          <div className="mb-4 relative">
-            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-              <FaSearch className="text-gray-400" />
-            </div>
-            <input
-              type="text"
-              placeholder="Search liked pages..."
-              className="bg-gray-800 text-white w-full pl-10 pr-4 py-2 rounded-lg focus:outline-none"
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-            />
+          <div className="flex mb-4 bg-gray-800 rounded-lg p-1 text-sm" role="tablist">
+            {[['likes', 'Liked'], ['collections', 'Collections']].map(([id, label]) => (
+              <button
+                key={id}
+                role="tab"
+                aria-selected={tab === id}
+                onClick={() => setTab(id)}
+                className={`flex-1 py-1 rounded-md font-medium ${
+                  tab === id ? 'bg-white text-black' : 'text-white hover:bg-gray-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
           </div>
           
-          {loading ? (
-            <div className="flex justify-center p-4">
-              <div className="animate-spin h-6 w-6 border-2 border-white rounded-full border-t-transparent"></div>
-            </div>
-          ) : likedPageIds.length === 0 ? (
-            <p className="text-center py-8 text-gray-400">No liked pages yet</p>
-          ) : filteredPages.length === 0 ? (
-            <p className="text-center py-8 text-gray-400">No pages match your search</p>
+          {tab === 'collections' ? (
+            <CollectionsPanel onOpen={onClose} />
           ) : (
-            <ul className="space-y-3">
-              {filteredPages.map(page => (
-                <li key={page.pageid} className="border-b border-gray-700 pb-2">
-                  <div className="flex items-start">
-                    <div className="mr-3 w-16 h-16 flex-shrink-0 rounded overflow-hidden bg-gray-800">
-                      {page.thumbnail ? (
-                        <img 
-                          src={page.thumbnail.source} 
-                          alt={page.title} 
-                          className="w-full h-full object-cover"
-                        />
-                      ) : (
-                        <div className="w-full h-full flex items-center justify-center">
-                          <FaImage className="text-gray-600" />
+            <>
+              <LikesTransfer likes={likedPages} onImported={() => setLikedPages(getAllLikes())} />
+              
+              {/* Search input */}
+              <div className="mb-4 relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaSearch className="text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  placeholder="Search liked pages..."
+                  className="bg-gray-800 text-white w-full pl-10 pr-4 py-2 rounded-lg focus:outline-none"
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                />
+              </div>
+          
+              {loading ? (
+                <div className="flex justify-center p-4">
+                  <div className="animate-spin h-6 w-6 border-2 border-white rounded-full border-t-transparent"></div>
+                </div>
+              ) : likedPages.length === 0 ? (
+                <p className="text-center py-8 text-gray-400">No liked pages yet</p>
+              ) : filteredPages.length === 0 ? (
+                <p className="text-center py-8 text-gray-400">No pages match your search</p>
+              ) : (
+                <ul className="space-y-3">
+                  {filteredPages.map(like => (
+                    <li key={`${like.language}-${like.id}`} className="border-b border-gray-700 pb-2">
+                      <div className="flex items-start">
+                        <div className="mr-3 w-16 h-16 flex-shrink-0 rounded overflow-hidden bg-gray-800">
+                          {like.thumbnail ? (
+                            <img 
+                              src={like.thumbnail} 
+                              alt={like.title || ''} 
+                              className="w-full h-full object-cover"
+                            />
+                          ) : (
+                            <div className="w-full h-full flex items-center justify-center">
+                              <FaImage className="text-gray-600" />
+                            </div>
+                          )}
                         </div>
-                      )}
-                    </div>
                     
-                    <div className="flex-1">
-                      <a 
-                        href={`https://${language}.wikipedia.org/wiki/${encodeURIComponent(page.title)}`}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="block hover:bg-gray-700 p-2 rounded"
-                      >
-                        <h3 className="font-medium">{page.title}</h3>
-                        {page.extract && (
-                          <p className="text-xs text-gray-300 mt-1 line-clamp-2">
-                            {page.extract.substring(0, 100)}...
-                          </p>
-                        )}
-                      </a>
-                    </div>
+                        <div className="flex-1">
+                          <a 
+                            href={like.title
+                              ? getWikiUrl(like.title, like.language)
+                              : `https://${like.language}.wikipedia.org/?curid=${like.id}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="block hover:bg-gray-700 p-2 rounded"
+                          >
+                            <h3 className="font-medium">
+                              {like.title || `Page ${like.id}`}
+                              <span className="ml-2 text-xs uppercase text-gray-400">{like.language}</span>
+                            </h3>
+                            {like.likedAt && (
+                              <p className="text-xs text-gray-400 mt-1">
+                                Liked {new Date(like.likedAt).toLocaleDateString()}
+                              </p>
+                            )}
+                          </a>
+                        </div>
                     
-                    <button 
-                      onClick={(e) => handleRemoveLike(page.pageid, e)}
-                      className="p-2 text-red-400 hover:text-red-300 flex-shrink-0"
-                      title="Remove from likes"
-                    >
-                      <FaTrash />
-                    </button>
-                  </div>
-                </li>
-              ))}
-            </ul>
+                        <button 
+                          onClick={(e) => handleRemoveLike(like, e)}
+                          className="p-2 text-red-400 hover:text-red-300 flex-shrink-0"
+                          title="Remove from likes"
+                        >
+                          <FaTrash />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
           )}
         </div>
       </div>
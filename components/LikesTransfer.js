@@ -0,0 +1,101 @@
+import { useState, useRef } from 'react';
+import { FaDownload, FaUpload } from 'react-icons/fa';
+import { EXPORT_FORMATS, exportLikes, parseLikesFile } from '../lib/likesExport';
+import { importLikes } from '../lib/storage';
+
+// Offer text as a file download
+function downloadFile(contents, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([contents], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Export and import controls of the liked pages sidebar
+export default function LikesTransfer({ likes, onImported }) {
+  const [menuOpen, setMenuOpen] = useState(false);
+  const [status, setStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleExport = (format) => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(exportLikes(likes, format), `wikitok-likes-${date}.${extension}`, mimeType);
+    setMenuOpen(false);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    // Let the same file be picked again after fixing it
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parseLikesFile(await file.text(), file.name);
+      const added = importLikes(imported);
+      const existing = imported.length - added;
+      setStatus({
+        error: false,
+        message: `Imported ${added} ${added === 1 ? 'like' : 'likes'}${existing > 0 ? `, ${existing} already liked` : ''}`
+      });
+      onImported();
+    } catch (error) {
+      console.error('Error importing likes:', error);
+      setStatus({ error: true, message: `Import failed: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="flex space-x-2">
+        <div className="relative">
+          <button
+            onClick={() => setMenuOpen(!menuOpen)}
+            disabled={likes.length === 0}
+            className="flex items-center bg-gray-800 text-white px-3 py-1 rounded-lg hover:bg-gray-700 disabled:text-gray-500"
+            aria-expanded={menuOpen}
+          >
+            <FaDownload className="mr-2" /> Export
+          </button>
+          {menuOpen && (
+            <ul className="absolute left-0 top-full mt-1 w-44 bg-gray-800 rounded-lg shadow-lg overflow-hidden z-10">
+              {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                <li key={format}>
+                  <button
+                    onClick={() => handleExport(format)}
+                    className="w-full text-left px-3 py-2 text-white hover:bg-gray-700"
+                  >
+                    {label}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className="flex items-center bg-gray-800 text-white px-3 py-1 rounded-lg hover:bg-gray-700"
+          title="Import likes from a WikiTok JSON or CSV export"
+        >
+          <FaUpload className="mr-2" /> Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+
+      {status && (
+        <p className={`mt-2 ${status.error ? 'text-red-400' : 'text-gray-300'}`} role="status">
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+}
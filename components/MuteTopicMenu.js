@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { FaBan } from 'react-icons/fa';
+import { getPageTopics } from '../lib/wikiapi';
+import { getSettings } from '../lib/settings';
+import { muteCategory, unmuteCategory, blockKeyword } from '../lib/contentFilter';
+
+// Popover listing a page's categories; muting one hides every card in it from the feeds
+export default function MuteTopicMenu({ page, onClose }) {
+  const [categories, setCategories] = useState(null);
+  const [muted, setMuted] = useState([]);
+  const [keyword, setKeyword] = useState('');
+  const [blocked, setBlocked] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getPageTopics([page.title], page.language).then(topics => {
+      if (!cancelled) setCategories(topics[page.title] ? topics[page.title].categories : []);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [page.title, page.language]);
+
+  useEffect(() => {
+    const load = () => setMuted(getSettings().blockedCategories);
+
+    load();
+    window.addEventListener('settingsChanged', load);
+    return () => window.removeEventListener('settingsChanged', load);
+  }, []);
+
+  // Close on Escape without the card stack also handling the key
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [onClose]);
+
+  const handleBlockKeyword = (e) => {
+    e.preventDefault();
+    if (blockKeyword(keyword)) {
+      setBlocked(keyword.trim());
+      setKeyword('');
+    }
+  };
+
+  return (
+    <div
+      className="absolute bottom-full right-0 mb-2 w-64 bg-gray-800 text-white text-sm rounded-lg shadow-lg overflow-hidden z-30"
+      onClick={(e) => e.stopPropagation()}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Mute topic"
+    >
+      <p className="px-3 pt-2 pb-1 text-xs text-gray-400">Hide articles in these categories</p>
+      {categories === null ? (
+        <p className="px-3 py-2 text-gray-400">Loading categories...</p>
+      ) : categories.length === 0 ? (
+        <p className="px-3 py-2 text-gray-400">No categories found</p>
+      ) : (
+        <ul className="max-h-48 overflow-y-auto">
+          {categories.map(category => {
+            const isMuted = muted.includes(category);
+            return (
+              <li key={category}>
+                <button
+                  onClick={() => (isMuted ? unmuteCategory(category) : muteCategory(category))}
+                  className="w-full flex items-center justify-between px-3 py-2 hover:bg-gray-700 text-left"
+                  aria-pressed={isMuted}
+                >
+                  <span className="truncate">{category}</span>
+                  {isMuted && <FaBan className="text-wikitok-primary flex-shrink-0 ml-2" />}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={handleBlockKeyword} className="border-t border-gray-700">
+        <input
+          type="text"
+          value={keyword}
+          onChange={(e) => setKeyword(e.target.value)}
+          placeholder="Or hide articles mentioning..."
+          className="w-full bg-transparent px-3 py-2 focus:outline-none"
+          aria-label="Word to hide"
+        />
+        {blocked && <p className="px-3 pb-2 text-xs text-gray-400">Hiding articles mentioning “{blocked}”</p>}
+      </form>
+    </div>
+  );
+}
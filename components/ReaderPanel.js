@@ -0,0 +1,152 @@
+import { useState, useEffect, useRef } from 'react';
+import { FaTimes, FaExternalLinkAlt, FaListUl } from 'react-icons/fa';
+import { getArticleHtml } from '../lib/wikiapi';
+import { getWikiUrl } from '../lib/language';
+import { parseArticle } from '../lib/reader';
+
+export default function ReaderPanel({ page, onClose, onOpenArticle }) {
+  const [article, setArticle] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [tocOpen, setTocOpen] = useState(false);
+  const contentRef = useRef(null);
+
+  const language = page ? page.language || 'en' : 'en';
+
+  // Load and sanitize the article whenever a new page is opened
+  useEffect(() => {
+    if (!page) return;
+
+    let cancelled = false;
+    setArticle(null);
+    setError(null);
+    setTocOpen(false);
+    setLoading(true);
+
+    getArticleHtml(page.title, language).then(html => {
+      if (cancelled) return;
+      if (html) {
+        setArticle(parseArticle(html, language));
+      } else {
+        setError('Could not load this article.');
+      }
+      setLoading(false);
+    }).catch(error => {
+      if (cancelled) return;
+      console.error('Error preparing article:', error);
+      setError('Could not load this article.');
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [page, language]);
+
+  // Close with Escape
+  useEffect(() => {
+    if (!page) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [page, onClose]);
+
+  // Internal wiki links open as new cards instead of navigating away
+  const handleContentClick = (e) => {
+    const link = e.target.closest('a[data-wiki-title]');
+    if (!link) return;
+
+    e.preventDefault();
+    onOpenArticle(link.getAttribute('data-wiki-title'), language);
+  };
+
+  const scrollToSection = (id) => {
+    const heading = contentRef.current && contentRef.current.querySelector(`[id="${CSS.escape(id)}"]`);
+    if (heading) {
+      heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    setTocOpen(false);
+  };
+
+  if (!page) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-[1002] bg-wikitok-dark text-white flex flex-col animate-slide-up"
+      role="dialog"
+      aria-modal="true"
+      aria-label={page.title}
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between p-4 border-b border-gray-700">
+        <h2 className="text-lg font-bold truncate mr-2" lang={language} dir="auto">{page.title}</h2>
+        <div className="flex items-center space-x-3 flex-shrink-0">
+          {article && article.toc.length > 0 && (
+            <button
+              onClick={() => setTocOpen(!tocOpen)}
+              className="p-1"
+              aria-label="Table of contents"
+              aria-expanded={tocOpen}
+            >
+              <FaListUl />
+            </button>
+          )}
+          <a
+            href={getWikiUrl(page.title, language)}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="p-1"
+            aria-label="Open on Wikipedia"
+          >
+            <FaExternalLinkAlt />
+          </a>
+          <button onClick={onClose} className="p-1" aria-label="Close reader">
+            <FaTimes />
+          </button>
+        </div>
+      </div>
+
+      {/* Table of contents */}
+      {tocOpen && article && (
+        <nav className="max-h-[50vh] overflow-y-auto border-b border-gray-700 bg-gray-900 py-2" aria-label="Contents">
+          <ul>
+            {article.toc.map(entry => (
+              <li key={entry.id}>
+                <button
+                  onClick={() => scrollToSection(entry.id)}
+                  className={`w-full text-left py-1 pr-4 hover:bg-gray-700 ${entry.level === 3 ? 'pl-8 text-sm text-gray-300' : 'pl-4'}`}
+                >
+                  {entry.title}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </nav>
+      )}
+
+      {/* Article */}
+      <div className="flex-1 overflow-y-auto">
+        {loading ? (
+          <div className="flex justify-center p-8">
+            <div className="animate-spin h-8 w-8 border-2 border-white rounded-full border-t-transparent"></div>
+          </div>
+        ) : error ? (
+          <p className="text-center py-8 text-gray-400">{error}</p>
+        ) : article && (
+          // The markup was sanitized with DOMPurify in parseArticle
+          <article
+            ref={contentRef}
+            className="reader-content max-w-2xl mx-auto p-4"
+            lang={language}
+            dir="auto"
+            onClick={handleContentClick}
+            dangerouslySetInnerHTML={{ __html: article.html }}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { FaHistory, FaTimes } from 'react-icons/fa';
+
+// Offer to continue the card stack of the previous visit
+export default function ResumePrompt({ session, onResume, onDismiss }) {
+  if (!session) return null;
+
+  const current = session.pages[session.index];
+
+  return (
+    <div
+      className="fixed bottom-6 left-4 right-4 z-[1000] mx-auto max-w-md flex items-center bg-gray-800 bg-opacity-95 text-white text-sm rounded-lg shadow-lg p-3"
+      role="status"
+    >
+      <FaHistory className="mr-3 flex-shrink-0 text-wikitok-primary" />
+      <p className="flex-1 min-w-0">
+        Continue where you left off?
+        {current && current.title && (
+          <span className="block truncate text-gray-300">{current.title}</span>
+        )}
+      </p>
+      <button
+        onClick={onResume}
+        className="ml-3 px-3 py-1 rounded-full bg-white text-black font-medium"
+      >
+        Resume
+      </button>
+      <button onClick={onDismiss} className="ml-1 p-2 text-gray-300" aria-label="Dismiss">
+        <FaTimes />
+      </button>
+    </div>
+  );
+}
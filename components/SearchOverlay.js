@@ -0,0 +1,165 @@
+import { useState, useEffect, useRef } from 'react';
+import { FaSearch, FaTimes } from 'react-icons/fa';
+import { searchWiki } from '../lib/wikiapi';
+import { getStoredLanguage } from '../lib/language';
+import { parseSnippet } from '../lib/snippet';
+
+// Wait this long after the last keystroke before querying Wikipedia
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Render a search snippet with its matches highlighted
+function Highlighted({ html, fallback }) {
+  const segments = parseSnippet(html);
+  if (segments.length === 0) return fallback || null;
+
+  return segments.map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-transparent text-wikitok-primary font-semibold">
+        {segment.text}
+      </mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  );
+}
+
+export default function SearchOverlay({ isOpen, onClose }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const inputRef = useRef(null);
+  // Only the newest request may update the results
+  const latestRequest = useRef(0);
+
+  // Focus the input whenever the overlay opens
+  useEffect(() => {
+    if (isOpen && inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, [isOpen]);
+
+  // Debounced suggestions
+  useEffect(() => {
+    const term = query.trim();
+    if (!term) {
+      setResults([]);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const requestId = ++latestRequest.current;
+    const timer = setTimeout(async () => {
+      const found = await searchWiki(term, 8, getStoredLanguage());
+      if (requestId === latestRequest.current) {
+        setResults(found);
+        setActiveIndex(-1);
+        setLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const close = () => {
+    setQuery('');
+    setResults([]);
+    onClose();
+  };
+
+  const handleSelect = (result) => {
+    // The feed page inserts the article as the current card
+    const event = new CustomEvent('openArticle', {
+      detail: { title: result.title, language: getStoredLanguage() }
+    });
+    window.dispatchEvent(event);
+    close();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? results.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && results.length > 0) {
+      handleSelect(results[Math.max(activeIndex, 0)]);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-[1003] bg-black bg-opacity-80 flex justify-center p-4 pt-16"
+      onClick={close}
+    >
+      <div
+        className="w-full max-w-lg bg-wikitok-dark rounded-lg shadow-lg self-start overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Search Wikipedia"
+      >
+        {/* Search input */}
+        <div className="relative border-b border-gray-700">
+          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+            <FaSearch className="text-gray-400" />
+          </div>
+          <input
+            ref={inputRef}
+            type="search"
+            placeholder="Search Wikipedia..."
+            className="bg-transparent text-white w-full pl-10 pr-10 py-3 focus:outline-none"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            aria-label="Search Wikipedia"
+          />
+          <button
+            onClick={close}
+            className="absolute inset-y-0 right-0 pr-3 flex items-center text-white"
+            aria-label="Close search"
+          >
+            <FaTimes />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center p-4">
+            <div className="animate-spin h-6 w-6 border-2 border-white rounded-full border-t-transparent"></div>
+          </div>
+        ) : query.trim() && results.length === 0 ? (
+          <p className="text-center py-6 text-gray-400">No articles found</p>
+        ) : (
+          <ul className="max-h-[70vh] overflow-y-auto">
+            {results.map((result, index) => (
+              <li key={result.pageid}>
+                <button
+                  onClick={() => handleSelect(result)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`w-full text-left px-4 py-3 text-white border-b border-gray-800 ${
+                    index === activeIndex ? 'bg-gray-700' : 'hover:bg-gray-700'
+                  }`}
+                >
+                  <h3 className="font-medium">
+                    <Highlighted html={result.titlesnippet} fallback={result.title} />
+                  </h3>
+                  {result.snippet && (
+                    <p className="text-xs text-gray-300 mt-1 line-clamp-2">
+                      <Highlighted html={result.snippet} />
+                    </p>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
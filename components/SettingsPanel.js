@@ -0,0 +1,329 @@
+import { useState, useEffect } from 'react';
+import { FaTimes, FaPlus, FaTrash } from 'react-icons/fa';
+import {
+  getSettings,
+  updateSettings,
+  resetSettings,
+  SEEN_WINDOW_OPTIONS,
+  MIN_EXTRACT_OPTIONS,
+  DATA_SAVER_OPTIONS
+} from '../lib/settings';
+import { resetSeen } from '../lib/seenPages';
+import { blockKeyword, unblockKeyword, unmuteCategory } from '../lib/contentFilter';
+import { downloadPack, getPacks, deletePack, PACK_SIZE_OPTIONS } from '../lib/cardPacks';
+import { getStoredLanguage } from '../lib/language';
+
+// Removable items of a blocklist
+function BlockList({ items, emptyText, onRemove }) {
+  if (items.length === 0) {
+    return <p className="text-xs text-gray-500">{emptyText}</p>;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {items.map(item => (
+        <span key={item} className="flex items-center gap-1 bg-gray-800 text-white px-3 py-1 rounded-full">
+          {item}
+          <button onClick={() => onRemove(item)} className="text-gray-400 hover:text-white" aria-label={`Unblock ${item}`}>
+            <FaTimes className="text-xs" />
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// A setting that's on or off
+function Toggle({ label, checked, onChange }) {
+  return (
+    <label className="flex items-center justify-between py-1 text-white">
+      {label}
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+        className="accent-[var(--wikitok-primary)] w-4 h-4"
+      />
+    </label>
+  );
+}
+
+// One labelled group of controls
+function Section({ title, description, children }) {
+  return (
+    <section className="mb-6">
+      <h3 className="font-medium text-white">{title}</h3>
+      {description && <p className="text-xs text-gray-400 mt-1 mb-2">{description}</p>}
+      {children}
+    </section>
+  );
+}
+
+export default function SettingsPanel({ isOpen, onClose }) {
+  const [settings, setSettings] = useState(getSettings);
+  const [seenCleared, setSeenCleared] = useState(false);
+  const [keyword, setKeyword] = useState('');
+  const [packs, setPacks] = useState([]);
+  const [packSize, setPackSize] = useState(PACK_SIZE_OPTIONS[1]);
+  // { done, total } while a pack downloads
+  const [packProgress, setPackProgress] = useState(null);
+  const [packError, setPackError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setSettings(getSettings());
+    setSeenCleared(false);
+    const handleChange = (event) => setSettings(event.detail.settings);
+    window.addEventListener('settingsChanged', handleChange);
+    return () => window.removeEventListener('settingsChanged', handleChange);
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (isOpen) getPacks().then(setPacks);
+  }, [isOpen]);
+
+  // Escape closes the panel
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const handleResetSeen = async () => {
+    await resetSeen();
+    setSeenCleared(true);
+  };
+
+  const handleBlockKeyword = (e) => {
+    e.preventDefault();
+    if (blockKeyword(keyword)) {
+      setKeyword('');
+    }
+  };
+
+  const handleDownloadPack = async () => {
+    setPackError(null);
+    setPackProgress({ done: 0, total: packSize });
+    try {
+      await downloadPack({
+        language: getStoredLanguage(),
+        count: packSize,
+        onProgress: (done, total) => setPackProgress({ done, total })
+      });
+    } catch (error) {
+      console.error('Error downloading card pack:', error);
+      setPackError(error.message);
+    } finally {
+      setPackProgress(null);
+      setPacks(await getPacks());
+    }
+  };
+
+  const handleDeletePack = async (packId) => {
+    await deletePack(packId);
+    setPacks(await getPacks());
+  };
+
+  const handleResetSettings = () => {
+    if (window.confirm('Restore the default settings?')) {
+      resetSettings();
+    }
+  };
+
+  return (
+    <>
+      {/* Click outside to close */}
+      <div className="fixed inset-0 z-[1001]" onClick={onClose} style={{ background: 'transparent' }} />
+
+      <div
+        className="fixed right-0 top-0 bottom-0 z-[1002] w-full sm:max-w-md bg-wikitok-dark shadow-lg"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Settings"
+      >
+        <div className="h-full overflow-y-auto p-6 text-sm">
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-xl font-bold text-white">Settings</h2>
+            <button onClick={onClose} className="p-1 text-white" aria-label="Close settings">
+              <FaTimes />
+            </button>
+          </div>
+
+          <Section
+            title="Hide articles I've seen"
+            description="Articles you've already swiped past stay out of your feeds for this long."
+          >
+            <select
+              value={settings.seenWindowDays}
+              onChange={(e) => updateSettings({ seenWindowDays: Number(e.target.value) })}
+              className="w-full bg-gray-800 text-white px-3 py-2 rounded-lg focus:outline-none"
+              aria-label="Hide seen articles for"
+            >
+              {SEEN_WINDOW_OPTIONS.map(option => (
+                <option key={option.days} value={option.days}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleResetSeen}
+              disabled={seenCleared}
+              className="mt-2 text-wikitok-primary disabled:text-gray-500"
+            >
+              {seenCleared ? 'Seen articles forgotten' : 'Forget seen articles'}
+            </button>
+          </Section>
+
+          <Section
+            title="For You discovery"
+            description="How much of the For You feed is random articles rather than ones picked from your likes and reading."
+          >
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={settings.forYouExploration}
+              onChange={(e) => updateSettings({ forYouExploration: Number(e.target.value) })}
+              className="w-full accent-[var(--wikitok-primary)]"
+              aria-label="For You discovery"
+            />
+            <p className="text-xs text-gray-400">{Math.round(settings.forYouExploration * 100)}% random</p>
+          </Section>
+
+          <Section
+            title="Content"
+            description="Disambiguation pages are always hidden. Collections show everything you saved."
+          >
+            <Toggle
+              label="Safe mode"
+              checked={settings.safeMode}
+              onChange={(safeMode) => updateSettings({ safeMode })}
+            />
+            <Toggle
+              label="Hide “List of…” articles"
+              checked={settings.hideLists}
+              onChange={(hideLists) => updateSettings({ hideLists })}
+            />
+            <select
+              value={settings.minExtractLength}
+              onChange={(e) => updateSettings({ minExtractLength: Number(e.target.value) })}
+              className="mt-2 w-full bg-gray-800 text-white px-3 py-2 rounded-lg focus:outline-none"
+              aria-label="Short articles"
+            >
+              {MIN_EXTRACT_OPTIONS.map(option => (
+                <option key={option.length} value={option.length}>{option.label}</option>
+              ))}
+            </select>
+          </Section>
+
+          <Section
+            title="Blocked words"
+            description="Articles mentioning these in their title or summary are hidden."
+          >
+            <form onSubmit={handleBlockKeyword} className="flex items-center gap-2 mb-2">
+              <input
+                type="text"
+                value={keyword}
+                onChange={(e) => setKeyword(e.target.value)}
+                placeholder="Add a word"
+                className="flex-1 min-w-0 bg-gray-800 text-white px-3 py-2 rounded-lg focus:outline-none"
+                aria-label="Word to block"
+              />
+              <button
+                type="submit"
+                disabled={!keyword.trim()}
+                className="p-2 bg-gray-800 text-white rounded-lg hover:bg-gray-700 disabled:text-gray-500"
+                aria-label="Block word"
+              >
+                <FaPlus />
+              </button>
+            </form>
+            <BlockList items={settings.blockedKeywords} emptyText="No blocked words" onRemove={unblockKeyword} />
+          </Section>
+
+          <Section
+            title="Muted categories"
+            description="Mute a category from the ban button on any card."
+          >
+            <BlockList items={settings.blockedCategories} emptyText="No muted categories" onRemove={unmuteCategory} />
+          </Section>
+
+          <Section
+            title="Data saver"
+            description="Loads smaller images, only the one on screen, and stops cycling through a card's images."
+          >
+            <select
+              value={settings.dataSaver}
+              onChange={(e) => updateSettings({ dataSaver: e.target.value })}
+              className="w-full bg-gray-800 text-white px-3 py-2 rounded-lg focus:outline-none"
+              aria-label="Data saver"
+            >
+              {DATA_SAVER_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </Section>
+
+          <Section
+            title="Offline packs"
+            description="Download random cards with their images to read without a connection. Offline, the feed shows these in the language they were downloaded in."
+          >
+            <div className="flex items-center gap-2">
+              <select
+                value={packSize}
+                onChange={(e) => setPackSize(Number(e.target.value))}
+                disabled={packProgress !== null}
+                className="flex-1 bg-gray-800 text-white px-3 py-2 rounded-lg focus:outline-none"
+                aria-label="Cards per pack"
+              >
+                {PACK_SIZE_OPTIONS.map(size => (
+                  <option key={size} value={size}>{size} cards</option>
+                ))}
+              </select>
+              <button
+                onClick={handleDownloadPack}
+                disabled={packProgress !== null}
+                className="bg-gray-800 text-white px-3 py-2 rounded-lg hover:bg-gray-700 disabled:text-gray-500"
+              >
+                {packProgress ? `${packProgress.done}/${packProgress.total}` : 'Download'}
+              </button>
+            </div>
+            {packError && <p className="mt-2 text-xs text-red-400">{packError}</p>}
+            {packs.length > 0 && (
+              <ul className="mt-2">
+                {packs.map(pack => (
+                  <li key={pack.id} className="flex items-center justify-between py-2 border-b border-gray-800 text-white">
+                    <span>
+                      {pack.remaining} of {pack.size} cards left
+                      <span className="text-gray-400"> · {pack.language} · {new Date(pack.createdAt).toLocaleDateString()}</span>
+                    </span>
+                    <button
+                      onClick={() => handleDeletePack(pack.id)}
+                      className="p-1 text-gray-400 hover:text-white"
+                      aria-label="Delete pack"
+                    >
+                      <FaTrash />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Section>
+
+          <button
+            onClick={handleResetSettings}
+            className="w-full bg-gray-800 text-white px-3 py-2 rounded-lg hover:bg-gray-700"
+          >
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,82 @@
+import { useEffect, useRef } from 'react';
+import { FaLink, FaImage, FaDownload } from 'react-icons/fa';
+import {
+  sharePage,
+  shareImage,
+  prefetchShareImage,
+  downloadShareImage,
+  SHARE_IMAGE_FORMATS
+} from '../lib/share';
+
+// Toast messages for the ways a link can be shared
+const LINK_RESULTS = { shared: 'Link Shared', copied: 'Link Copied' };
+
+// Popover with the ways to share a card: its link, or a generated image shared as a file or downloaded
+export default function ShareMenu({ page, onClose, onResult }) {
+  const { title, language } = page;
+  const storyImage = useRef(null);
+
+  // Load the story image while the menu is open, so sharing it can start within the tap
+  useEffect(() => {
+    storyImage.current = prefetchShareImage(title, language, 'story');
+  }, [title, language]);
+
+  // Close on Escape without the card stack also handling the key
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onClose();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [onClose]);
+
+  const run = async (action) => {
+    onClose();
+    onResult(await action());
+  };
+
+  const options = [
+    {
+      label: 'Share link',
+      icon: FaLink,
+      action: async () => LINK_RESULTS[await sharePage(title, language)] || null
+    },
+    {
+      label: `Share ${SHARE_IMAGE_FORMATS.story.label.toLowerCase()}`,
+      icon: FaImage,
+      action: async () => {
+        const result = await shareImage(title, language, 'story', storyImage.current);
+        return result === 'downloaded' ? 'Image Downloaded' : null;
+      }
+    },
+    ...Object.entries(SHARE_IMAGE_FORMATS).map(([format, { label }]) => ({
+      label: `Download ${label.toLowerCase()}`,
+      icon: FaDownload,
+      action: async () => ((await downloadShareImage(title, language, format)) ? 'Image Downloaded' : 'Download Failed')
+    }))
+  ];
+
+  return (
+    <div
+      className="absolute bottom-full right-0 mb-2 w-56 bg-gray-800 text-white text-sm rounded-lg shadow-lg overflow-hidden z-30"
+      onClick={(e) => e.stopPropagation()}
+      role="menu"
+      aria-label="Share"
+    >
+      {options.map(({ label, icon: Icon, action }) => (
+        <button
+          key={label}
+          onClick={() => run(action)}
+          className="w-full flex items-center px-3 py-2 hover:bg-gray-700 text-left"
+          role="menuitem"
+        >
+          <Icon className="mr-2 flex-shrink-0" /> {label}
+        </button>
+      ))}
+    </div>
+  );
+}
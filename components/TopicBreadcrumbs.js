@@ -0,0 +1,39 @@
+import { FaChevronRight, FaRandom } from 'react-icons/fa';
+
+export default function TopicBreadcrumbs({ trail, rootLabel = 'Random', onSelect, onExit }) {
+  if (!trail || trail.length === 0) return null;
+
+  return (
+    <nav
+      className="fixed top-16 left-4 right-4 z-[999] flex items-center overflow-x-auto whitespace-nowrap text-sm text-white"
+      aria-label="Topic trail"
+    >
+      {/* Back to the feed the trail started from */}
+      <button
+        onClick={onExit}
+        className="flex items-center bg-gray-800 bg-opacity-70 px-3 py-1 rounded-full hover:bg-gray-700"
+      >
+        <FaRandom className="mr-1" /> {rootLabel}
+      </button>
+
+      {trail.map((page, index) => {
+        const isCurrent = index === trail.length - 1;
+        return (
+          <span key={`${page.language}-${page.pageid}`} className="flex items-center">
+            <FaChevronRight className="mx-1 text-gray-400 flex-shrink-0" />
+            <button
+              onClick={() => onSelect(index)}
+              disabled={isCurrent}
+              className={`px-3 py-1 rounded-full max-w-[12rem] truncate ${
+                isCurrent ? 'bg-white text-black font-medium' : 'bg-gray-800 bg-opacity-70 hover:bg-gray-700'
+              }`}
+              aria-current={isCurrent ? 'page' : undefined}
+            >
+              {page.title}
+            </button>
+          </span>
+        );
+      })}
+    </nav>
+  );
+}
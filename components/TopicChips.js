@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react';
+import { FaTimes, FaSlidersH } from 'react-icons/fa';
+import { getTopicFilters, removeTopic } from '../lib/topics';
+
+// Active topic filters under the header, with a button that opens the topic picker
+export default function TopicChips({ onEdit }) {
+  const [filters, setFilters] = useState([]);
+
+  useEffect(() => {
+    setFilters(getTopicFilters());
+    const handleChange = (event) => setFilters(event.detail.settings.topicFilters);
+    window.addEventListener('settingsChanged', handleChange);
+    return () => window.removeEventListener('settingsChanged', handleChange);
+  }, []);
+
+  return (
+    <div className="fixed top-28 left-4 right-4 z-[998] flex items-center gap-2 overflow-x-auto whitespace-nowrap text-sm text-white">
+      <button
+        onClick={onEdit}
+        className="flex items-center gap-1 bg-gray-800 bg-opacity-50 px-3 py-1 rounded-full"
+        aria-label="Choose topics"
+      >
+        <FaSlidersH />
+        <span>{filters.length > 0 ? 'Topics' : 'All topics'}</span>
+      </button>
+
+      {filters.map(filter => (
+        <span key={filter.id} className="flex items-center gap-1 bg-[var(--wikitok-primary)] px-3 py-1 rounded-full">
+          {filter.label}
+          {filter.weight > 1 && <span className="text-xs opacity-80">×{filter.weight}</span>}
+          <button onClick={() => removeTopic(filter.id)} aria-label={`Remove ${filter.label}`}>
+            <FaTimes className="text-xs" />
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
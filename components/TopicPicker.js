@@ -0,0 +1,145 @@
+import { useState, useEffect } from 'react';
+import { FaTimes, FaPlus } from 'react-icons/fa';
+import {
+  TOPIC_PRESETS,
+  MIN_TOPIC_WEIGHT,
+  MAX_TOPIC_WEIGHT,
+  getTopicFilters,
+  togglePresetTopic,
+  addCategoryTopic,
+  removeTopic,
+  setTopicWeight
+} from '../lib/topics';
+
+const WEIGHT_LABELS = { 1: 'Some', 2: 'More', 3: 'Most' };
+
+export default function TopicPicker({ isOpen, onClose }) {
+  const [filters, setFilters] = useState([]);
+  const [category, setCategory] = useState('');
+  const [categoryError, setCategoryError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setFilters(getTopicFilters());
+    const handleChange = (event) => setFilters(event.detail.settings.topicFilters);
+    window.addEventListener('settingsChanged', handleChange);
+    return () => window.removeEventListener('settingsChanged', handleChange);
+  }, [isOpen]);
+
+  // Escape closes the panel
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  const handleAddCategory = (e) => {
+    e.preventDefault();
+    if (addCategoryTopic(category)) {
+      setCategory('');
+      setCategoryError(null);
+    } else {
+      setCategoryError(category.trim() ? 'That category is already in your topics' : 'Enter a category name');
+    }
+  };
+
+  const isSelected = (id) => filters.some(filter => filter.id === id);
+
+  return (
+    <>
+      {/* Click outside to close */}
+      <div className="fixed inset-0 z-[1001]" onClick={onClose} style={{ background: 'transparent' }} />
+
+      <div
+        className="fixed right-0 top-0 bottom-0 z-[1002] w-full sm:max-w-md bg-wikitok-dark shadow-lg"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Topics"
+      >
+        <div className="h-full overflow-y-auto p-6 text-sm text-white">
+          <div className="flex justify-between items-center mb-2">
+            <h2 className="text-xl font-bold">Topics</h2>
+            <button onClick={onClose} className="p-1" aria-label="Close topics">
+              <FaTimes />
+            </button>
+          </div>
+          <p className="text-xs text-gray-400 mb-6">
+            Limit the Random feed to subjects you like. With no topics picked it covers the whole wiki.
+          </p>
+
+          <div className="flex flex-wrap gap-2 mb-6">
+            {TOPIC_PRESETS.map(preset => (
+              <button
+                key={preset.id}
+                onClick={() => togglePresetTopic(preset.id)}
+                className={`px-3 py-1 rounded-full ${
+                  isSelected(preset.id) ? 'bg-[var(--wikitok-primary)]' : 'bg-gray-800 hover:bg-gray-700'
+                }`}
+                aria-pressed={isSelected(preset.id)}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+
+          <form onSubmit={handleAddCategory} className="mb-1 flex items-center gap-2">
+            <input
+              type="text"
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              placeholder="Any Wikipedia category, e.g. Lighthouses"
+              className="flex-1 min-w-0 bg-gray-800 px-3 py-2 rounded-lg focus:outline-none"
+              aria-label="Category name"
+            />
+            <button type="submit" className="p-2 bg-gray-800 rounded-lg hover:bg-gray-700" aria-label="Add category">
+              <FaPlus />
+            </button>
+          </form>
+          {categoryError && <p className="text-xs text-red-400">{categoryError}</p>}
+
+          {filters.length > 0 && (
+            <div className="mt-6">
+              <h3 className="font-medium mb-1">Mix</h3>
+              <p className="text-xs text-gray-400 mb-2">How much of the feed each topic gets.</p>
+              <ul>
+                {filters.map(filter => (
+                  <li key={filter.id} className="flex items-center gap-2 py-2 border-b border-gray-800">
+                    <span className="flex-1 truncate">
+                      {filter.label}
+                      {filter.kind === 'category' && <span className="text-gray-400"> · category</span>}
+                    </span>
+                    <input
+                      type="range"
+                      min={MIN_TOPIC_WEIGHT}
+                      max={MAX_TOPIC_WEIGHT}
+                      step="1"
+                      value={filter.weight}
+                      onChange={(e) => setTopicWeight(filter.id, Number(e.target.value))}
+                      className="w-24 accent-[var(--wikitok-primary)]"
+                      aria-label={`Share of ${filter.label}`}
+                    />
+                    <span className="w-10 text-xs text-gray-400">{WEIGHT_LABELS[filter.weight]}</span>
+                    <button
+                      onClick={() => removeTopic(filter.id)}
+                      className="p-1 text-gray-400 hover:text-white"
+                      aria-label={`Remove ${filter.label}`}
+                    >
+                      <FaTimes />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
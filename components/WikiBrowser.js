@@ -1,158 +1,205 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useSwipeable } from 'react-swipeable';
 import WikiCard from './WikiCard';
 import LoadingSpinner from './LoadingSpinner';
-import { fetchRandomWikiPages } from '../lib/wikiapi';
+import { pageKey } from '../hooks/useFeed';
+import { togglePageLike } from '../lib/storage';
+import { sharePage } from '../lib/share';
 
-export default function WikiBrowser() {
-  const [wikiPages, setWikiPages] = useState([]);
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [loading, setLoading] = useState(true);
-  const [language, setLanguage] = useState('en');
-  const [swipePosition, setSwipePosition] = useState(0);
-  const swipingRef = useRef(false);
-  const startTouchRef = useRef(0);
+// Percentage of the screen height a drag has to cover to change cards
+const SWIPE_THRESHOLD = 15;
+// Accumulated wheel distance (px) that changes cards
+const WHEEL_THRESHOLD = 40;
+// A wheel or trackpad gesture ends once no events arrive for this long; one gesture moves one card
+const WHEEL_IDLE_MS = 200;
+// Cards further than this from the current one aren't mounted; mounted ones preload their images
+const RENDER_DISTANCE = 2;
+
+const NEXT_KEYS = ['ArrowDown', 'PageDown', 'j', ' '];
+const PREVIOUS_KEYS = ['ArrowUp', 'PageUp', 'k'];
+
+// Keys typed into a field or pressed while a dialog is open aren't shortcuts
+function isShortcutTarget(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey) return false;
+  if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return false;
+  // Space still presses a focused button or link
+  if (e.key === ' ' && e.target.closest && e.target.closest('button, a')) return false;
+  return !document.querySelector('[aria-modal="true"]');
+}
+
+/**
+ * Vertical, swipeable card stack for any feed built on useFeed
+ */
+export default function WikiBrowser({ feed, onMoreLikeThis, onReadMore }) {
+  const { pages, currentIndex, currentPage, loading, error, exhausted, next, previous } = feed;
+  const [isDragging, setIsDragging] = useState(false);
+  const [dragOffset, setDragOffset] = useState(0);
+  const [announcement, setAnnouncement] = useState('');
+  const containerRef = useRef(null);
   
-  // Listen for language changes from the Layout component
+  // Wheel gesture state: distance so far, whether this gesture already moved, and the idle timer
+  const wheelState = useRef({ delta: 0, handled: false, timer: null });
+  
+  // Keyboard navigation: arrows, j/k, PageUp/PageDown and space; l likes and s shares the current card
   useEffect(() => {
-    const handleLanguageChange = (event) => {
-      if (event.detail && event.detail.language) {
-        setLanguage(event.detail.language);
-        // Reset and load new pages in the selected language
-        setWikiPages([]);
-        setCurrentIndex(0);
-        loadWikiPages(event.detail.language);
+    const handleKeyDown = async (e) => {
+      if (!isShortcutTarget(e)) return;
+      
+      if (NEXT_KEYS.includes(e.key) && !(e.key === ' ' && e.shiftKey)) {
+        e.preventDefault();
+        next();
+      } else if (PREVIOUS_KEYS.includes(e.key) || (e.key === ' ' && e.shiftKey)) {
+        e.preventDefault();
+        previous();
+      } else if (e.key === 'l' && currentPage && currentPage.pageid) {
+        const liked = togglePageLike(currentPage);
+        setAnnouncement(`${liked ? 'Liked' : 'Unliked'} ${currentPage.title}`);
+      } else if (e.key === 's' && currentPage) {
+        const result = await sharePage(currentPage.title, currentPage.language);
+        if (result) setAnnouncement(result === 'copied' ? 'Link copied' : 'Link shared');
       }
     };
     
-    window.addEventListener('languageChange', handleLanguageChange);
-    return () => window.removeEventListener('languageChange', handleLanguageChange);
-  }, []);
-  
-  // Load initial pages on component mount
-  useEffect(() => {
-    initialLoadWikiPages();
-  }, []);
-  
-  // Add a second effect to load more pages when we're getting low
-  useEffect(() => {
-    // If we're within 2 pages of the end, load more
-    if (wikiPages.length > 0 && currentIndex >= wikiPages.length - 2) {
-      loadWikiPages(language);
-    }
-  }, [currentIndex, wikiPages.length, language]);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [currentPage, next, previous]);
   
-  const initialLoadWikiPages = async (lang = language) => {
-    try {
-      setLoading(true);
-      const pages = await fetchRandomWikiPages(5, lang);
-      if (pages && pages.length > 0) {
-        setWikiPages(pages);
-      }
-    } catch (error) {
-      console.error('Error loading initial wiki pages:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
-  
-  const loadWikiPages = async (lang = language) => {
-    if (loading) return; // Prevent multiple simultaneous loads
+  // Mouse wheel and trackpad: one flick moves exactly one card, however many events it fires
+  const handleWheel = (e) => {
+    // Horizontal scrolls and pinch-zoom (ctrl + wheel) aren't card navigation
+    if (Math.abs(e.deltaX) > Math.abs(e.deltaY) || e.ctrlKey) return;
     
-    setLoading(true);
-    try {
-      const pages = await fetchRandomWikiPages(5, lang);
-      setWikiPages(prevPages => [...prevPages, ...pages]);
-    } catch (error) {
-      console.error('Error loading wiki pages:', error);
-    } finally {
-      setLoading(false);
-    }
-  };
-  
-  // Track touch position manually to ensure correct direction
-  const handleTouchStart = (e) => {
-    startTouchRef.current = e.touches[0].clientY;
-  };
-  
-  const handleTouchMove = (e) => {
-    if (!swipingRef.current) swipingRef.current = true;
+    const state = wheelState.current;
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      state.delta = 0;
+      state.handled = false;
+    }, WHEEL_IDLE_MS);
     
-    const touchY = e.touches[0].clientY;
-    const deltaY = startTouchRef.current - touchY; // Positive when swiping UP
+    if (state.handled) return;
     
-    // Convert to percentage of screen height (positive = swiping up)
-    const movePercent = (deltaY / window.innerHeight) * 100;
-    setSwipePosition(movePercent);
+    state.delta += e.deltaY;
+    if (state.delta > WHEEL_THRESHOLD) {
+      state.handled = true;
+      next();
+    } else if (state.delta < -WHEEL_THRESHOLD) {
+      state.handled = true;
+      previous();
+    }
   };
   
-  const handleTouchEnd = () => {
-    const threshold = 15;
+  useEffect(() => {
+    const state = wheelState.current;
+    return () => clearTimeout(state.timer);
+  }, []);
+  
+  // Move focus to the new card and announce it to screen readers
+  useEffect(() => {
+    if (!currentPage) return;
     
-    if (Math.abs(swipePosition) > threshold) {
-      if (swipePosition > 0) {
-        // Swiped UP = next card
-        if (currentIndex < wikiPages.length - 1) {
-          setCurrentIndex(currentIndex + 1);
-        } else {
-          // Load more at the end
-          loadWikiPages();
-        }
-      } else {
-        // Swiped DOWN = previous card
-        if (currentIndex > 0) {
-          setCurrentIndex(currentIndex - 1);
+    setAnnouncement(`${currentPage.title}, card ${currentIndex + 1}`);
+    const activeCard = containerRef.current && containerRef.current.querySelector('[data-active-card="true"]');
+    if (activeCard && !activeCard.contains(document.activeElement)) {
+      activeCard.focus({ preventScroll: true });
+    }
+  }, [currentIndex, currentPage]);
+
+  // Touch and mouse drags, with the card following the pointer
+  const swipeHandlers = useSwipeable({
+    onSwiping: ({ deltaY, dir }) => {
+      // Horizontal gestures belong to the card content
+      if (dir === 'Left' || dir === 'Right') return;
+      setIsDragging(true);
+      // Positive offset = dragging UP
+      setDragOffset((-deltaY / window.innerHeight) * 100);
+    },
+    onSwiped: ({ deltaY, dir }) => {
+      if (dir === 'Up' || dir === 'Down') {
+        const offset = (-deltaY / window.innerHeight) * 100;
+        if (offset > SWIPE_THRESHOLD) {
+          // Swiped UP, go to NEXT page
+          next();
+        } else if (offset < -SWIPE_THRESHOLD) {
+          // Swiped DOWN, go to PREVIOUS page
+          previous();
         }
       }
-    }
-    
-    // Reset position
-    setSwipePosition(0);
-    setTimeout(() => {
-      swipingRef.current = false;
-    }, 400);
-  };
+
+      // Reset drag state
+      setDragOffset(0);
+      setIsDragging(false);
+    },
+    trackMouse: true,
+    preventScrollOnSwipe: true
+  });
+
+  const windowStart = Math.max(currentIndex - RENDER_DISTANCE, 0);
 
   return (
     <div className="h-screen w-screen bg-black overflow-hidden">
-      <div 
-        className="relative h-full w-full touch-none" 
-        onTouchStart={handleTouchStart}
-        onTouchMove={handleTouchMove}
-        onTouchEnd={handleTouchEnd}
+      <div
+        {...swipeHandlers}
+        ref={(element) => {
+          swipeHandlers.ref(element);
+          containerRef.current = element;
+        }}
+        onWheel={handleWheel}
+        className="relative h-full w-full cursor-grab active:cursor-grabbing select-none touch-none"
+        aria-label="Article feed"
       >
-        {loading && wikiPages.length === 0 ? (
+        {pages.length === 0 && exhausted ? (
+          // A finite source such as an empty collection
+          <div className="h-full flex items-center justify-center text-gray-400">
+            Nothing to show here yet
+          </div>
+        ) : pages.length === 0 ? (
           <LoadingSpinner />
         ) : (
-          wikiPages.map((page, index) => {
-            // Calculate position - positive swipePosition = swiping up
-            const position = (index - currentIndex) * 100 - swipePosition;
-            
+          // Only the window around the current card is mounted
+          pages.slice(windowStart, currentIndex + RENDER_DISTANCE + 1).map((page, offset) => {
+            const index = windowStart + offset;
+            const distance = Math.abs(index - currentIndex);
+
+            // Position of this card (100vh = full screen height)
+            const position = (index - currentIndex) * 100 - dragOffset;
+
             return (
-              <WikiCard 
-                key={page.pageid} 
-                page={page} 
-                isActive={index === currentIndex}
-                preload={index >= currentIndex - 1 && index <= currentIndex + 2}
+              <WikiCard
+                key={pageKey(page)}
+                page={page}
+                isActive={index === currentIndex && !isDragging}
+                preload
+                onMoreLikeThis={onMoreLikeThis}
+                onReadMore={onReadMore}
                 style={{
                   transform: `translateY(${position}vh)`,
-                  transition: swipingRef.current 
-                    ? 'none' // No transition during active swipe for responsive feel
-                    : 'transform 0.4s cubic-bezier(0.19, 1, 0.22, 1)',
-                  opacity: position > -120 && position < 120 ? 1 : 0,
+                  transition: isDragging ? 'none' : 'transform 0.6s cubic-bezier(0.23, 1, 0.32, 1)',
+                  zIndex: 100 - distance,
                 }}
               />
             );
           })
         )}
-        
+
         {/* Loading indicator for when more content is being fetched */}
-        {loading && wikiPages.length > 0 && (
+        {loading && pages.length > 0 && (
           <div className="absolute bottom-4 right-4 z-40">
             <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-white"></div>
           </div>
         )}
+
+        {/* Error message */}
+        {error && (
+          <div className="absolute bottom-4 left-4 right-4 bg-red-500 text-white p-2 rounded-lg z-50 text-center">
+            Error: {error}. Retrying...
+          </div>
+        )}
+        
+        {/* Screen reader announcements for card changes, likes and shares */}
+        <div className="sr-only" aria-live="polite" aria-atomic="true">
+          {announcement}
+        </div>
       </div>
     </div>
   );
-} 
\ No newline at end of file
+}
@@ -1,15 +1,19 @@
-import { useState, useEffect, useRef } from 'react';
-import { FaArrowRight } from 'react-icons/fa';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { FaArrowRight, FaProjectDiagram, FaQuestionCircle } from 'react-icons/fa';
 import ImageCarousel from './ImageCarousel';
 import ActionButtons from './ActionButtons';
 import LikeAnimation from './LikeAnimation';
 import { extractImages, getThumbnailImages } from '../lib/wikiapi';
 import { isPageLiked, togglePageLike } from '../lib/storage';
+import { getWikiUrl } from '../lib/language';
+import { FEATURED_SECTIONS } from '../lib/featured';
+import LRUCache from '../lib/lruCache';
 
-// Global cache for images
-const imageCache = new Map();
+// Image lists of recently shown cards, bounded so long sessions don't grow it forever
+const IMAGE_CACHE_SIZE = 100;
+const imageCache = new LRUCache(IMAGE_CACHE_SIZE);
 
-export default function WikiCard({ page, isActive, style, preload = false }) {
+export default function WikiCard({ page, isActive, style, preload = false, onMoreLikeThis, onReadMore }) {
   const [images, setImages] = useState([]);
   const [loading, setLoading] = useState(true);
   const [imagesFetched, setImagesFetched] = useState(false);
@@ -18,20 +22,82 @@ export default function WikiCard({ page, isActive, style, preload = false }) {
   const [lastTap, setLastTap] = useState(0);
   const imagesRef = useRef([]);
   const [tapPosition, setTapPosition] = useState({ x: null, y: null });
+  const [showReason, setShowReason] = useState(false);
   
+  // Cards are tagged with the wiki they were fetched from
+  const language = page.language || 'en';
+  // Image of an offline pack card; a resumed session may hold what's left of one after JSON
+  const offlineImage = page.offlineImage instanceof Blob ? page.offlineImage : null;
+  
+  const loadImages = useCallback(async () => {
+    setLoading(true);
+    try {
+      if (!page || !page.title) {
+        throw new Error('Invalid page data');
+      }
+    
+      // Cards from an offline pack only have the image stored with them, shown by the effect below
+      if (offlineImage) {
+        return;
+      }
+    
+      // Cards that aren't articles (e.g. the picture of the day) only have their own image
+      if (!page.pageid) {
+        setImages(getThumbnailImages(page));
+        return;
+      }
+    
+      const cacheKey = `images_${language}_${page.pageid}`;
+      if (imageCache.has(cacheKey)) {
+        setImages(imageCache.get(cacheKey));
+        setLoading(false);
+        setImagesFetched(true);
+        return;
+      }
+    
+      // Try fetching images via the API
+      let fetchedImages = await extractImages(page.pageid, language);
+      // If no images are returned, fall back to the thumbnail image
+      if (!fetchedImages || fetchedImages.length === 0) {
+        fetchedImages = getThumbnailImages(page);
+      }
+    
+      const optimizedImages = fetchedImages.slice(0, 3); // Take up to 3 images
+      // Store in cache
+      imageCache.set(cacheKey, optimizedImages);
+      setImages(optimizedImages);
+    } catch (error) {
+      console.error('Error loading images:', error);
+      setImages([]);
+    } finally {
+      setLoading(false);
+      setImagesFetched(true);
+    }
+  }, [page, language, offlineImage]);
+
   // Preload images when this card is active OR when it's the next card (preload=true)
   useEffect(() => {
     if (!imagesFetched && (isActive || preload)) {
       loadImages();
     }
-  }, [isActive, preload, page, imagesFetched]);
+  }, [isActive, preload, imagesFetched, loadImages]);
+
+  // Images of offline pack cards are blobs; the object URL lives as long as the card is mounted
+  useEffect(() => {
+    if (!offlineImage) return;
+    const url = URL.createObjectURL(offlineImage);
+    setImages([url]);
+    setLoading(false);
+    setImagesFetched(true);
+    return () => URL.revokeObjectURL(url);
+  }, [offlineImage]);
   
   useEffect(() => {
     // Check if this page is liked
     if (page && page.pageid) {
-      setLiked(isPageLiked(page.pageid));
+      setLiked(isPageLiked(page.pageid, language));
     }
-  }, [page]);
+  }, [page, language]);
   
   // Preload actual image files
   useEffect(() => {
@@ -40,7 +106,8 @@ export default function WikiCard({ page, isActive, style, preload = false }) {
       imagesRef.current = images.map(image => {
         // Use window.Image instead of Image
         const img = new window.Image();
-        img.src = image.url;
+        // Ranked images are { url, ... }; summary thumbnails, placeholders and offline images are URLs
+        img.src = typeof image === 'string' ? image : image.url;
         return img;
       });
     }
@@ -53,42 +120,6 @@ export default function WikiCard({ page, isActive, style, preload = false }) {
       });
     };
   }, [images]);
-  
-
-const loadImages = async () => {
-  setLoading(true);
-  try {
-    if (!page || !page.pageid) {
-      throw new Error('Invalid page data');
-    }
-    
-    const cacheKey = `images_${page.pageid}`;
-    if (imageCache.has(cacheKey)) {
-      setImages(imageCache.get(cacheKey));
-      setLoading(false);
-      setImagesFetched(true);
-      return;
-    }
-    
-    // Try fetching images via the API
-    let fetchedImages = await extractImages(page.pageid);
-    // If no images are returned, fall back to the thumbnail image
-    if (!fetchedImages || fetchedImages.length === 0) {
-      fetchedImages = getThumbnailImages(page);
-    }
-    
-    const optimizedImages = fetchedImages.slice(0, 3); // Take up to 3 images
-    // Store in cache
-    imageCache.set(cacheKey, optimizedImages);
-    setImages(optimizedImages);
-  } catch (error) {
-    console.error('Error loading images:', error);
-    setImages([]);
-  } finally {
-    setLoading(false);
-    setImagesFetched(true);
-  }
-};
 
   
   const handleDoubleTap = (e) => {
@@ -98,7 +129,7 @@ const loadImages = async () => {
     
     // Only trigger like on double tap if not already liked
     if (page && page.pageid) {
-      const newLikedStatus = togglePageLike(page.pageid);
+      const newLikedStatus = togglePageLike({ ...page, language });
       setLiked(newLikedStatus);
       
       if (newLikedStatus) {
@@ -112,8 +143,10 @@ const loadImages = async () => {
   useEffect(() => {
     const handleLikeStatusChanged = (event) => {
       // Update only if the event is for this page
-      if (page && event.detail.pageId === page.pageid) {
-        setLiked(isPageLiked(page.pageid));
+      // A null page ID means every like was cleared
+      const { pageId } = event.detail;
+      if (page && (pageId === null || (pageId === String(page.pageid) && event.detail.language === language))) {
+        setLiked(isPageLiked(page.pageid, language));
       }
     };
     
@@ -121,7 +154,7 @@ const loadImages = async () => {
     return () => {
       window.removeEventListener("likeStatusChanged", handleLikeStatusChanged);
     };
-  }, [page]);
+  }, [page, language]);
   
 
 
@@ -146,28 +179,68 @@ const loadImages = async () => {
     setLastTap(now);
   };
   
-  const wikiLink = `https://en.wikipedia.org/wiki/${encodeURIComponent(page.title)}`;
+  const wikiLink = getWikiUrl(page.title, language);
+  
+  // Open the article in the in-app reader when the feed provides one
+  const handleReadMore = (e) => {
+    if (!onReadMore || !page.pageid) return;
+    e.preventDefault();
+    e.stopPropagation();
+    onReadMore(page);
+  };
   
   return (
     <div 
-      className={`absolute h-full w-full ${isActive ? 'z-10' : 'z-0'}`}
+      className={`absolute h-full w-full focus:outline-none ${isActive ? 'z-10' : 'z-0'}`}
       style={style}
+      tabIndex={-1}
+      role="article"
+      aria-label={page.title}
+      data-active-card={isActive ? 'true' : undefined}
     >
       <div className="relative h-full w-full" onClick={handleTap}>
         {/* Background images */}
-        <ImageCarousel images={images} loading={loading} thumbnailUrl={page.thumbnail?.source} />
+        <ImageCarousel images={images} loading={loading} />
         
         {/* Content overlay */}
-        <div className="absolute bottom-0 left-0 right-0 p-4 text-white z-20 bg-gradient-to-t from-black/80 to-transparent">
+        <div
+          className="absolute bottom-0 left-0 right-0 p-4 text-white z-20 bg-gradient-to-t from-black/80 to-transparent"
+          lang={language}
+          dir="auto"
+        >
+          {/* Section badge for cards from the Today feed */}
+          {page.section && (
+            <span className="inline-block mb-2 px-2 py-0.5 rounded-full bg-wikitok-primary text-xs font-semibold uppercase tracking-wide">
+              {FEATURED_SECTIONS[page.section]}
+            </span>
+          )}
+          {page.context && (
+            <p className="text-xs text-gray-300 mb-2 max-w-md line-clamp-2">{page.context}</p>
+          )}
+          
+          {/* Why the For You feed picked this card */}
+          {page.reason && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShowReason(!showReason);
+              }}
+              className="flex items-center mb-2 text-xs text-gray-300 hover:text-white"
+              aria-expanded={showReason}
+            >
+              <FaQuestionCircle className="mr-1 flex-shrink-0" />
+              {showReason ? page.reason.text : 'Why am I seeing this?'}
+            </button>
+          )}
+          
           <div className="flex items-center justify-between mb-2">
             <h2 className="text-xl font-bold mr-2 flex-1">
-              <a href={wikiLink} target="_blank" rel="noopener noreferrer" className="hover:underline">
+              <a href={wikiLink} target="_blank" rel="noopener noreferrer" className="hover:underline" onClick={handleReadMore}>
                 {page.title}
               </a>
             </h2>
             <ActionButtons 
-              pageId={page.pageid} 
-              title={page.title} 
+              page={{ ...page, language }}
               isLiked={liked}
               onLikeChange={setLiked}
             />
@@ -177,14 +250,29 @@ const loadImages = async () => {
             {page.extract ? `${page.extract.substring(0, 150)}...` : 'No description available'}
           </p>
           
-          <a 
-            href={wikiLink} 
-            target="_blank" 
-            rel="noopener noreferrer"
-            className="inline-flex items-center mt-2 text-sm text-blue-300 hover:text-blue-200"
-          >
-            Read more <FaArrowRight className="ml-1" />
-          </a>
+          <div className="flex items-center mt-2 space-x-4">
+            <a 
+              href={wikiLink} 
+              target="_blank" 
+              rel="noopener noreferrer"
+              className="inline-flex items-center text-sm text-blue-300 hover:text-blue-200"
+              onClick={handleReadMore}
+            >
+              Read more <FaArrowRight className="ml-1" />
+            </a>
+            
+            {onMoreLikeThis && page.pageid && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onMoreLikeThis(page);
+                }}
+                className="inline-flex items-center text-sm text-blue-300 hover:text-blue-200"
+              >
+                <FaProjectDiagram className="mr-1" /> More like this
+              </button>
+            )}
+          </div>
         </div>
         
         {/* TikTok-style like animation at tap position */}
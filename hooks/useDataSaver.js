@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import { getSettings } from '../lib/settings';
+
+function isDataSaverOn(setting) {
+  if (setting === 'on') return true;
+  if (setting === 'off') return false;
+  const connection = navigator.connection;
+  return Boolean(connection && connection.saveData);
+}
+
+/**
+ * Whether images should be kept small, from the dataSaver setting and the browser's Save-Data
+ * preference (navigator.connection, where supported)
+ * @returns {boolean}
+ */
+export default function useDataSaver() {
+  const [dataSaver, setDataSaver] = useState(false);
+
+  useEffect(() => {
+    setDataSaver(isDataSaverOn(getSettings().dataSaver));
+
+    const handleSettingsChange = (event) => setDataSaver(isDataSaverOn(event.detail.settings.dataSaver));
+    const handleConnectionChange = () => setDataSaver(isDataSaverOn(getSettings().dataSaver));
+    const connection = navigator.connection;
+
+    window.addEventListener('settingsChanged', handleSettingsChange);
+    if (connection) connection.addEventListener('change', handleConnectionChange);
+    return () => {
+      window.removeEventListener('settingsChanged', handleSettingsChange);
+      if (connection) connection.removeEventListener('change', handleConnectionChange);
+    };
+  }, []);
+
+  return dataSaver;
+}
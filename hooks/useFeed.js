@@ -0,0 +1,359 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { archivePage, restorePage, clearArchive } from '../lib/pageArchive';
+import { getPageSummary } from '../lib/wikiapi';
+import { BATCH_SIZE } from '../lib/feedSources';
+import { filterUnseen, markSeen } from '../lib/seenPages';
+import { filterContent } from '../lib/contentFilter';
+import { isOffline, takePackCards } from '../lib/cardPacks';
+
+// Start fetching once this many cards or fewer are left after the current one
+const DEFAULT_PREFETCH_WINDOW = 3;
+// Cards further behind the current one than this are evicted to the session archive
+const EVICT_DISTANCE = 20;
+// Evicted cards this close to the current one are restored
+const RESTORE_DISTANCE = 5;
+// Retry failed batches after 1s, 2s, 4s... capped at 30s
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+// Batches fetched per load when they turn out to hold only seen or filtered pages, before it counts as a failure
+const MAX_BATCH_ATTEMPTS = 3;
+
+/**
+ * Identifies a card across languages; the picture of the day has a title but no page ID
+ * @param {Object} page - Card object
+ * @returns {string} Key unique within a feed
+ */
+export function pageKey(page) {
+  return `${page.language}-${page.pageid || page.title}`;
+}
+
+/**
+ * Append the pages of a batch that aren't already in the stack (or earlier in the batch)
+ * @param {Array} current - Pages in the stack
+ * @param {Array} batch - Newly fetched pages
+ * @returns {Array} The new stack
+ */
+export function appendUnique(current, batch) {
+  const shown = new Set(current.map(pageKey));
+  const fresh = batch.filter(page => {
+    const key = pageKey(page);
+    if (shown.has(key)) return false;
+    shown.add(key);
+    return true;
+  });
+  return fresh.length > 0 ? [...current, ...fresh] : current;
+}
+
+/**
+ * Fetch the next batch of a source, or cards from the downloaded packs while offline.
+ * Sources that keep seen pages are fixed lists, such as collections and featured days, and never
+ * fall back to packs.
+ * @param {Object} source - Feed source
+ * @param {Object} request - Arguments for source.fetchBatch
+ * @returns {Promise<Object>} { pages, cursor, done }
+ */
+async function fetchBatch(source, request) {
+  const fromPacks = async () => ({
+    pages: await takePackCards(request.language, BATCH_SIZE),
+    cursor: request.cursor
+  });
+
+  if (source.keepSeen) return source.fetchBatch(request);
+  if (isOffline()) return fromPacks();
+
+  try {
+    return await source.fetchBatch(request);
+  } catch (error) {
+    // The connection dropped without the browser noticing yet
+    if (isOffline() || !error.response) {
+      const batch = await fromPacks();
+      if (batch.pages.length > 0) return batch;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Card stack state shared by every feed: pagination, dedup, prefetching,
+ * retry with backoff and resets when the language or source changes.
+ * @param {Object} options
+ * @param {Object} options.source - Feed source from lib/feedSources.js
+ * @param {string} options.language - Language code the source fetches in
+ * @param {Array} [options.initialPages] - Cards the stack starts with, e.g. the article of a deep link
+ * @param {number} [options.prefetchWindow] - Cards left after the current one that trigger the next batch
+ * @returns {Object} Feed state and actions
+ */
+export default function useFeed({
+  source: initialSource,
+  language,
+  initialPages = [],
+  prefetchWindow = DEFAULT_PREFETCH_WINDOW
+}) {
+  const [pages, setPages] = useState(initialPages);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [source, setSource] = useState(initialSource);
+  // Set once a finite source (e.g. a collection) has returned its last batch
+  const [exhausted, setExhausted] = useState(false);
+
+  // Cursor for the next batch of the current source
+  const cursorRef = useRef(null);
+  // Bumped on every reset, so batches requested before it are dropped
+  const generationRef = useRef(0);
+  // Synchronous guard against overlapping requests
+  const loadingRef = useRef(false);
+  const retryTimer = useRef(null);
+  const retryCount = useRef(0);
+  // Keys of evicted cards being refetched because their archive entry was missing
+  const restoring = useRef(new Set());
+
+  // Latest stack for callbacks that run after an await
+  const pagesRef = useRef(pages);
+  const indexRef = useRef(currentIndex);
+  pagesRef.current = pages;
+  indexRef.current = currentIndex;
+
+  const loadMore = useCallback(async () => {
+    if (loadingRef.current) return;
+
+    loadingRef.current = true;
+    setLoading(true);
+    setError(null);
+    const generation = generationRef.current;
+
+    try {
+      let batch;
+      let next = pagesRef.current;
+
+      // Ask again while batches hold only pages that were already seen, filtered out or in the stack
+      for (let attempt = 0; attempt < MAX_BATCH_ATTEMPTS && next === pagesRef.current; attempt++) {
+        batch = await fetchBatch(source, {
+          language,
+          cursor: cursorRef.current,
+          shown: pagesRef.current
+        });
+
+        // The feed was reset while this batch was loading
+        if (generation !== generationRef.current) return;
+
+        // Finite sources like collections show their pages even if they were seen before
+        const unseen = source.keepSeen ? batch.pages : await filterUnseen(batch.pages);
+        if (generation !== generationRef.current) return;
+        // Pages the user picked themselves skip the content filters
+        const allowed = source.unfiltered ? unseen : await filterContent(unseen);
+        if (generation !== generationRef.current) return;
+
+        cursorRef.current = batch.cursor;
+        next = appendUnique(pagesRef.current, allowed);
+        if (batch.done || batch.pages.length === 0) break;
+      }
+
+      if (batch.done) {
+        setExhausted(true);
+      }
+
+      if (next === pagesRef.current) {
+        if (batch.done) return;
+        throw new Error(isOffline() ? 'You are offline' : 'Failed to load new pages');
+      }
+
+      retryCount.current = 0;
+      pagesRef.current = next;
+      setPages(next);
+    } catch (err) {
+      if (generation !== generationRef.current) return;
+
+      console.error('Error loading feed batch:', err);
+      setError(err.message);
+
+      // Clearing the error lets the prefetch effect try again
+      const delay = Math.min(RETRY_BASE_MS * 2 ** retryCount.current, RETRY_MAX_MS);
+      retryCount.current++;
+      retryTimer.current = setTimeout(() => {
+        retryTimer.current = null;
+        setError(null);
+      }, delay);
+    } finally {
+      if (generation === generationRef.current) {
+        loadingRef.current = false;
+        setLoading(false);
+      }
+    }
+  }, [source, language]);
+
+  // Prefetch when the reader gets close to the end of the stack
+  useEffect(() => {
+    if (!loading && !error && !exhausted && pages.length - 1 - currentIndex < prefetchWindow) {
+      loadMore();
+    }
+  }, [pages.length, currentIndex, loading, error, exhausted, prefetchWindow, loadMore]);
+
+  const currentPage = pages[currentIndex] || null;
+
+  // Feeds skip pages that have been on screen before
+  useEffect(() => {
+    if (currentPage) {
+      markSeen(currentPage);
+    }
+  }, [currentPage]);
+
+  // Changed content filters also apply to the cards queued after the current one
+  useEffect(() => {
+    if (source.unfiltered) return;
+
+    const handleSettingsChange = async () => {
+      const generation = generationRef.current;
+      const queued = pagesRef.current.slice(indexRef.current + 1);
+      if (queued.length === 0) return;
+
+      const allowed = await filterContent(queued);
+      if (generation !== generationRef.current || allowed.length === queued.length) return;
+
+      const kept = new Set(allowed.map(pageKey));
+      const hidden = new Set(queued.map(pageKey).filter(key => !kept.has(key)));
+      setPages(current => {
+        const updated = current.filter((page, index) => index <= indexRef.current || !hidden.has(pageKey(page)));
+        pagesRef.current = updated;
+        return updated;
+      });
+    };
+
+    window.addEventListener('settingsChanged', handleSettingsChange);
+    return () => window.removeEventListener('settingsChanged', handleSettingsChange);
+  }, [source]);
+
+  // Keep only the cards around the current one in memory; evict older ones and restore them on the way back
+  useEffect(() => {
+    let changed = false;
+    const missing = [];
+
+    const next = pagesRef.current.map((page, index) => {
+      const key = pageKey(page);
+      const distance = currentIndex - index;
+
+      if (!page.evicted && distance > EVICT_DISTANCE) {
+        const stub = archivePage(page, key);
+        if (stub) {
+          changed = true;
+          return stub;
+        }
+      } else if (page.evicted && Math.abs(distance) <= RESTORE_DISTANCE) {
+        const restored = restorePage(key);
+        if (restored) {
+          changed = true;
+          return restored;
+        }
+        missing.push(page);
+      }
+      return page;
+    });
+
+    if (changed) {
+      pagesRef.current = next;
+      setPages(next);
+    }
+
+    // The archive entry is gone (e.g. cleared storage): refetch the summary instead
+    const generation = generationRef.current;
+    missing
+      .filter(stub => stub.pageid && !restoring.current.has(pageKey(stub)))
+      .forEach(async stub => {
+        const key = pageKey(stub);
+        restoring.current.add(key);
+        const summary = await getPageSummary(stub.title, stub.language);
+        restoring.current.delete(key);
+        if (!summary || generation !== generationRef.current) return;
+
+        const restored = { ...summary, language: stub.language };
+        setPages(current => {
+          const updated = current.map(page => (page.evicted && pageKey(page) === key ? restored : page));
+          pagesRef.current = updated;
+          return updated;
+        });
+      });
+  }, [currentIndex]);
+
+  /**
+   * Throw away queued cards and continue from a (possibly new) source
+   * @param {Object} [nextSource] - Source to continue with, defaults to the current one
+   * @param {Object} [options]
+   * @param {boolean} [options.keepCurrent] - Keep the cards up to the current one instead of clearing the stack
+   * @param {Array} [options.insert] - Cards to put after the kept ones; the last becomes the current card
+   * @param {number} [options.index] - Make this card current instead, e.g. when resuming a saved stack
+   */
+  const reset = useCallback((nextSource, { keepCurrent = false, insert = [], index } = {}) => {
+    generationRef.current++;
+    clearTimeout(retryTimer.current);
+    retryTimer.current = null;
+    retryCount.current = 0;
+    cursorRef.current = null;
+    loadingRef.current = false;
+    setLoading(false);
+    setError(null);
+    setExhausted(false);
+
+    if (nextSource) {
+      setSource(nextSource);
+    }
+
+    if (!keepCurrent) {
+      clearArchive();
+    }
+
+    const insertKeys = new Set(insert.map(pageKey));
+    const kept = keepCurrent
+      ? pagesRef.current.slice(0, indexRef.current + 1).filter(page => !insertKeys.has(pageKey(page)))
+      : [];
+    const next = [...kept, ...insert];
+
+    pagesRef.current = next;
+    setPages(next);
+    if (index !== undefined) {
+      setCurrentIndex(Math.min(Math.max(index, 0), Math.max(next.length - 1, 0)));
+    } else {
+      setCurrentIndex(insert.length > 0 ? next.length - 1 : Math.min(indexRef.current, Math.max(next.length - 1, 0)));
+    }
+  }, []);
+
+  // A new language starts the stack over
+  const languageRef = useRef(language);
+  useEffect(() => {
+    if (languageRef.current !== language) {
+      languageRef.current = language;
+      reset();
+    }
+  }, [language, reset]);
+
+  // Stop pending retries on unmount
+  useEffect(() => () => clearTimeout(retryTimer.current), []);
+
+  const next = useCallback(() => {
+    setCurrentIndex(index => Math.min(index + 1, Math.max(pagesRef.current.length - 1, 0)));
+  }, []);
+
+  const previous = useCallback(() => {
+    setCurrentIndex(index => Math.max(index - 1, 0));
+  }, []);
+
+  // Retry right away instead of waiting for the backoff
+  const retry = useCallback(() => {
+    clearTimeout(retryTimer.current);
+    retryTimer.current = null;
+    setError(null);
+  }, []);
+
+  return {
+    pages,
+    currentIndex,
+    currentPage,
+    loading,
+    error,
+    exhausted,
+    source,
+    next,
+    previous,
+    reset,
+    retry
+  };
+}
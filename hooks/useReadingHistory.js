@@ -0,0 +1,73 @@
+import { useEffect, useRef } from 'react';
+import { recordView, saveSession } from '../lib/history';
+
+// Save the stack at most this often while browsing
+const SESSION_SAVE_DELAY_MS = 1000;
+
+/**
+ * Record how long each card of a feed is on screen and keep the stack saved for resuming
+ * @param {Object} feed - State returned by useFeed
+ * @param {Object} session - Feed details saved with the stack
+ * @param {string} session.language - Language code of the feed
+ * @param {string} session.feedMode - Active tab
+ * @param {Date} session.featuredDate - Day shown by the Today tab
+ * @param {boolean} [session.holdSession] - Don't save the stack while true, so the previous
+ * visit's stack isn't overwritten before the user decides whether to resume it
+ */
+export default function useReadingHistory(feed, { language, feedMode, featuredDate, holdSession = false }) {
+  const { pages, currentIndex, currentPage } = feed;
+
+  // Dwell time of the current card, paused while the tab is hidden
+  useEffect(() => {
+    if (!currentPage || currentPage.evicted) return;
+
+    let dwell = 0;
+    let shownAt = document.hidden ? null : Date.now();
+
+    const pause = () => {
+      if (shownAt !== null) {
+        dwell += Date.now() - shownAt;
+        shownAt = null;
+      }
+    };
+    const handleVisibility = () => {
+      if (document.hidden) {
+        pause();
+      } else if (shownAt === null) {
+        shownAt = Date.now();
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility);
+      pause();
+      recordView(currentPage, dwell);
+    };
+  }, [currentPage]);
+
+  // The latest stack, for saving when the page is closed
+  const snapshot = useRef(null);
+  snapshot.current = { pages, index: currentIndex, language, feedMode, featuredDate };
+  const held = useRef(holdSession);
+  held.current = holdSession;
+
+  useEffect(() => {
+    if (pages.length === 0 || holdSession) return;
+
+    const timer = setTimeout(() => saveSession(snapshot.current), SESSION_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [pages, currentIndex, holdSession]);
+
+  // Don't lose the last second when the tab closes
+  useEffect(() => {
+    const handlePageHide = () => {
+      if (snapshot.current.pages.length > 0 && !held.current) {
+        saveSession(snapshot.current);
+      }
+    };
+
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, []);
+}
@@ -0,0 +1,48 @@
+/**
+ * Fixed-size set of strings that answers "maybe added" or "definitely not added".
+ * False positives happen at a rate set by the size and hash count; false negatives never do.
+ */
+export default class BloomFilter {
+  /**
+   * @param {number} bitCount - Size of the filter in bits, rounded up to whole bytes
+   * @param {number} hashCount - Bits set per item
+   * @param {Uint8Array} [bits] - Contents of a filter saved with `bits`, to restore it
+   */
+  constructor(bitCount, hashCount, bits) {
+    this.bitCount = Math.ceil(bitCount / 8) * 8;
+    this.hashCount = hashCount;
+    this.bits = bits ? new Uint8Array(bits) : new Uint8Array(this.bitCount / 8);
+
+    if (this.bits.length * 8 !== this.bitCount) {
+      throw new RangeError('BloomFilter bits do not match bitCount');
+    }
+  }
+
+  // Bit positions of an item, from two FNV-1a hashes combined (Kirsch-Mitzenmacher)
+  positions(item) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+    for (let i = 0; i < item.length; i++) {
+      const code = item.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 0x01000193);
+      h2 = Math.imul(h2 ^ code, 0x5bd1e995);
+    }
+    h2 |= 1;
+
+    const positions = [];
+    for (let i = 0; i < this.hashCount; i++) {
+      positions.push((((h1 + Math.imul(i, h2)) >>> 0) % this.bitCount));
+    }
+    return positions;
+  }
+
+  add(item) {
+    this.positions(item).forEach(position => {
+      this.bits[position >> 3] |= 1 << (position & 7);
+    });
+  }
+
+  has(item) {
+    return this.positions(item).every(position => (this.bits[position >> 3] & (1 << (position & 7))) !== 0);
+  }
+}
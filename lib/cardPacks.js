@@ -0,0 +1,162 @@
+// Card packs for reading offline
+//
+// A pack is a batch of random cards downloaded ahead of time, with each card's image stored as
+// a blob, saved in IndexedDB as { id, language, createdAt, cards, next }. Cards are handed out
+// once, from the oldest pack first; `next` is the index of the first card not handed out yet.
+// useFeed takes cards from the packs when the device is offline.
+import { fetchFeedBatch } from './wikiapi';
+import { filterContent } from './contentFilter';
+import { idbGet, idbGetAll, idbPut, idbDelete, isIndexedDBAvailable } from './idb';
+
+const STORE = 'packs';
+// Largest batch the /api/feed route returns
+const DOWNLOAD_BATCH_SIZE = 20;
+// Width of the stored images, the size the cards show
+const IMAGE_WIDTH = 800;
+
+export const PACK_SIZE_OPTIONS = [25, 50, 100, 200];
+
+/**
+ * Whether the browser says it has no network
+ * @returns {boolean}
+ */
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+async function fetchImage(thumbnailUrl) {
+  // Thumbnails can be asked for at any width, but not wider than the original
+  const candidates = [thumbnailUrl.replace(/\/\d+px-/, `/${IMAGE_WIDTH}px-`), thumbnailUrl];
+  for (const url of [...new Set(candidates)]) {
+    try {
+      const response = await fetch(url);
+      if (response.ok) return await response.blob();
+    } catch (error) {
+      console.error(`Failed to download image: ${url}`, error);
+    }
+  }
+  return null;
+}
+
+/**
+ * Download a pack of random cards with their images
+ * @param {Object} options
+ * @param {string} options.language - Language code of the cards
+ * @param {number} options.count - Number of cards
+ * @param {Function} [options.onProgress] - Called with (cards downloaded, count)
+ * @returns {Promise<Object>} Summary of the saved pack from getPacks
+ * @throws When IndexedDB is unavailable or no cards could be downloaded
+ */
+export async function downloadPack({ language, count, onProgress }) {
+  if (!isIndexedDBAvailable()) {
+    throw new Error('Offline storage is not available in this browser');
+  }
+
+  const cards = [];
+  const ids = new Set();
+  let cursor = null;
+  // Stop early if the feed keeps returning cards we already have or that are filtered out
+  let emptyRounds = 0;
+
+  while (cards.length < count && emptyRounds < 3) {
+    const batch = await fetchFeedBatch(language, cursor, Math.min(DOWNLOAD_BATCH_SIZE, count - cards.length));
+    cursor = batch.cursor;
+
+    const fresh = (await filterContent(batch.pages)).filter(page => !ids.has(page.pageid));
+    emptyRounds = fresh.length === 0 ? emptyRounds + 1 : 0;
+
+    for (const page of fresh) {
+      if (cards.length >= count) break;
+      const image = await fetchImage(page.thumbnail.source);
+      if (!image) continue;
+
+      ids.add(page.pageid);
+      cards.push({ ...page, image });
+      if (onProgress) onProgress(cards.length, count);
+    }
+  }
+
+  if (cards.length === 0) {
+    throw new Error('No cards could be downloaded');
+  }
+
+  const createdAt = Date.now();
+  const pack = { id: `pack-${createdAt}`, language, createdAt, cards, next: 0 };
+  await idbPut(STORE, pack.id, pack);
+  return summarize(pack);
+}
+
+function summarize(pack) {
+  return {
+    id: pack.id,
+    language: pack.language,
+    createdAt: pack.createdAt,
+    size: pack.cards.length,
+    remaining: pack.cards.length - pack.next
+  };
+}
+
+/**
+ * List the downloaded packs, oldest first
+ * @returns {Promise<Array>} { id, language, createdAt, size, remaining } summaries
+ */
+export async function getPacks() {
+  if (!isIndexedDBAvailable()) return [];
+
+  try {
+    const packs = await idbGetAll(STORE);
+    return packs.map(summarize);
+  } catch (error) {
+    console.error('Error reading card packs:', error);
+    return [];
+  }
+}
+
+/**
+ * Delete a pack
+ * @param {string} packId - Pack ID
+ */
+export async function deletePack(packId) {
+  try {
+    await idbDelete(STORE, packId);
+  } catch (error) {
+    console.error('Error deleting card pack:', error);
+  }
+}
+
+/**
+ * Hand out cards that haven't been shown yet. Each card's `offlineImage` is its stored image blob,
+ * which WikiCard shows through an object URL while mounted; packs are deleted once used up.
+ * @param {string} language - Language code of the feed
+ * @param {number} count - Number of cards wanted
+ * @returns {Promise<Array>} Up to `count` cards, empty when the packs of this language are used up
+ */
+export async function takePackCards(language, count) {
+  if (!isIndexedDBAvailable()) return [];
+
+  try {
+    const taken = [];
+    const packs = (await idbGetAll(STORE)).filter(pack => pack.language === language);
+
+    for (const { id } of packs) {
+      if (taken.length >= count) break;
+      // Read again in case another tab took cards meanwhile
+      const pack = await idbGet(STORE, id);
+      if (!pack) continue;
+
+      const cards = pack.cards.slice(pack.next, pack.next + count - taken.length);
+      taken.push(...cards);
+      const next = pack.next + cards.length;
+      if (next >= pack.cards.length) {
+        await idbDelete(STORE, id);
+      } else {
+        await idbPut(STORE, id, { ...pack, next });
+      }
+    }
+
+    return taken.map(({ image, ...card }) => ({ ...card, offlineImage: image }));
+  } catch (error) {
+    console.error('Error reading card packs:', error);
+    return [];
+  }
+}
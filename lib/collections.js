@@ -0,0 +1,189 @@
+// Named collections of saved pages
+//
+// Stored under a single key as a versioned document, in the order the user arranged them:
+//   { version: 1, collections: [{ id, name, createdAt, pages: [{ id, language, title, thumbnail, addedAt }] }] }
+// Every change dispatches a 'collectionsChanged' event.
+
+const COLLECTIONS_STORAGE_KEY = 'wikiTokCollections';
+const COLLECTIONS_SCHEMA_VERSION = 1;
+const MAX_NAME_LENGTH = 60;
+
+function isSamePage(entry, pageId, language) {
+  return entry.id === pageId.toString() && entry.language === language;
+}
+
+function readCollections() {
+  const stored = localStorage.getItem(COLLECTIONS_STORAGE_KEY);
+  if (!stored) return [];
+
+  const data = JSON.parse(stored);
+  return data && Array.isArray(data.collections) ? data.collections : [];
+}
+
+function saveCollections(collections) {
+  localStorage.setItem(
+    COLLECTIONS_STORAGE_KEY,
+    JSON.stringify({ version: COLLECTIONS_SCHEMA_VERSION, collections })
+  );
+
+  const event = new CustomEvent('collectionsChanged', { detail: { collections } });
+  window.dispatchEvent(event);
+}
+
+// Apply a change to the stored list; returns false if it couldn't be saved
+function updateCollections(update) {
+  if (typeof window === 'undefined') return false;
+
+  try {
+    saveCollections(update(readCollections()));
+    return true;
+  } catch (error) {
+    console.error('Error saving collections to local storage:', error);
+    return false;
+  }
+}
+
+function cleanName(name) {
+  return (name || '').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Get all collections in display order
+ * @returns {Array} Array of { id, name, createdAt, pages } objects
+ */
+export function getCollections() {
+  if (typeof window === 'undefined') return [];
+
+  try {
+    return readCollections();
+  } catch (error) {
+    console.error('Error retrieving collections from local storage:', error);
+    return [];
+  }
+}
+
+/**
+ * Find a collection by ID
+ * @param {string} collectionId - Collection ID
+ * @returns {Object|null} The collection, or null if it doesn't exist
+ */
+export function getCollection(collectionId) {
+  return getCollections().find(collection => collection.id === collectionId) || null;
+}
+
+/**
+ * Create an empty collection at the end of the list
+ * @param {string} name - Display name
+ * @returns {Object|null} The new collection, or null if the name is empty or it couldn't be saved
+ */
+export function createCollection(name) {
+  const trimmed = cleanName(name);
+  if (!trimmed) return null;
+
+  const collection = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: trimmed,
+    createdAt: Date.now(),
+    pages: []
+  };
+
+  return updateCollections(collections => [...collections, collection]) ? collection : null;
+}
+
+/**
+ * Rename a collection
+ * @param {string} collectionId - Collection ID
+ * @param {string} name - New display name; empty names are ignored
+ */
+export function renameCollection(collectionId, name) {
+  const trimmed = cleanName(name);
+  if (!trimmed) return;
+
+  updateCollections(collections => collections.map(collection =>
+    collection.id === collectionId ? { ...collection, name: trimmed } : collection
+  ));
+}
+
+/**
+ * Delete a collection and the pages saved in it
+ * @param {string} collectionId - Collection ID
+ */
+export function deleteCollection(collectionId) {
+  updateCollections(collections => collections.filter(collection => collection.id !== collectionId));
+}
+
+/**
+ * Move a collection up or down the list
+ * @param {string} collectionId - Collection ID
+ * @param {number} offset - Positions to move, negative moves it up
+ */
+export function moveCollection(collectionId, offset) {
+  updateCollections(collections => {
+    const from = collections.findIndex(collection => collection.id === collectionId);
+    const to = Math.min(Math.max(from + offset, 0), collections.length - 1);
+    if (from === -1 || from === to) return collections;
+
+    const reordered = [...collections];
+    const [moved] = reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    return reordered;
+  });
+}
+
+/**
+ * IDs of the collections a page is saved in
+ * @param {number|string} pageId - The Wikipedia page ID
+ * @param {string} language - Language code of the wiki the page belongs to
+ * @returns {Array} Collection IDs
+ */
+export function getCollectionsForPage(pageId, language = 'en') {
+  return getCollections()
+    .filter(collection => collection.pages.some(entry => isSamePage(entry, pageId, language)))
+    .map(collection => collection.id);
+}
+
+/**
+ * Add a page to a collection, or remove it if it's already there
+ * @param {string} collectionId - Collection ID
+ * @param {Object} page - Card object with pageid, title, language and thumbnail
+ * @returns {boolean} Whether the page is in the collection afterwards
+ */
+export function togglePageInCollection(collectionId, page) {
+  if (!page || !page.pageid) return false;
+
+  const language = page.language || 'en';
+  let saved = false;
+
+  updateCollections(collections => collections.map(collection => {
+    if (collection.id !== collectionId) return collection;
+
+    const exists = collection.pages.some(entry => isSamePage(entry, page.pageid, language));
+    saved = !exists;
+    const pages = exists
+      ? collection.pages.filter(entry => !isSamePage(entry, page.pageid, language))
+      : [...collection.pages, {
+          id: page.pageid.toString(),
+          language,
+          title: page.title,
+          thumbnail: (page.thumbnail && page.thumbnail.source) || null,
+          addedAt: Date.now()
+        }];
+    return { ...collection, pages };
+  }));
+
+  return saved;
+}
+
+/**
+ * Remove a page from a collection
+ * @param {string} collectionId - Collection ID
+ * @param {number|string} pageId - The Wikipedia page ID
+ * @param {string} language - Language code of the wiki the page belongs to
+ */
+export function removeFromCollection(collectionId, pageId, language = 'en') {
+  updateCollections(collections => collections.map(collection =>
+    collection.id === collectionId
+      ? { ...collection, pages: collection.pages.filter(entry => !isSamePage(entry, pageId, language)) }
+      : collection
+  ));
+}
@@ -0,0 +1,177 @@
+// Content filtering for the feeds
+//
+// Every batch runs through a list of rules before it reaches the stack. Each rule looks at a card
+// (and its categories, when a rule needs them) and returns why the card should be hidden, or null.
+// The rules come from the settings: lists, stubs, blocked keywords and categories, and safe mode.
+// Page types other than 'standard' (disambiguation pages, the main page) are always hidden.
+import { getSettings, updateSettings } from './settings';
+import { getPageTopics } from './wikiapi';
+
+// Titles of list articles on the larger wikis
+const LIST_TITLE_PATTERNS = [
+  /^lists? of /i,
+  /^liste (der|des|von|de|d'|di|dei|delle)\b/i,
+  /^anexo:/i,
+  /^lista (de|dos|das|di)\b/i,
+  /^список /i
+];
+
+// Extracts of disambiguation pages found through the action API, which has no summary `type`
+const DISAMBIGUATION_EXTRACT = /(may|can) refer to:?\s*$/i;
+
+// Safe mode hides cards with words starting with these, in the text or a category name
+const SAFE_MODE_TERMS = [
+  'pornograph', 'erotic', 'sexual', 'sex worker', 'prostitut', 'nudity', 'nude', 'fetish',
+  'genital', 'torture', 'massacre', 'suicide', 'self-harm', 'murder', 'rape', 'mutilat',
+  'beheading', 'drug use', 'terrorist attack'
+];
+
+/**
+ * Build the rules from the settings
+ * @param {Object} settings - Settings from lib/settings.js
+ * @returns {Object} { hideLists, minExtractLength, keywords, categories, safeMode } with
+ * keywords and categories lower-cased
+ */
+export function getFilterRules(settings) {
+  return {
+    hideLists: settings.hideLists,
+    minExtractLength: settings.minExtractLength,
+    keywords: settings.blockedKeywords.map(keyword => keyword.toLowerCase()),
+    categories: settings.blockedCategories.map(category => category.toLowerCase()),
+    safeMode: settings.safeMode
+  };
+}
+
+/**
+ * Whether the rules look at categories, which costs a request per batch
+ * @param {Object} rules - Rules from getFilterRules
+ * @returns {boolean}
+ */
+export function needsCategories(rules) {
+  return rules.categories.length > 0 || rules.safeMode;
+}
+
+/**
+ * Whether a title is a list article
+ * @param {string} title - Page title
+ * @returns {boolean}
+ */
+export function isListTitle(title) {
+  return LIST_TITLE_PATTERNS.some(pattern => pattern.test(title));
+}
+
+// Whole-word match, so "war" doesn't hide "Warsaw"; with `prefix` the word only has to start there
+function containsWord(text, word, prefix = false) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const end = prefix ? '' : '($|[^\\p{L}\\p{N}])';
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}${end}`, 'iu').test(text);
+}
+
+/**
+ * Check a card against the rules
+ * @param {Object} page - Card object
+ * @param {Object} rules - Rules from getFilterRules
+ * @param {Array} [categories] - The page's categories, when needsCategories(rules)
+ * @returns {string|null} Why the card is hidden, or null if it can be shown
+ */
+export function checkPage(page, rules, categories = []) {
+  const extract = page.extract || '';
+  const text = `${page.title}\n${page.description || ''}\n${extract}`;
+
+  if (page.type && page.type !== 'standard') return `type:${page.type}`;
+  if (DISAMBIGUATION_EXTRACT.test(extract)) return 'type:disambiguation';
+  // The picture of the day isn't an article, so it can't be a list or a stub
+  if (page.pageid) {
+    if (rules.hideLists && isListTitle(page.title)) return 'list';
+    if (extract.length < rules.minExtractLength) return 'stub';
+  }
+
+  const keyword = rules.keywords.find(word => containsWord(text, word));
+  if (keyword) return `keyword:${keyword}`;
+
+  const lowerCategories = categories.map(category => category.toLowerCase());
+  const category = lowerCategories.find(name => rules.categories.includes(name));
+  if (category) return `category:${category}`;
+
+  if (rules.safeMode) {
+    const term = SAFE_MODE_TERMS.find(word =>
+      containsWord(text, word, true) || lowerCategories.some(name => containsWord(name, word, true))
+    );
+    if (term) return `safe:${term}`;
+  }
+
+  return null;
+}
+
+/**
+ * Drop the cards the user's filters hide. Evicted stubs are kept, they were shown before.
+ * @param {Array} pages - Card objects tagged with their language
+ * @returns {Promise<Array>} The cards that pass, in order
+ */
+export async function filterContent(pages) {
+  const rules = getFilterRules(getSettings());
+  const checked = pages.filter(page => !page.evicted);
+
+  const categories = {};
+  if (needsCategories(rules) && checked.length > 0) {
+    // Cards of a stack can come from several wikis, e.g. a collection
+    const byLanguage = {};
+    checked.forEach(page => {
+      const language = page.language || 'en';
+      (byLanguage[language] = byLanguage[language] || []).push(page.title);
+    });
+    await Promise.all(Object.entries(byLanguage).map(async ([language, titles]) => {
+      const topics = await getPageTopics(titles.slice(0, 50), language);
+      titles.forEach(title => {
+        if (topics[title]) categories[`${language}:${title}`] = topics[title].categories;
+      });
+    }));
+  }
+
+  return pages.filter(page =>
+    page.evicted || !checkPage(page, rules, categories[`${page.language || 'en'}:${page.title}`])
+  );
+}
+
+/**
+ * Hide a category from the feeds
+ * @param {string} category - Category name without the "Category:" prefix
+ */
+export function muteCategory(category) {
+  const { blockedCategories } = getSettings();
+  if (blockedCategories.some(name => name.toLowerCase() === category.toLowerCase())) return;
+  updateSettings({ blockedCategories: [...blockedCategories, category] });
+}
+
+/**
+ * Show a muted category again
+ * @param {string} category - Category name
+ */
+export function unmuteCategory(category) {
+  updateSettings({
+    blockedCategories: getSettings().blockedCategories.filter(name => name !== category)
+  });
+}
+
+/**
+ * Hide cards mentioning a word
+ * @param {string} keyword - Word or phrase
+ * @returns {boolean} False if it's empty or already blocked
+ */
+export function blockKeyword(keyword) {
+  const word = keyword.trim();
+  const { blockedKeywords } = getSettings();
+  if (!word || blockedKeywords.some(other => other.toLowerCase() === word.toLowerCase())) return false;
+  updateSettings({ blockedKeywords: [...blockedKeywords, word] });
+  return true;
+}
+
+/**
+ * Stop hiding cards mentioning a word
+ * @param {string} keyword - Blocked word
+ */
+export function unblockKeyword(keyword) {
+  updateSettings({
+    blockedKeywords: getSettings().blockedKeywords.filter(word => word !== keyword)
+  });
+}
@@ -0,0 +1,111 @@
+// Mapping of the REST /feed/featured payload into feed cards
+import { toPlainText } from './snippet';
+
+// Badge labels for each section of the featured feed
+export const FEATURED_SECTIONS = {
+  featured: 'Featured article',
+  mostread: 'Most read',
+  picture: 'Picture of the day',
+  news: 'In the news',
+  onthisday: 'On this day',
+};
+
+// Most-read lists run to 50 articles; only the top of the list makes the feed
+const MOST_READ_LIMIT = 10;
+
+/**
+ * Format a date the way the featured feed endpoint expects it
+ * @param {Date} date - Day to format, in local time
+ * @returns {string} Date as YYYY/MM/DD
+ */
+export function formatFeaturedDate(date) {
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}/${month}/${day}`;
+}
+
+/**
+ * Turn a page summary from the featured payload into a card
+ * @param {Object} summary - REST page summary
+ * @param {string} section - Key of FEATURED_SECTIONS the card came from
+ * @param {string} language - Language code of the wiki
+ * @param {string} [context] - Extra line shown under the badge, e.g. the news story
+ * @returns {Object|null} Card, or null if the summary has no image
+ */
+function summaryToCard(summary, section, language, context) {
+  if (!summary || !summary.pageid || !summary.thumbnail) return null;
+
+  return {
+    pageid: summary.pageid,
+    title: summary.title,
+    description: summary.description,
+    extract: summary.extract,
+    type: summary.type,
+    thumbnail: summary.thumbnail,
+    originalimage: summary.originalimage,
+    language,
+    section,
+    ...(context ? { context } : {}),
+  };
+}
+
+// Cards for a story or event come from the first linked article with an image
+function firstCardFrom(pages, section, language, context) {
+  for (const page of pages || []) {
+    const card = summaryToCard(page, section, language, context);
+    if (card) return card;
+  }
+  return null;
+}
+
+/**
+ * Turn every section of a featured feed payload into cards, in display order
+ * @param {Object} payload - Response of /feed/featured/{YYYY}/{MM}/{DD}
+ * @param {string} language - Language code of the wiki the payload came from
+ * @returns {Array} Cards tagged with their section, without duplicate pages
+ */
+export function mapFeaturedContent(payload, language = 'en') {
+  if (!payload) return [];
+
+  const cards = [];
+
+  cards.push(summaryToCard(payload.tfa, 'featured', language));
+
+  if (payload.image && payload.image.thumbnail) {
+    const { image } = payload;
+    // The picture of the day is a Commons file, not an article, so it has no page ID
+    cards.push({
+      title: image.title,
+      extract: image.description ? image.description.text : '',
+      thumbnail: image.thumbnail,
+      originalimage: image.image,
+      language,
+      section: 'picture',
+      ...(image.artist && image.artist.text ? { context: `Photo: ${toPlainText(image.artist.text)}` } : {}),
+    });
+  }
+
+  const mostRead = (payload.mostread && payload.mostread.articles) || [];
+  mostRead.slice(0, MOST_READ_LIMIT).forEach(article => {
+    cards.push(summaryToCard(article, 'mostread', language));
+  });
+
+  (payload.news || []).forEach(story => {
+    cards.push(firstCardFrom(story.links, 'news', language, toPlainText(story.story).trim()));
+  });
+
+  (payload.onthisday || []).forEach(event => {
+    cards.push(firstCardFrom(event.pages, 'onthisday', language, `${event.year}: ${event.text}`));
+  });
+
+  // Drop sections without an image and pages that already appeared in an earlier section
+  const seen = new Set();
+  return cards.filter(card => {
+    if (!card) return false;
+    const key = card.pageid || card.title;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,175 @@
+// Server-side card buffer for the /api/feed route
+import axios from 'axios';
+import { randomUUID } from 'crypto';
+import LRUCache from './lruCache';
+import { LANGUAGES } from './language';
+
+// Refill in the background once the buffer drops below this
+const BUFFER_LOW_WATER = 10;
+// Number of parallel random-summary requests per refill round
+const REFILL_CONCURRENCY = 10;
+// Give up on a batch after this many refill rounds without filling it
+const MAX_REFILL_ROUNDS = 3;
+// Bounds for the per-cursor dedup state
+const MAX_SESSIONS = 1000;
+const MAX_SEEN_PER_SESSION = 1000;
+
+// One buffer per language; the route only accepts supported languages, the limit guards other callers
+const buffers = new LRUCache(LANGUAGES.length);
+const sessions = new LRUCache(MAX_SESSIONS);
+
+/**
+ * Base URL of the REST API for a language wiki.
+ * WIKI_REST_BASE_URL points the feed at a mock server, e.g. http://localhost:4000
+ * resolves to http://localhost:4000/{language}/page/random/summary
+ * @param {string} language - Language code (en, es, fr, etc.)
+ * @returns {string} REST API base URL without a trailing slash
+ */
+export function getRestBaseUrl(language) {
+  const override = process.env.WIKI_REST_BASE_URL;
+  if (override) {
+    return `${override.replace(/\/$/, '')}/${language}`;
+  }
+  return `https://${language}.wikipedia.org/api/rest_v1`;
+}
+
+/**
+ * Turn a REST page summary into a feed card, or null if it can't be rendered
+ * @param {Object} summary - Response of /page/random/summary
+ * @param {string} language - Language code the summary was fetched from
+ * @returns {Object|null} Card object tagged with its language
+ */
+export function toCard(summary, language) {
+  if (!summary || !summary.pageid || !summary.thumbnail || !summary.thumbnail.source) {
+    return null;
+  }
+
+  return {
+    pageid: summary.pageid,
+    title: summary.title,
+    displaytitle: summary.displaytitle,
+    description: summary.description,
+    extract: summary.extract,
+    type: summary.type,
+    thumbnail: summary.thumbnail,
+    originalimage: summary.originalimage,
+    language,
+  };
+}
+
+function getBuffer(language) {
+  if (!buffers.has(language)) {
+    buffers.set(language, { cards: [], ids: new Set(), refilling: null });
+  }
+  return buffers.get(language);
+}
+
+async function fetchRandomSummary(language) {
+  const response = await axios.get(`${getRestBaseUrl(language)}/page/random/summary`, {
+    headers: {
+      'User-Agent': 'WikiTok/1.0 (https://github.com/oguadumi/wikitok)',
+      'Api-User-Agent': 'WikiTok/1.0'
+    },
+    timeout: 10000
+  });
+  return response.data;
+}
+
+/**
+ * Fetch a round of random pages in parallel and add the renderable ones to the buffer.
+ * Concurrent callers share the same in-flight refill.
+ * @param {string} language - Language code (en, es, fr, etc.)
+ * @returns {Promise<number>} Number of cards added
+ */
+export function refillBuffer(language) {
+  const buffer = getBuffer(language);
+  if (buffer.refilling) return buffer.refilling;
+
+  buffer.refilling = (async () => {
+    const requests = Array.from({ length: REFILL_CONCURRENCY }, () => fetchRandomSummary(language));
+    const results = await Promise.allSettled(requests);
+
+    let added = 0;
+    for (const result of results) {
+      if (result.status !== 'fulfilled') continue;
+
+      const card = toCard(result.value, language);
+      if (card && !buffer.ids.has(card.pageid)) {
+        buffer.ids.add(card.pageid);
+        buffer.cards.push(card);
+        added++;
+      }
+    }
+
+    const failures = results.filter(result => result.status === 'rejected');
+    if (failures.length > 0) {
+      console.error(`Feed refill for ${language}: ${failures.length} of ${results.length} requests failed`);
+    }
+    return added;
+  })().finally(() => {
+    buffer.refilling = null;
+  });
+
+  return buffer.refilling;
+}
+
+// Look up the dedup state for a cursor, starting a new one if it is unknown or for another language
+function resolveSession(cursor, language) {
+  const existing = cursor && sessions.get(cursor);
+  if (existing && existing.language === language) {
+    return existing;
+  }
+
+  const session = { id: randomUUID(), language, seen: new Set() };
+  sessions.set(session.id, session);
+  return session;
+}
+
+function markSeen(session, pageid) {
+  session.seen.add(pageid);
+  if (session.seen.size > MAX_SEEN_PER_SESSION) {
+    session.seen.delete(session.seen.values().next().value);
+  }
+}
+
+// Move up to `count` cards the session hasn't seen from the buffer into `batch`
+function drainInto(batch, buffer, session, count) {
+  const remaining = [];
+  for (const card of buffer.cards) {
+    if (batch.length < count && !session.seen.has(card.pageid)) {
+      batch.push(card);
+      markSeen(session, card.pageid);
+      buffer.ids.delete(card.pageid);
+    } else {
+      remaining.push(card);
+    }
+  }
+  buffer.cards = remaining;
+}
+
+/**
+ * Take a batch of ready-to-render cards for a client
+ * @param {Object} options
+ * @param {string} options.language - Language code (en, es, fr, etc.)
+ * @param {number} options.count - Number of cards wanted
+ * @param {string} [options.cursor] - Cursor returned by the previous batch
+ * @returns {Promise<{pages: Array, cursor: string, language: string}>} The batch and the cursor for the next one
+ */
+export async function takeFeedBatch({ language, count, cursor }) {
+  const buffer = getBuffer(language);
+  const session = resolveSession(cursor, language);
+  const batch = [];
+
+  drainInto(batch, buffer, session, count);
+  for (let round = 0; batch.length < count && round < MAX_REFILL_ROUNDS; round++) {
+    await refillBuffer(language);
+    drainInto(batch, buffer, session, count);
+  }
+
+  // Top the buffer up for the next request without making this one wait
+  if (buffer.cards.length < BUFFER_LOW_WATER) {
+    refillBuffer(language).catch(error => console.error('Error refilling feed buffer:', error));
+  }
+
+  return { pages: batch, cursor: session.id, language };
+}
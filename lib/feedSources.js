@@ -0,0 +1,164 @@
+// Feed sources for useFeed
+//
+// A source is { id, fetchBatch({ language, cursor, shown }) } where fetchBatch resolves to
+// { pages, cursor, done }. The cursor it returns is passed back on the next call, starting from null,
+// and `shown` holds the pages already in the stack. Finite sources set `done` on their last batch.
+// Pages the user has seen before are filtered out unless the source sets `keepSeen`, and pages the
+// content filters hide unless it sets `unfiltered`. Fixed lists such as a day's featured content or
+// a collection set `keepSeen`, so opening them again shows every card; only the open-ended random
+// and topic streams skip seen pages.
+import {
+  fetchFeedBatch,
+  getRelatedPages,
+  getFeaturedFeed,
+  getPageSummary,
+  searchCards,
+  getCategoryCards
+} from './wikiapi';
+import { formatFeaturedDate } from './featured';
+import { getRecommendations } from './recommender';
+import { getSettings } from './settings';
+import { allocateTopics } from './topics';
+
+export const BATCH_SIZE = 5;
+
+/**
+ * Random pages from the /api/feed route; the cursor is the route's own cursor
+ * @returns {Object} Feed source
+ */
+export function randomSource() {
+  return {
+    id: 'random',
+    async fetchBatch({ language, cursor }) {
+      return fetchFeedBatch(language, cursor, BATCH_SIZE);
+    }
+  };
+}
+
+/**
+ * Random pages limited to the user's topic filters, each topic getting a share of every batch by weight
+ * @param {Array} filters - Topic filters from lib/topics.js
+ * @returns {Object} Feed source
+ */
+export function topicFilterSource(filters) {
+  return {
+    id: `topics:${filters.map(filter => `${filter.id}*${filter.weight}`).join(',')}`,
+    filters,
+    async fetchBatch({ language, shown }) {
+      const shownIds = shown.map(page => page.pageid).filter(Boolean);
+      const counts = allocateTopics(filters, BATCH_SIZE);
+
+      const lists = await Promise.all(filters.map((filter, index) => {
+        if (counts[index] === 0) return [];
+        return filter.kind === 'category'
+          ? getCategoryCards(filter.value, counts[index], language, shownIds)
+          : searchCards(`articletopic:${filter.value}`, counts[index], language, shownIds, { random: true });
+      }));
+
+      // Interleave the topics so a batch doesn't come in blocks
+      const pages = [];
+      const seenIds = new Set();
+      for (let position = 0; pages.length < BATCH_SIZE && lists.some(list => position < list.length); position++) {
+        lists.forEach(list => {
+          const page = list[position];
+          if (page && !seenIds.has(page.pageid)) {
+            seenIds.add(page.pageid);
+            pages.push(page);
+          }
+        });
+      }
+      return { pages: pages.slice(0, BATCH_SIZE), cursor: null };
+    }
+  };
+}
+
+/**
+ * Rabbit hole: pages related to a seed article, each batch following the last page of the previous one
+ * @param {Object} seed - Page the topic starts from
+ * @returns {Object} Feed source
+ */
+export function topicSource(seed) {
+  return {
+    id: `topic:${seed.language}:${seed.pageid}`,
+    seed,
+    async fetchBatch({ language, cursor, shown }) {
+      const from = cursor || seed;
+      const shownIds = shown.map(page => page.pageid).filter(Boolean);
+      // Stay on the seed's wiki when it isn't the feed language, e.g. an article opened from a link
+      const pages = await getRelatedPages(from.title, BATCH_SIZE, from.language || language, shownIds);
+      return { pages, cursor: pages.length > 0 ? pages[pages.length - 1] : from };
+    }
+  };
+}
+
+/**
+ * Featured content of a day, then of each day before it; the cursor counts the days loaded
+ * @param {Date} date - First day to show
+ * @returns {Object} Feed source
+ */
+export function featuredSource(date) {
+  return {
+    id: `today:${formatFeaturedDate(date)}`,
+    date,
+    keepSeen: true,
+    async fetchBatch({ language, cursor }) {
+      const daysBack = cursor || 0;
+      const day = new Date(date);
+      day.setDate(day.getDate() - daysBack);
+      const pages = await getFeaturedFeed(day, language);
+      return { pages, cursor: daysBack + 1 };
+    }
+  };
+}
+
+/**
+ * Pages saved in a collection, in the order they were added; the cursor is the offset of the next batch
+ * @param {Object} collection - Collection from lib/collections.js
+ * @returns {Object} Feed source
+ */
+export function collectionSource(collection) {
+  return {
+    id: `collection:${collection.id}`,
+    collection,
+    keepSeen: true,
+    unfiltered: true,
+    async fetchBatch({ cursor }) {
+      const offset = cursor || 0;
+      const entries = collection.pages.slice(offset, offset + BATCH_SIZE);
+
+      // Saved pages can be in any language, so each summary comes from the page's own wiki
+      const summaries = await Promise.all(
+        entries.map(entry => getPageSummary(entry.title, entry.language))
+      );
+      const pages = summaries
+        .map((summary, index) => summary && { ...summary, language: entries[index].language })
+        .filter(Boolean);
+
+      const nextOffset = offset + entries.length;
+      return { pages, cursor: nextOffset, done: nextOffset >= collection.pages.length };
+    }
+  };
+}
+
+/**
+ * Personalized recommendations from likes and reading history, each card with a `reason`;
+ * the cursor is { round, randomCursor }
+ * @returns {Object} Feed source
+ */
+export function forYouSource() {
+  return {
+    id: 'foryou',
+    async fetchBatch({ language, cursor, shown }) {
+      const { round = 0, randomCursor = null } = cursor || {};
+      const result = await getRecommendations({
+        language,
+        count: BATCH_SIZE,
+        round,
+        excludeIds: shown.map(page => page.pageid).filter(Boolean),
+        exploration: getSettings().forYouExploration,
+        randomCursor
+      });
+      return { pages: result.pages, cursor: { round: round + 1, randomCursor: result.randomCursor } };
+    }
+  };
+}
@@ -0,0 +1,147 @@
+// Firebase account and likes sync backend
+//
+// Only active when the NEXT_PUBLIC_FIREBASE_* variables are set. The SDK is loaded on demand,
+// so builds without Firebase don't ship it. Set NEXT_PUBLIC_FIREBASE_USE_EMULATORS=true to use
+// the local Auth (port 9099) and Firestore (port 8080) emulators.
+
+// Next.js only inlines environment variables that are referenced by their full name
+const firebaseConfig = {
+  apiKey: process.env.NEXT_PUBLIC_FIREBASE_API_KEY,
+  authDomain: process.env.NEXT_PUBLIC_FIREBASE_AUTH_DOMAIN,
+  projectId: process.env.NEXT_PUBLIC_FIREBASE_PROJECT_ID,
+  appId: process.env.NEXT_PUBLIC_FIREBASE_APP_ID
+};
+const useEmulators = process.env.NEXT_PUBLIC_FIREBASE_USE_EMULATORS === 'true';
+
+let servicesPromise = null;
+
+/**
+ * Check if Firebase is configured for this build
+ * @returns {boolean} True if accounts and sync are available
+ */
+export function isFirebaseConfigured() {
+  return Boolean(firebaseConfig.apiKey && firebaseConfig.projectId && firebaseConfig.appId);
+}
+
+// Initialize the app, Auth and Firestore once
+function getServices() {
+  if (!servicesPromise) {
+    servicesPromise = (async () => {
+      const [{ initializeApp }, authModule, firestoreModule] = await Promise.all([
+        import('firebase/app'),
+        import('firebase/auth'),
+        import('firebase/firestore')
+      ]);
+
+      const app = initializeApp(firebaseConfig);
+      const auth = authModule.getAuth(app);
+      // Cache documents in IndexedDB so writes made offline are sent later
+      const db = firestoreModule.initializeFirestore(app, {
+        localCache: firestoreModule.persistentLocalCache()
+      });
+
+      if (useEmulators) {
+        authModule.connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+        firestoreModule.connectFirestoreEmulator(db, 'localhost', 8080);
+      }
+
+      return { auth, db, authModule, firestoreModule };
+    })();
+  }
+  return servicesPromise;
+}
+
+/**
+ * Listen for sign-in and sign-out
+ * @param {Function} callback - Called with { uid, displayName, photoURL } or null
+ * @returns {Function} Unsubscribe function
+ */
+export function onAccountChange(callback) {
+  if (!isFirebaseConfigured()) return () => {};
+
+  let unsubscribe = null;
+  let cancelled = false;
+
+  getServices()
+    .then(({ auth, authModule }) => {
+      if (cancelled) return;
+      unsubscribe = authModule.onAuthStateChanged(auth, user => {
+        callback(user && { uid: user.uid, displayName: user.displayName, photoURL: user.photoURL });
+      });
+    })
+    .catch(error => console.error('Error initializing Firebase:', error));
+
+  return () => {
+    cancelled = true;
+    if (unsubscribe) unsubscribe();
+  };
+}
+
+/**
+ * Sign in with a Google account in a popup
+ * @returns {Promise<void>}
+ */
+export async function signIn() {
+  const { auth, authModule } = await getServices();
+  await authModule.signInWithPopup(auth, new authModule.GoogleAuthProvider());
+}
+
+/**
+ * Sign out of the current account
+ * @returns {Promise<void>}
+ */
+export async function signOut() {
+  const { auth, authModule } = await getServices();
+  await authModule.signOut(auth);
+}
+
+/**
+ * Sync backend storing the likes of a signed-in user in a Firestore document
+ * @param {Object} account - Signed-in account from onAccountChange
+ * @returns {Object} Sync backend for lib/sync.js
+ */
+export function firebaseBackend(account) {
+  const likesDoc = async () => {
+    const { db, firestoreModule } = await getServices();
+    return { ref: firestoreModule.doc(db, 'users', account.uid, 'wikitok', 'likes'), firestoreModule };
+  };
+
+  return {
+    id: `firebase:${account.uid}`,
+    async load() {
+      const { ref, firestoreModule } = await likesDoc();
+      const snapshot = await firestoreModule.getDoc(ref);
+      if (!snapshot.exists()) return null;
+
+      const data = snapshot.data();
+      return { likes: data.likes || [], tombstones: data.tombstones || [] };
+    },
+    async save(state) {
+      const { ref, firestoreModule } = await likesDoc();
+      await firestoreModule.setDoc(ref, {
+        likes: state.likes,
+        tombstones: state.tombstones,
+        updatedAt: firestoreModule.serverTimestamp()
+      });
+    },
+    subscribe(onChange) {
+      let unsubscribe = null;
+      let cancelled = false;
+
+      likesDoc().then(({ ref, firestoreModule }) => {
+        if (cancelled) return;
+        // Writes from this device also trigger a snapshot; the merge then finds nothing to do
+        unsubscribe = firestoreModule.onSnapshot(ref, () => onChange(), error => {
+          console.error('Error listening for synced likes:', error);
+        });
+      }).catch(error => {
+        console.error('Error listening for synced likes:', error);
+      });
+
+      return () => {
+        cancelled = true;
+        if (unsubscribe) unsubscribe();
+      };
+    }
+  };
+}
@@ -0,0 +1,190 @@
+// Reading history and the last session's card stack
+//
+// History is stored under a single key as a versioned document, newest first:
+//   { version: 1, entries: [{ id, language, title, thumbnail, viewedAt, dwellMs, views }] }
+// Each page has one entry; viewing it again moves it to the top and adds to its dwell time.
+// Every change dispatches a 'historyChanged' event.
+
+const HISTORY_STORAGE_KEY = 'wikiTokHistory';
+const HISTORY_SCHEMA_VERSION = 1;
+const MAX_HISTORY_ENTRIES = 500;
+
+// Cards skipped faster than this don't count as viewed
+export const MIN_DWELL_MS = 500;
+
+const SESSION_STORAGE_KEY = 'wikiTokSession';
+// Sessions older than this aren't offered for resuming
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Cards further than this from the current one are saved as stubs and refetched when reached
+const SESSION_FULL_DISTANCE = 5;
+
+const isSamePage = (entry, pageId, language) =>
+  entry.id === pageId.toString() && entry.language === language;
+
+function readHistory() {
+  const stored = localStorage.getItem(HISTORY_STORAGE_KEY);
+  if (!stored) return [];
+
+  const data = JSON.parse(stored);
+  return data && Array.isArray(data.entries) ? data.entries : [];
+}
+
+function saveHistory(entries) {
+  localStorage.setItem(
+    HISTORY_STORAGE_KEY,
+    JSON.stringify({ version: HISTORY_SCHEMA_VERSION, entries })
+  );
+
+  const event = new CustomEvent('historyChanged', { detail: { entries } });
+  window.dispatchEvent(event);
+}
+
+/**
+ * Get the reading history, most recently viewed first
+ * @returns {Array} Array of { id, language, title, thumbnail, viewedAt, dwellMs, views } entries
+ */
+export function getHistory() {
+  if (typeof window === 'undefined') return [];
+
+  try {
+    return readHistory();
+  } catch (error) {
+    console.error('Error retrieving history from local storage:', error);
+    return [];
+  }
+}
+
+/**
+ * Record that a card was viewed
+ * @param {Object} page - Card object with pageid, title, language and thumbnail
+ * @param {number} dwellMs - How long the card was on screen
+ */
+export function recordView(page, dwellMs) {
+  if (typeof window === 'undefined' || !page || !page.pageid || page.evicted) return;
+  if (dwellMs < MIN_DWELL_MS) return;
+
+  const language = page.language || 'en';
+
+  try {
+    const entries = readHistory();
+    const previous = entries.find(entry => isSamePage(entry, page.pageid, language));
+    const entry = {
+      id: page.pageid.toString(),
+      language,
+      title: page.title,
+      thumbnail: (page.thumbnail && page.thumbnail.source) || (previous && previous.thumbnail) || null,
+      viewedAt: Date.now(),
+      dwellMs: Math.round(dwellMs) + (previous ? previous.dwellMs : 0),
+      views: (previous ? previous.views : 0) + 1
+    };
+
+    const others = entries.filter(other => other !== previous);
+    saveHistory([entry, ...others].slice(0, MAX_HISTORY_ENTRIES));
+  } catch (error) {
+    console.error('Error saving history to local storage:', error);
+  }
+}
+
+/**
+ * Remove one page from the history
+ * @param {number|string} pageId - The Wikipedia page ID
+ * @param {string} language - Language code of the wiki the page belongs to
+ */
+export function removeHistoryEntry(pageId, language = 'en') {
+  if (typeof window === 'undefined') return;
+
+  try {
+    saveHistory(readHistory().filter(entry => !isSamePage(entry, pageId, language)));
+  } catch (error) {
+    console.error('Error saving history to local storage:', error);
+  }
+}
+
+/**
+ * Clear the whole reading history
+ */
+export function clearHistory() {
+  if (typeof window === 'undefined') return;
+
+  try {
+    saveHistory([]);
+  } catch (error) {
+    console.error('Error clearing history:', error);
+  }
+}
+
+/**
+ * Remember the card stack so the next visit can continue from it
+ * @param {Object} session
+ * @param {Array} session.pages - Cards in the stack
+ * @param {number} session.index - Index of the current card
+ * @param {string} session.language - Language the feed was in
+ * @param {string} session.feedMode - Tab the stack came from ('foryou', 'random' or 'today')
+ * @param {Date} [session.featuredDate] - Day shown by the Today tab
+ */
+export function saveSession({ pages, index, language, feedMode, featuredDate }) {
+  if (typeof window === 'undefined' || pages.length === 0) return;
+
+  // Only cards near the current one are stored whole; useFeed refetches stubs when they're reached.
+  // Offline pack cards are always stubs, since their image blobs don't survive JSON.
+  const compact = pages.map((page, position) =>
+    (Math.abs(position - index) <= SESSION_FULL_DISTANCE && !page.offlineImage) || !page.pageid
+      ? page
+      : { pageid: page.pageid, title: page.title, language: page.language, evicted: true }
+  );
+
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+      savedAt: Date.now(),
+      pages: compact,
+      index,
+      language,
+      feedMode,
+      featuredDate: featuredDate ? featuredDate.toISOString() : null
+    }));
+  } catch (error) {
+    console.error('Error saving session to local storage:', error);
+  }
+}
+
+/**
+ * Get the card stack of the previous visit
+ * @returns {Object|null} Session saved by saveSession, with featuredDate as a Date, or null if
+ * there is none or it's too old
+ */
+export function getSavedSession() {
+  if (typeof window === 'undefined') return null;
+
+  try {
+    const stored = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (!stored) return null;
+
+    const session = JSON.parse(stored);
+    if (!Array.isArray(session.pages) || Date.now() - session.savedAt > SESSION_MAX_AGE_MS) {
+      return null;
+    }
+
+    const index = Math.min(Math.max(session.index || 0, 0), session.pages.length - 1);
+    return {
+      ...session,
+      index,
+      featuredDate: session.featuredDate ? new Date(session.featuredDate) : null
+    };
+  } catch (error) {
+    console.error('Error retrieving session from local storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Forget the saved card stack
+ */
+export function clearSavedSession() {
+  if (typeof window === 'undefined') return;
+
+  try {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error clearing saved session:', error);
+  }
+}
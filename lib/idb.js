@@ -0,0 +1,96 @@
+// Minimal promise wrapper around the WikiTok IndexedDB database
+//
+// Object stores are created in `upgrade`; adding one means bumping DB_VERSION and adding a
+// step for the new version.
+
+const DB_NAME = 'wikitok';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function upgrade(db, oldVersion) {
+  if (oldVersion < 1) {
+    // Seen-page filters, see lib/seenPages.js
+    db.createObjectStore('seen');
+  }
+  if (oldVersion < 2) {
+    // Offline card packs, see lib/cardPacks.js
+    db.createObjectStore('packs');
+  }
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user re-enables storage
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Run one request in a transaction and resolve with its result once the transaction completes
+async function run(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Check if IndexedDB can be used here
+ * @returns {boolean}
+ */
+export function isIndexedDBAvailable() {
+  return typeof window !== 'undefined' && 'indexedDB' in window;
+}
+
+/**
+ * Read a value
+ * @param {string} storeName - Object store
+ * @param {string} key - Key of the value
+ * @returns {Promise<*>} The value, or undefined
+ */
+export function idbGet(storeName, key) {
+  return run(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Read every value of a store
+ * @param {string} storeName - Object store
+ * @returns {Promise<Array>} Values in key order
+ */
+export function idbGetAll(storeName) {
+  return run(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Write a value
+ * @param {string} storeName - Object store
+ * @param {string} key - Key of the value
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<void>}
+ */
+export function idbPut(storeName, key, value) {
+  return run(storeName, 'readwrite', store => store.put(value, key));
+}
+
+/**
+ * Delete a value
+ * @param {string} storeName - Object store
+ * @param {string} key - Key of the value
+ * @returns {Promise<void>}
+ */
+export function idbDelete(storeName, key) {
+  return run(storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,196 @@
+// Choosing and crediting the images of a card
+//
+// extractImages in lib/wikiapi.js fetches the files of an article with their size and Commons
+// metadata; rankImages keeps the ones worth showing and orders them. The lead image (the page
+// image Wikipedia itself picks) comes first, then pictures that fill a portrait screen well.
+import { toPlainText } from './snippet';
+
+// Files that are part of templates and navigation boxes rather than the article
+const DECORATION_PATTERN = /(^|[\s(-])((icon|logo|symbol|emblem|flag of|question book|ambox|disambig|padlock|crystal clear|nuvola|folder|increase|decrease|steady|red pencil)(?![a-z])|edit-|text-x|commons-|wiki(data|quote|source|news|voyage|books|species|versity)|portal-puzzle)/i;
+// Vector files are usually diagrams or template graphics; maps are the exception worth showing
+const MAP_PATTERN = /(map|locator|location|karte|carte|mapa|карта)/i;
+const RASTER_PATTERN = /\.(jpe?g|png|gif|webp|tiff?)$/i;
+const SVG_PATTERN = /\.svg$/i;
+// Photos narrower than this look blurry full screen
+const MIN_WIDTH = 400;
+
+const LEAD_BONUS = 100;
+const MAP_BONUS = 5;
+
+/**
+ * File name without the namespace, which is localized ("File:", "Datei:"...), and with spaces
+ * @param {string} title - File title or name
+ * @returns {string}
+ */
+export function fileName(title) {
+  return title.replace(/^[^:]+:/, '').replace(/_/g, ' ');
+}
+
+/**
+ * Whether a file from a page's image list could be one of its pictures
+ * @param {string} title - File title, e.g. "File:Foo.jpg"
+ * @returns {boolean}
+ */
+export function isCandidateFile(title) {
+  if (DECORATION_PATTERN.test(fileName(title))) return false;
+  return RASTER_PATTERN.test(title) || (SVG_PATTERN.test(title) && MAP_PATTERN.test(title));
+}
+
+// Portrait and square images fill a phone screen; wide panoramas get cropped to a sliver
+function aspectScore(width, height) {
+  const ratio = height / width;
+  if (ratio >= 1) return 20;
+  if (ratio >= 0.75) return 10;
+  if (ratio >= 0.5) return 0;
+  return -20;
+}
+
+/**
+ * Score an image for a card
+ * @param {Object} info - { title, width, height }
+ * @param {string|null} leadName - File name of the page's lead image
+ * @returns {number} Higher is better
+ */
+export function scoreImage(info, leadName) {
+  let score = aspectScore(info.width, info.height);
+  if (leadName && fileName(info.title) === fileName(leadName)) score += LEAD_BONUS;
+  if (SVG_PATTERN.test(info.title)) score += MAP_BONUS;
+  // Bigger is better, with diminishing returns
+  score += Math.log2(Math.max(info.width * info.height, 1)) / 2;
+  return score;
+}
+
+/**
+ * Attribution of a file from its Commons extmetadata
+ * @param {Object} [extmetadata] - imageinfo extmetadata
+ * @param {string} [descriptionUrl] - File description page
+ * @returns {Object} { artist, license, licenseUrl, description, sourceUrl }, fields null when unknown
+ */
+export function getCredit(extmetadata = {}, descriptionUrl = null) {
+  const field = (name) => {
+    const value = extmetadata[name] && extmetadata[name].value;
+    const text = value ? toPlainText(String(value)).replace(/\s+/g, ' ').trim() : '';
+    return text || null;
+  };
+
+  return {
+    artist: field('Artist') || field('Credit'),
+    license: field('LicenseShortName'),
+    licenseUrl: field('LicenseUrl'),
+    description: field('ImageDescription'),
+    sourceUrl: descriptionUrl
+  };
+}
+
+/**
+ * Pick and order the images of a card
+ * @param {Array} files - { title, imageinfo } pages from an imageinfo query
+ * @param {string|null} leadName - File name of the page's lead image
+ * @param {number} count - Number of images to keep
+ * @returns {Array} { url, alt, width, height, credit } objects, best first
+ */
+export function rankImages(files, leadName, count = 3) {
+  const isLead = (info) => Boolean(leadName) && fileName(info.title) === fileName(leadName);
+
+  return files
+    .filter(file => file.imageinfo && file.imageinfo[0])
+    .map(file => ({ title: file.title, ...file.imageinfo[0] }))
+    .filter(info => isLead(info) || SVG_PATTERN.test(info.title) || info.width >= MIN_WIDTH)
+    .map(info => ({ info, score: scoreImage(info, leadName) }))
+    .sort((a, b) => b.score - a.score || a.info.title.localeCompare(b.info.title))
+    .slice(0, count)
+    .map(({ info }) => ({
+      // The scaled rendering; SVGs come back as PNG
+      url: info.thumburl || info.url,
+      alt: fileName(info.title).replace(/\.[^.]+$/, ''),
+      width: info.thumbwidth || info.width,
+      height: info.thumbheight || info.height,
+      credit: getCredit(info.extmetadata, info.descriptionurl)
+    }));
+}
+
+// Widths Wikimedia renders ahead of time and caches; other widths are rendered on request and
+// rate limited, so responsive sources only use these
+export const THUMB_WIDTHS = [250, 330, 500, 960, 1280, 1920];
+// Widest source offered in data saver mode
+export const DATA_SAVER_MAX_WIDTH = 500;
+// Low-res version shown blurred while the full image loads; the smallest standard width, which
+// is often in the browser cache already as the first srcset entry
+const BLUR_WIDTH = THUMB_WIDTHS[0];
+
+const WIKIMEDIA_PATTERN = /^https:\/\/upload\.wikimedia\.org\//;
+// ".../thumb/a/ab/Foo.jpg/800px-Foo.jpg", with a prefix for multi-page files
+const THUMB_URL_PATTERN = /\/((?:lossy-)?(?:page\d+-)?)(\d+)px-([^/]+)$/;
+// ".../a/ab/Foo.jpg", the original upload
+const ORIGINAL_URL_PATTERN = /^(https:\/\/upload\.wikimedia\.org\/[^/]+\/[^/]+)\/([0-9a-f]\/[0-9a-f]{2}\/([^/]+\.(jpe?g|png|gif|webp|svg)))$/i;
+
+/**
+ * URL of a Wikimedia image scaled to a width
+ * @param {string} url - Thumbnail or original upload URL
+ * @param {number} width - Width in pixels, not wider than the original
+ * @returns {string|null} Null for URLs that aren't Wikimedia images
+ */
+export function thumbnailUrl(url, width) {
+  if (!WIKIMEDIA_PATTERN.test(url)) return null;
+  if (url.includes('/thumb/') && THUMB_URL_PATTERN.test(url)) {
+    return url.replace(THUMB_URL_PATTERN, `/$1${width}px-$3`);
+  }
+
+  const match = url.match(ORIGINAL_URL_PATTERN);
+  if (!match) return null;
+  const [, base, path, name] = match;
+  // Vector files are rendered as PNG
+  const thumbName = /\.svg$/i.test(name) ? `${name}.png` : name;
+  return `${base}/thumb/${path}/${width}px-${thumbName}`;
+}
+
+/**
+ * A Wikimedia image at the widest standard width narrower than the original, like the images
+ * extractImages gets from the API
+ * @param {string} url - Thumbnail or original upload URL
+ * @param {number} width - Width of the original
+ * @param {number} height - Height of the original
+ * @returns {Object} { url, width, height }; the original when Wikimedia can't resize it or it's
+ * narrower than every standard width
+ */
+export function standardImage(url, width, height) {
+  const target = THUMB_WIDTHS.filter(candidate => candidate < width).pop();
+  const scaled = target && thumbnailUrl(url, target);
+  if (!scaled) return { url, width, height };
+
+  return { url: scaled, width: target, height: Math.round((height / width) * target) };
+}
+
+/**
+ * Sources for showing a card image at a size that suits the screen
+ * @param {Object|string} image - { url, width, height } from rankImages, or a URL
+ * @param {boolean} [dataSaver] - Offer only small sources
+ * @returns {Object} { src, srcSet, sizes, placeholder }; srcSet, sizes and placeholder are null for
+ * images Wikimedia can't resize, such as offline pack images and generated placeholders
+ */
+export function getImageSources(image, dataSaver = false) {
+  const url = typeof image === 'object' ? image.url : image;
+  const thumbMatch = url.match(THUMB_URL_PATTERN);
+  // The URL we were given is the widest one known to exist
+  const width = (typeof image === 'object' && image.width) || (thumbMatch && Number(thumbMatch[2]));
+  const plain = { src: url, srcSet: null, sizes: null, placeholder: null };
+
+  if (!width || !thumbnailUrl(url, width)) return plain;
+
+  const maxWidth = dataSaver ? Math.min(width, DATA_SAVER_MAX_WIDTH) : width;
+  const sources = THUMB_WIDTHS
+    .filter(candidate => candidate < maxWidth)
+    .map(candidate => ({ url: thumbnailUrl(url, candidate), width: candidate }));
+  sources.push({ url: maxWidth === width ? url : thumbnailUrl(url, maxWidth), width: maxWidth });
+
+  // Cards crop images to cover the screen, so a wide image is drawn wider than the viewport
+  const height = typeof image === 'object' && image.height;
+  const sizes = height ? `max(100vw, ${Math.round((width / height) * 1000) / 10}vh)` : '100vw';
+
+  return {
+    src: sources[sources.length - 1].url,
+    srcSet: sources.map(source => `${source.url} ${source.width}w`).join(', '),
+    sizes,
+    placeholder: width > BLUR_WIDTH ? thumbnailUrl(url, BLUR_WIDTH) : null
+  };
+}
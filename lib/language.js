@@ -0,0 +1,75 @@
+// Language helpers for WikiTok
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'es', name: 'Español' },
+  { code: 'fr', name: 'Français' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'it', name: 'Italiano' },
+  { code: 'pt', name: 'Português' },
+  { code: 'ru', name: 'Русский' },
+  { code: 'ja', name: '日本語' },
+  { code: 'zh', name: '中文' },
+  { code: 'ar', name: 'العربية' },
+  { code: 'hi', name: 'हिन्दी' },
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Key for storing the selected language in localStorage
+const LANGUAGE_STORAGE_KEY = 'wikiTokLanguage';
+
+/**
+ * Check if a language code is one WikiTok offers
+ * @param {string} code - Language code to check
+ * @returns {boolean} True if the language is supported
+ */
+export function isSupportedLanguage(code) {
+  return LANGUAGES.some(lang => lang.code === code);
+}
+
+/**
+ * Get the language the user last selected
+ * @returns {string} Language code, falling back to the default language
+ */
+export function getStoredLanguage() {
+  if (typeof window === 'undefined') return DEFAULT_LANGUAGE;
+
+  try {
+    const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    return isSupportedLanguage(stored) ? stored : DEFAULT_LANGUAGE;
+  } catch (error) {
+    console.error('Error retrieving language from local storage:', error);
+    return DEFAULT_LANGUAGE;
+  }
+}
+
+/**
+ * Persist the selected language and notify listening components
+ * @param {string} code - Language code to switch to
+ */
+export function setLanguage(code) {
+  if (typeof window === 'undefined' || !isSupportedLanguage(code)) return;
+
+  try {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, code);
+  } catch (error) {
+    console.error('Error saving language to local storage:', error);
+  }
+
+  // Dispatch event to notify components
+  const event = new CustomEvent('languageChange', {
+    detail: { language: code }
+  });
+  window.dispatchEvent(event);
+}
+
+/**
+ * Build the Wikipedia URL of an article
+ * @param {string} title - Wikipedia page title
+ * @param {string} language - Language code of the wiki the page belongs to
+ * @returns {string} Article URL
+ */
+export function getWikiUrl(title, language = DEFAULT_LANGUAGE) {
+  return `https://${language}.wikipedia.org/wiki/${encodeURIComponent(title.replace(/ /g, '_'))}`;
+}
@@ -0,0 +1,296 @@
+// Export and import of liked pages
+//
+// Pure functions between like records ({ id, language, title, thumbnail, likedAt }, see
+// lib/storage.js) and file contents. JSON and CSV exports can be imported again; Markdown and
+// bookmarks HTML are for reading lists and browsers.
+import { getWikiUrl, isSupportedLanguage } from './language';
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  bookmarks: { label: 'Bookmarks HTML', extension: 'html', mimeType: 'text/html' }
+};
+
+// Marks JSON files written by WikiTok. `version` is the version of this file format, separate
+// from the storage schema in lib/storage.js; bump it only when the exported fields change.
+const JSON_FORMAT_ID = 'wikitok-likes';
+const JSON_FORMAT_VERSION = 2;
+const CSV_COLUMNS = ['id', 'language', 'title', 'thumbnail', 'likedAt'];
+
+// Stand-in title for migrated likes whose metadata was never fetched
+const displayTitle = (like) => like.title || `Page ${like.id}`;
+
+const likeUrl = (like) => (like.title
+  ? getWikiUrl(like.title, like.language)
+  : `https://${like.language}.wikipedia.org/?curid=${like.id}`);
+
+const toISOString = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : '');
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\[\]*_`])/g, '\\$1');
+}
+
+/**
+ * Serialize likes as a JSON document that parseLikesFile can read back
+ * @param {Array} likes - Like records
+ * @param {Date} [exportedAt] - Export time written to the file
+ * @returns {string} JSON text
+ */
+export function likesToJson(likes, exportedAt = new Date()) {
+  return JSON.stringify({
+    format: JSON_FORMAT_ID,
+    version: JSON_FORMAT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    likes
+  }, null, 2);
+}
+
+/**
+ * Serialize likes as CSV with a header row; likedAt is written as an ISO date
+ * @param {Array} likes - Like records
+ * @returns {string} CSV text
+ */
+export function likesToCsv(likes) {
+  const rows = likes.map(like => [
+    like.id,
+    like.language,
+    like.title,
+    like.thumbnail,
+    toISOString(like.likedAt)
+  ].map(escapeCsvField).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize likes as a Markdown reading list
+ * @param {Array} likes - Like records
+ * @returns {string} Markdown text
+ */
+export function likesToMarkdown(likes) {
+  const items = likes.map(like => {
+    const date = like.likedAt ? ` (liked ${toISOString(like.likedAt).slice(0, 10)})` : '';
+    return `- [${escapeMarkdown(displayTitle(like))}](${likeUrl(like)}) \`${like.language}\`${date}`;
+  });
+
+  return ['# WikiTok reading list', '', ...items].join('\n') + '\n';
+}
+
+/**
+ * Serialize likes in the Netscape bookmarks format that browsers import
+ * @param {Array} likes - Like records
+ * @returns {string} HTML text
+ */
+export function likesToBookmarksHtml(likes) {
+  const items = likes.map(like => {
+    // ADD_DATE is in seconds
+    const added = like.likedAt ? ` ADD_DATE="${Math.floor(like.likedAt / 1000)}"` : '';
+    return `    <DT><A HREF="${escapeHtml(likeUrl(like))}"${added}>${escapeHtml(displayTitle(like))}</A>`;
+  });
+
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    '  <DT><H3>WikiTok likes</H3>',
+    '  <DL><p>',
+    ...items,
+    '  </DL><p>',
+    '</DL><p>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Serialize likes in one of the EXPORT_FORMATS
+ * @param {Array} likes - Like records
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} File contents
+ */
+export function exportLikes(likes, format) {
+  switch (format) {
+    case 'json':
+      return likesToJson(likes);
+    case 'csv':
+      return likesToCsv(likes);
+    case 'markdown':
+      return likesToMarkdown(likes);
+    case 'bookmarks':
+      return likesToBookmarksHtml(likes);
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+// Split CSV text into rows of fields, following RFC 4180 quoting
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Check an imported record and bring it into the storage format
+ * @param {Object} record - Parsed record
+ * @param {string} where - Location used in error messages, e.g. "Row 3"
+ * @returns {Object} Like record
+ */
+function validateLike(record, where) {
+  if (!record || typeof record !== 'object') {
+    throw new Error(`${where}: expected an object`);
+  }
+
+  const id = record.id === undefined || record.id === null ? '' : String(record.id).trim();
+  if (!/^\d+$/.test(id) || id === '0') {
+    throw new Error(`${where}: "${id}" is not a valid page ID`);
+  }
+
+  const language = String(record.language || '').trim();
+  if (!isSupportedLanguage(language)) {
+    throw new Error(`${where}: unsupported language "${language}"`);
+  }
+
+  const title = record.title ? String(record.title).trim() : '';
+
+  const thumbnail = record.thumbnail ? String(record.thumbnail).trim() : '';
+  if (thumbnail && !/^https:\/\//.test(thumbnail)) {
+    throw new Error(`${where}: thumbnail must be an https URL`);
+  }
+
+  let likedAt = null;
+  if (record.likedAt !== undefined && record.likedAt !== null && record.likedAt !== '') {
+    likedAt = typeof record.likedAt === 'number' ? record.likedAt : Date.parse(record.likedAt);
+    if (!Number.isFinite(likedAt)) {
+      throw new Error(`${where}: "${record.likedAt}" is not a valid date`);
+    }
+  }
+
+  return { id, language, title: title || null, thumbnail: thumbnail || null, likedAt };
+}
+
+/**
+ * Parse likes exported with likesToJson; a bare array of records is accepted too
+ * @param {string} text - File contents
+ * @returns {Array} Like records
+ */
+export function parseLikesJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  let records;
+  if (Array.isArray(data)) {
+    records = data;
+  } else if (data && data.format === JSON_FORMAT_ID && Array.isArray(data.likes)) {
+    if (data.version > JSON_FORMAT_VERSION) {
+      throw new Error('File was exported by a newer version of WikiTok');
+    }
+    records = data.likes;
+  } else {
+    throw new Error('JSON file is not a WikiTok likes export');
+  }
+
+  return records.map((record, index) => validateLike(record, `Like ${index + 1}`));
+}
+
+/**
+ * Parse likes exported with likesToCsv; columns may be in any order but id and language are required
+ * @param {string} text - File contents
+ * @returns {Array} Like records
+ */
+export function parseLikesCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('CSV file is empty');
+  }
+
+  const columns = header.map(name => name.trim());
+  const missing = ['id', 'language'].filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`CSV is missing the ${missing.join(' and ')} column`);
+  }
+
+  return rows.map((fields, index) => {
+    const record = Object.fromEntries(columns.map((name, column) => [name, fields[column]]));
+    // Row 1 is the header
+    return validateLike(record, `Row ${index + 2}`);
+  });
+}
+
+/**
+ * Parse an import file, picking the parser from the file name or contents
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Name of the picked file
+ * @returns {Array} Like records, without duplicates
+ */
+export function parseLikesFile(text, fileName = '') {
+  const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^\s*[[{]/.test(text));
+  const likes = isJson ? parseLikesJson(text) : parseLikesCsv(text);
+
+  const seen = new Set();
+  return likes.filter(like => {
+    const key = `${like.language}-${like.id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
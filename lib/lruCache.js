@@ -0,0 +1,71 @@
+/**
+ * Map with a size limit that evicts the least recently used entry first.
+ * Reads (get) and writes (set) both count as a use.
+ */
+export default class LRUCache {
+  /**
+   * @param {number} maxSize - Maximum number of entries to keep
+   * @param {Function} [onEvict] - Called with (key, value) for each entry pushed out by the limit
+   */
+  constructor(maxSize, onEvict) {
+    if (!Number.isInteger(maxSize) || maxSize < 1) {
+      throw new RangeError('LRUCache maxSize must be a positive integer');
+    }
+    this.maxSize = maxSize;
+    this.onEvict = onEvict;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Get a value and mark it as most recently used
+   * @param {*} key - Cache key
+   * @returns {*} The cached value, or undefined
+   */
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+
+    // Re-insert so the key moves to the end of the Map's insertion order
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entries beyond maxSize
+   * @param {*} key - Cache key
+   * @param {*} value - Value to store
+   * @returns {LRUCache} The cache, for chaining
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    while (this.entries.size > this.maxSize) {
+      const [oldestKey, oldestValue] = this.entries.entries().next().value;
+      this.entries.delete(oldestKey);
+      if (this.onEvict) this.onEvict(oldestKey, oldestValue);
+    }
+    return this;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+}
@@ -0,0 +1,69 @@
+// Session archive for cards evicted from a long feed
+//
+// Cards far behind the current one are swapped for small stubs and their full data moves to
+// sessionStorage, so the stack stays light during long sessions but scrolling back restores them.
+
+const ARCHIVE_PREFIX = 'wikiTokEvicted:';
+
+/**
+ * Move a card's data to the archive
+ * @param {Object} page - Card to evict
+ * @param {string} key - Unique key of the card in its feed
+ * @returns {Object|null} Stub that replaces the card, or null if it couldn't be archived
+ */
+export function archivePage(page, key) {
+  if (typeof window === 'undefined') return null;
+  // Images of offline pack cards are blobs, which sessionStorage can't hold
+  if (page.offlineImage) return null;
+
+  try {
+    sessionStorage.setItem(ARCHIVE_PREFIX + key, JSON.stringify(page));
+  } catch (error) {
+    // Quota exceeded or storage disabled: keep the card in memory
+    console.error('Error archiving evicted page:', error);
+    return null;
+  }
+
+  // Enough to identify the card and refetch it if the archive entry is gone
+  return {
+    pageid: page.pageid,
+    title: page.title,
+    language: page.language,
+    evicted: true
+  };
+}
+
+/**
+ * Restore an evicted card from the archive
+ * @param {string} key - Unique key of the card in its feed
+ * @returns {Object|null} The full card, or null if it isn't archived
+ */
+export function restorePage(key) {
+  if (typeof window === 'undefined') return null;
+
+  try {
+    const stored = sessionStorage.getItem(ARCHIVE_PREFIX + key);
+    if (!stored) return null;
+
+    sessionStorage.removeItem(ARCHIVE_PREFIX + key);
+    return JSON.parse(stored);
+  } catch (error) {
+    console.error('Error restoring evicted page:', error);
+    return null;
+  }
+}
+
+/**
+ * Remove every archived card, e.g. when the feed starts over
+ */
+export function clearArchive() {
+  if (typeof window === 'undefined') return;
+
+  try {
+    Object.keys(sessionStorage)
+      .filter(key => key.startsWith(ARCHIVE_PREFIX))
+      .forEach(key => sessionStorage.removeItem(key));
+  } catch (error) {
+    console.error('Error clearing evicted pages:', error);
+  }
+}
@@ -0,0 +1,49 @@
+// Generated placeholder for cards without an image
+//
+// An SVG data URL with a gradient and the title's first letter. The colors are derived from the
+// title, so a card always gets the same placeholder and neighbouring cards look different.
+
+// Blues to purples, away from the red of the like button and brand accents
+const HUE_START = 180;
+const HUE_RANGE = 150;
+
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, char => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    '"': '&quot;',
+    "'": '&apos;'
+  })[char]);
+}
+
+/**
+ * Placeholder image for a title
+ * @param {string} title - Page title
+ * @returns {string} SVG data URL, portrait 800×1200
+ */
+export function getPlaceholderImage(title) {
+  const hash = hashString(title);
+  const hue = HUE_START + (hash % HUE_RANGE);
+  const angle = (hash >>> 8) % 360;
+  // First character, keeping surrogate pairs together
+  const initial = escapeXml(Array.from(title.trim())[0] || 'W').toUpperCase();
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="1200" viewBox="0 0 800 1200">
+<defs><linearGradient id="g" gradientTransform="rotate(${angle} 0.5 0.5)">
+<stop offset="0" stop-color="hsl(${hue}, 45%, 28%)"/><stop offset="1" stop-color="hsl(${(hue + 40) % 360}, 50%, 12%)"/>
+</linearGradient></defs>
+<rect width="800" height="1200" fill="url(#g)"/>
+<text x="400" y="600" text-anchor="middle" dominant-baseline="central" font-family="Georgia, serif" font-size="420" fill="rgba(255,255,255,0.18)">${initial}</text>
+</svg>`;
+
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
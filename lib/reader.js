@@ -0,0 +1,96 @@
+// Turns Parsoid article HTML into sanitized markup for the reader panel
+import DOMPurify from 'dompurify';
+import { getWikiUrl } from './language';
+
+// Boilerplate that doesn't belong in a phone-sized reader
+const REMOVED_SELECTORS = [
+  '.navbox',
+  '.vertical-navbox',
+  '.metadata',
+  '.sistersitebox',
+  '.mw-empty-elt',
+  '.noprint',
+];
+
+// Links into these namespaces go to Wikipedia instead of opening as cards
+const NON_ARTICLE_PREFIX = /^(file|image|category|help|portal|special|talk|template|user|wikipedia|wp):/i;
+
+const absoluteUrl = (url) => (url.startsWith('//') ? `https:${url}` : url);
+
+// Title of a Parsoid link path such as "Ada_Lovelace", or null if its percent-encoding is malformed
+function decodeTitle(path) {
+  try {
+    return decodeURIComponent(path).replace(/_/g, ' ');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sanitize an article and prepare it for the reader
+ * Internal article links keep a data-wiki-title attribute so the reader can open them as cards.
+ * Must run in the browser: DOMPurify needs a DOM.
+ * @param {string} html - Parsoid HTML from getArticleHtml
+ * @param {string} language - Language code of the wiki the article came from
+ * @returns {Object} { html, toc } with toc entries { id, title, level } for h2 and h3 headings
+ */
+export function parseArticle(html, language = 'en') {
+  const clean = DOMPurify.sanitize(html, {
+    FORBID_TAGS: ['style', 'form', 'input', 'button', 'textarea', 'select'],
+    FORBID_ATTR: ['style'],
+    // rel="mw:WikiLink" marks article links; without this its "mw:" reads as an unknown URL scheme
+    ADD_URI_SAFE_ATTR: ['rel'],
+  });
+
+  // A template keeps the markup inert (no image loads) while we rewrite it
+  const template = document.createElement('template');
+  template.innerHTML = clean;
+  const root = template.content;
+
+  root.querySelectorAll(REMOVED_SELECTORS.join(',')).forEach(node => node.remove());
+
+  root.querySelectorAll('a[href]').forEach(link => {
+    const href = link.getAttribute('href');
+
+    if (href.startsWith('./')) {
+      // Drop the query, e.g. ?action=edit&redlink=1 on red links
+      const [path] = href.slice(2).split(/[?#]/);
+      const title = decodeTitle(path);
+      link.setAttribute('href', title ? getWikiUrl(title, language) : `https://${language}.wikipedia.org/wiki/${path}`);
+
+      // Red links (class "new") point at articles that don't exist, so they can't open as cards
+      const isArticle = title && link.getAttribute('rel') === 'mw:WikiLink' && !link.classList.contains('new');
+      if (isArticle && !NON_ARTICLE_PREFIX.test(title)) {
+        link.setAttribute('data-wiki-title', title);
+        return;
+      }
+    } else if (href.startsWith('#')) {
+      // Footnote and section anchors stay inside the reader
+      return;
+    } else {
+      link.setAttribute('href', absoluteUrl(href));
+    }
+
+    link.setAttribute('target', '_blank');
+    link.setAttribute('rel', 'noopener noreferrer');
+  });
+
+  // Media URLs from upload.wikimedia.org are protocol-relative
+  root.querySelectorAll('img').forEach(img => {
+    const src = img.getAttribute('src');
+    if (src) img.setAttribute('src', absoluteUrl(src));
+
+    const srcset = img.getAttribute('srcset');
+    if (srcset) img.setAttribute('srcset', srcset.replace(/(^|,\s*)\/\//g, '$1https://'));
+
+    img.setAttribute('loading', 'lazy');
+  });
+
+  const toc = Array.from(root.querySelectorAll('h2[id], h3[id]')).map(heading => ({
+    id: heading.id,
+    title: heading.textContent.trim(),
+    level: Number(heading.tagName[1]),
+  }));
+
+  return { html: template.innerHTML, toc };
+}
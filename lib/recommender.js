@@ -0,0 +1,285 @@
+// "For You" recommendations
+//
+// The profile is built from seed articles: likes, and pages from the reading history the user
+// stayed on for a while. Their categories and links become weighted terms. Each batch gathers
+// candidates related to a few seeds (getRelatedPages and `morelike:` search), scores them by how
+// many profile terms they share, and mixes in random pages at the exploration ratio.
+//
+// Everything from collectSeeds to blendBatch is pure: the same inputs and seed string always give
+// the same ranking, so they can be tested without the network. getRecommendations does the I/O.
+import { fetchFeedBatch, getRelatedPages, searchCards, getPageTopics } from './wikiapi';
+import { getAllLikes } from './storage';
+import { getHistory } from './history';
+
+// Reading a page this long counts as interest
+export const LONG_DWELL_MS = 15000;
+
+const MAX_SEEDS = 20;
+const LIKE_WEIGHT = 3;
+const VIEW_WEIGHT = 1;
+// Weights of the ways a candidate can match the profile
+const CATEGORY_MATCH = 1;
+const LINKED_FROM_SEED = 2;
+const LINKS_TO_SEED = 1.5;
+// Deterministic noise added to scores, so equal scores don't always come out in fetch order
+const JITTER = 0.25;
+// Seeds used for candidates per batch
+const SEEDS_PER_BATCH = 2;
+// Profile per language, rebuilt when the seeds change
+const profileCache = new Map();
+
+/**
+ * Hash a string to a number in [0, 1), the same on every run
+ * @param {string} text - Input
+ * @returns {number}
+ */
+export function seededRandom(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+/**
+ * Pick the seed articles of a language from likes and long views
+ * @param {Array} likes - Like records from lib/storage.js
+ * @param {Array} history - History entries from lib/history.js
+ * @param {string} language - Language code of the feed
+ * @returns {Array} Up to MAX_SEEDS { title, kind, weight } objects, strongest first; kind is 'like' or 'view'
+ */
+export function collectSeeds(likes, history, language) {
+  const seeds = new Map();
+
+  likes
+    .filter(like => like.language === language && like.title)
+    .forEach(like => seeds.set(like.title, { title: like.title, kind: 'like', weight: LIKE_WEIGHT }));
+
+  history
+    .filter(entry => entry.language === language && entry.dwellMs >= LONG_DWELL_MS)
+    .forEach(entry => {
+      // Longer reads count more, up to three times a quick long view
+      const weight = VIEW_WEIGHT * Math.min(entry.dwellMs / LONG_DWELL_MS, 3);
+      const existing = seeds.get(entry.title);
+      if (existing) {
+        existing.weight += weight;
+      } else {
+        seeds.set(entry.title, { title: entry.title, kind: 'view', weight });
+      }
+    });
+
+  return [...seeds.values()]
+    .sort((a, b) => b.weight - a.weight || a.title.localeCompare(b.title))
+    .slice(0, MAX_SEEDS);
+}
+
+/**
+ * Build the topic profile of a set of seeds
+ * @param {Array} seeds - Seeds from collectSeeds
+ * @param {Object} topics - Categories and links of the seeds, from getPageTopics
+ * @returns {Object} { seeds, categories, links } where categories and links map a title to
+ * { weight, seed } with the seed that contributed most
+ */
+export function buildProfile(seeds, topics) {
+  const categories = {};
+  const links = {};
+
+  const addTerm = (terms, term, seed) => {
+    const existing = terms[term];
+    if (!existing) {
+      terms[term] = { weight: seed.weight, seed };
+    } else {
+      existing.weight += seed.weight;
+      if (seed.weight > existing.seed.weight) existing.seed = seed;
+    }
+  };
+
+  seeds.forEach(seed => {
+    const topic = topics[seed.title];
+    if (!topic) return;
+    topic.categories.forEach(category => addTerm(categories, category, seed));
+    topic.links.forEach(link => addTerm(links, link, seed));
+  });
+
+  return { seeds, categories, links };
+}
+
+/**
+ * Score a candidate against a profile
+ * @param {Object} candidate - Card object
+ * @param {Object} topic - The candidate's { categories, links }, if known
+ * @param {Object} profile - Profile from buildProfile
+ * @returns {Object} { score, seed } with the seed that contributed most to the score, or null
+ */
+export function scoreCandidate(candidate, topic, profile) {
+  const contributions = new Map();
+  const add = (seed, amount) => contributions.set(seed, (contributions.get(seed) || 0) + amount);
+
+  if (topic) {
+    topic.categories.forEach(category => {
+      const term = profile.categories[category];
+      if (term) add(term.seed, CATEGORY_MATCH * term.weight);
+    });
+    topic.links.forEach(link => {
+      const seed = profile.seeds.find(other => other.title === link);
+      if (seed) add(seed, LINKS_TO_SEED * seed.weight);
+    });
+  }
+
+  const linked = profile.links[candidate.title];
+  if (linked) add(linked.seed, LINKED_FROM_SEED * linked.weight);
+
+  let score = 0;
+  let seed = null;
+  let best = 0;
+  contributions.forEach((amount, contributor) => {
+    score += amount;
+    if (amount > best) {
+      best = amount;
+      seed = contributor;
+    }
+  });
+
+  return { score, seed };
+}
+
+/**
+ * Explain why a card was recommended
+ * @param {Object|null} seed - Seed behind the recommendation, null for exploration
+ * @returns {Object} { kind, text }
+ */
+export function explainRecommendation(seed) {
+  if (!seed) {
+    return { kind: 'explore', text: 'Something new, to keep your feed varied' };
+  }
+  return seed.kind === 'like'
+    ? { kind: 'like', text: `Because you liked “${seed.title}”` }
+    : { kind: 'view', text: `Because you spent time reading “${seed.title}”` };
+}
+
+/**
+ * Rank candidates by score, best first; cards without any match go last
+ * @param {Array} candidates - Card objects, optionally with the seed they were found through as `via`
+ * @param {Object} topics - Map from candidate title to { categories, links }
+ * @param {Object} profile - Profile from buildProfile
+ * @param {string} seed - Seed string for the deterministic jitter
+ * @returns {Array} Cards with a `reason`
+ */
+export function rankCandidates(candidates, topics, profile, seed) {
+  return candidates
+    .map(candidate => {
+      const { score, seed: contributor } = scoreCandidate(candidate, topics[candidate.title], profile);
+      // Jitter scaled by the score, so it only reorders close matches
+      const jitter = score > 0 ? score * JITTER * seededRandom(`${seed}:${candidate.pageid}`) : 0;
+      return { candidate, rank: score + jitter, contributor };
+    })
+    .sort((a, b) => b.rank - a.rank || a.candidate.pageid - b.candidate.pageid)
+    .map(({ candidate, contributor }) => {
+      // Search results for `morelike:` a seed are explained by that seed even without shared terms
+      const { via, ...card } = candidate;
+      return { ...card, reason: explainRecommendation(contributor || via || null) };
+    });
+}
+
+/**
+ * Mix ranked recommendations with exploration cards
+ * @param {Array} ranked - Cards from rankCandidates, best first
+ * @param {Array} explore - Random cards
+ * @param {Object} options
+ * @param {number} options.count - Size of the batch
+ * @param {number} options.exploration - Share of the batch that should come from `explore`, 0 to 1
+ * @param {string} options.seed - Seed string for where the exploration cards go
+ * @returns {Array} The batch
+ */
+export function blendBatch(ranked, explore, { count, exploration, seed }) {
+  const exploreCount = Math.min(Math.round(count * exploration), explore.length);
+  const personal = ranked.slice(0, count - exploreCount);
+  // Fill up with exploration cards when there aren't enough recommendations
+  const explorers = explore
+    .slice(0, count - personal.length)
+    .map(card => ({ ...card, reason: explainRecommendation(null) }));
+
+  // Place each exploration card at a seeded position
+  const batch = [...personal];
+  explorers.forEach((card, index) => {
+    const position = Math.floor(seededRandom(`${seed}:explore:${index}`) * (batch.length + 1));
+    batch.splice(position, 0, card);
+  });
+  return batch;
+}
+
+// Profile of a language, cached until the seeds change
+async function getProfile(language) {
+  const seeds = collectSeeds(getAllLikes(), getHistory(), language);
+  const signature = seeds.map(seed => `${seed.title}:${seed.weight}`).join('|');
+
+  const cached = profileCache.get(language);
+  if (cached && cached.signature === signature) return cached.profile;
+
+  const topics = await getPageTopics(seeds.map(seed => seed.title), language);
+  const profile = buildProfile(seeds, topics);
+  profileCache.set(language, { signature, profile });
+  return profile;
+}
+
+/**
+ * Get a batch of recommendations
+ * @param {Object} options
+ * @param {string} options.language - Language code of the feed
+ * @param {number} options.count - Number of cards
+ * @param {number} options.round - Batch number, picks the seeds and the deterministic order
+ * @param {Array} options.excludeIds - Page IDs already in the feed
+ * @param {number} options.exploration - Share of random cards, 0 to 1
+ * @param {string|null} [options.randomCursor] - Cursor of the random feed used for exploration
+ * @returns {Promise<Object>} { pages, randomCursor }
+ */
+export async function getRecommendations({
+  language,
+  count,
+  round,
+  excludeIds,
+  exploration,
+  randomCursor = null
+}) {
+  const profile = await getProfile(language);
+  const seed = `${language}:${round}`;
+
+  // Without likes or long reads there is nothing to personalize yet
+  const seeds = profile.seeds;
+  const picked = seeds.length > 0
+    ? Array.from({ length: Math.min(SEEDS_PER_BATCH, seeds.length) },
+      (_, index) => seeds[(round * SEEDS_PER_BATCH + index) % seeds.length])
+    : [];
+
+  const [random, ...candidateLists] = await Promise.all([
+    fetchFeedBatch(language, randomCursor, count).catch(error => {
+      console.error('Error fetching exploration pages:', error);
+      return { pages: [], cursor: randomCursor };
+    }),
+    ...picked.map(pick => getRelatedPages(pick.title, count, language, excludeIds)),
+    ...picked.map(async pick => {
+      const similar = await searchCards(`morelike:${pick.title}`, count, language, excludeIds);
+      return similar.map(card => ({ ...card, via: pick }));
+    })
+  ]);
+
+  // Drop duplicates and the seeds themselves
+  const seedTitles = new Set(seeds.map(pick => pick.title));
+  const candidates = [];
+  const candidateIds = new Set(excludeIds.map(id => id.toString()));
+  candidateLists.flat().forEach(candidate => {
+    const id = candidate.pageid.toString();
+    if (candidateIds.has(id) || seedTitles.has(candidate.title)) return;
+    candidateIds.add(id);
+    candidates.push(candidate);
+  });
+
+  const topics = await getPageTopics(candidates.map(candidate => candidate.title).slice(0, 50), language);
+  const ranked = rankCandidates(candidates, topics, profile, seed);
+  const explore = random.pages.filter(page => !candidateIds.has(page.pageid.toString()));
+
+  return {
+    pages: blendBatch(ranked, explore, { count, exploration: seeds.length > 0 ? exploration : 1, seed }),
+    randomCursor: random.cursor
+  };
+}
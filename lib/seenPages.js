@@ -0,0 +1,138 @@
+// Articles the user has already seen, kept out of the feeds
+//
+// Seen pages go into Bloom filters saved in IndexedDB, about 8 KB each however many pages they
+// hold. Filters are rotated so pages are forgotten after the seenWindowDays setting: a new
+// filter starts every half window and only the newest two are kept, so a page is remembered for
+// between half and the whole window. A false positive only hides one random article.
+import BloomFilter from './bloomFilter';
+import { idbGet, idbPut, idbDelete, isIndexedDBAvailable } from './idb';
+import { getSettings } from './settings';
+
+const STORE = 'seen';
+const FILTERS_KEY = 'filters';
+// ~1% false positives at 7,000 pages per filter
+const FILTER_BITS = 65536;
+const FILTER_HASHES = 7;
+const MAX_GENERATIONS = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Write to IndexedDB at most this often while swiping
+const SAVE_DELAY_MS = 2000;
+
+// [{ createdAt, filter }], oldest first
+let generations = [];
+let loadPromise = null;
+let saveTimer = null;
+
+const seenKey = (page) => `${page.language || 'en'}-${page.pageid || page.title}`;
+
+function windowMs() {
+  return getSettings().seenWindowDays * DAY_MS;
+}
+
+// Drop generations that fell out of the window; returns whether any were dropped
+function dropExpired(now) {
+  const kept = generations.filter(generation => now - generation.createdAt < windowMs());
+  const dropped = kept.length !== generations.length;
+  generations = kept;
+  return dropped;
+}
+
+// Drop expired generations and start a new one when the newest is half a window old
+function rotate() {
+  const now = Date.now();
+  const span = windowMs() / MAX_GENERATIONS;
+
+  dropExpired(now);
+  const newest = generations[generations.length - 1];
+  if (!newest || now - newest.createdAt >= span) {
+    generations = [...generations, { createdAt: now, filter: new BloomFilter(FILTER_BITS, FILTER_HASHES) }]
+      .slice(-MAX_GENERATIONS);
+  }
+}
+
+function load() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      if (!isIndexedDBAvailable()) return;
+
+      try {
+        const stored = await idbGet(STORE, FILTERS_KEY);
+        if (Array.isArray(stored)) {
+          generations = stored.map(({ createdAt, bits }) => ({
+            createdAt,
+            filter: new BloomFilter(FILTER_BITS, FILTER_HASHES, bits)
+          }));
+        }
+      } catch (error) {
+        // Keep going with an in-memory filter for this session
+        console.error('Error loading seen pages:', error);
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+function scheduleSave() {
+  if (!isIndexedDBAvailable()) return;
+
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(async () => {
+    try {
+      await idbPut(STORE, FILTERS_KEY, generations.map(({ createdAt, filter }) => ({
+        createdAt,
+        bits: filter.bits
+      })));
+    } catch (error) {
+      console.error('Error saving seen pages:', error);
+    }
+  }, SAVE_DELAY_MS);
+}
+
+function isSeen(page) {
+  const key = seenKey(page);
+  return generations.some(generation => generation.filter.has(key));
+}
+
+/**
+ * Remove pages the user has already seen
+ * @param {Array} pages - Cards from a feed source
+ * @returns {Promise<Array>} The pages not seen within the window
+ */
+export async function filterUnseen(pages) {
+  if (typeof window === 'undefined' || windowMs() === 0) return pages;
+
+  await load();
+  // Pages seen longer ago than the window count as unseen even if nothing was marked since
+  if (dropExpired(Date.now())) scheduleSave();
+  return pages.filter(page => !isSeen(page));
+}
+
+/**
+ * Remember that a card was shown
+ * @param {Object} page - Card object
+ */
+export async function markSeen(page) {
+  if (typeof window === 'undefined' || !page || page.evicted || windowMs() === 0) return;
+
+  await load();
+  rotate();
+  generations[generations.length - 1].filter.add(seenKey(page));
+  scheduleSave();
+}
+
+/**
+ * Forget every seen page, so feeds can show them again
+ * @returns {Promise<void>}
+ */
+export async function resetSeen() {
+  await load();
+  clearTimeout(saveTimer);
+  generations = [];
+
+  if (!isIndexedDBAvailable()) return;
+  try {
+    await idbDelete(STORE, FILTERS_KEY);
+  } catch (error) {
+    console.error('Error clearing seen pages:', error);
+  }
+}
@@ -0,0 +1,107 @@
+// User settings for WikiTok
+//
+// Stored under a single key as { version, settings }; missing keys fall back to DEFAULT_SETTINGS,
+// so new settings don't need a migration. Every change dispatches a 'settingsChanged' event.
+
+const SETTINGS_STORAGE_KEY = 'wikiTokSettings';
+const SETTINGS_SCHEMA_VERSION = 1;
+
+export const DEFAULT_SETTINGS = {
+  // Days a viewed article is kept out of the feeds; 0 turns the seen filter off
+  seenWindowDays: 30,
+  // Share of the For You feed picked at random instead of from likes and history, 0 to 1
+  forYouExploration: 0.2,
+  // Topics the random feed is limited to, see lib/topics.js; empty for the whole wiki
+  topicFilters: [],
+  // Content filters, see lib/contentFilter.js
+  hideLists: true,
+  // Extracts shorter than this many characters are treated as stubs; 0 shows everything
+  minExtractLength: 100,
+  blockedKeywords: [],
+  blockedCategories: [],
+  safeMode: false,
+  // Smaller images: 'auto' follows the browser's Save-Data preference, 'on' or 'off' override it
+  dataSaver: 'auto'
+};
+
+// Choices offered in the settings panel
+export const SEEN_WINDOW_OPTIONS = [
+  { days: 0, label: 'Off' },
+  { days: 7, label: '1 week' },
+  { days: 30, label: '1 month' },
+  { days: 90, label: '3 months' },
+  { days: 365, label: '1 year' }
+];
+
+export const MIN_EXTRACT_OPTIONS = [
+  { length: 0, label: 'Show stubs' },
+  { length: 100, label: 'Hide very short articles' },
+  { length: 300, label: 'Only longer articles' }
+];
+
+export const DATA_SAVER_OPTIONS = [
+  { value: 'auto', label: 'When the browser asks to save data' },
+  { value: 'on', label: 'Always' },
+  { value: 'off', label: 'Never' }
+];
+
+function notifySettingsChange(settings) {
+  const event = new CustomEvent('settingsChanged', {
+    detail: { settings }
+  });
+  window.dispatchEvent(event);
+}
+
+/**
+ * Get the current settings
+ * @returns {Object} Stored settings merged over DEFAULT_SETTINGS
+ */
+export function getSettings() {
+  if (typeof window === 'undefined') return { ...DEFAULT_SETTINGS };
+
+  try {
+    const stored = localStorage.getItem(SETTINGS_STORAGE_KEY);
+    const data = stored ? JSON.parse(stored) : null;
+    return { ...DEFAULT_SETTINGS, ...(data && data.settings) };
+  } catch (error) {
+    console.error('Error retrieving settings from local storage:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Change some settings
+ * @param {Object} changes - Settings to overwrite
+ * @returns {Object} The new settings
+ */
+export function updateSettings(changes) {
+  const settings = { ...getSettings(), ...changes };
+  if (typeof window === 'undefined') return settings;
+
+  try {
+    localStorage.setItem(
+      SETTINGS_STORAGE_KEY,
+      JSON.stringify({ version: SETTINGS_SCHEMA_VERSION, settings })
+    );
+  } catch (error) {
+    console.error('Error saving settings to local storage:', error);
+  }
+
+  notifySettingsChange(settings);
+  return settings;
+}
+
+/**
+ * Go back to the default settings
+ */
+export function resetSettings() {
+  if (typeof window === 'undefined') return;
+
+  try {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error resetting settings:', error);
+  }
+
+  notifySettingsChange({ ...DEFAULT_SETTINGS });
+}
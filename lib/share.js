@@ -0,0 +1,184 @@
+// Sharing helpers for WikiTok
+import { isSupportedLanguage } from './language';
+
+/**
+ * Path of an article's deep link, which opens WikiTok with the article as the first card
+ * @param {string} title - Wikipedia page title
+ * @param {string} language - Language code of the wiki the page belongs to
+ * @returns {string} Path such as /en/Ada_Lovelace
+ */
+export function getArticlePath(title, language = 'en') {
+  return `/${language}/${encodeURIComponent(title.replace(/ /g, '_'))}`;
+}
+
+// Images rendered by /api/og: a full-screen story and a link preview card
+export const SHARE_IMAGE_FORMATS = {
+  story: { width: 1080, height: 1920, label: 'Story image' },
+  link: { width: 1200, height: 630, label: 'Link preview' }
+};
+
+/**
+ * Path of a card's generated share image
+ * @param {string} title - Wikipedia page title
+ * @param {string} language - Language code of the wiki the page belongs to
+ * @param {string} format - Key of SHARE_IMAGE_FORMATS
+ * @returns {string} Path of the /api/og image
+ */
+export function getShareImagePath(title, language = 'en', format = 'story') {
+  const params = new URLSearchParams({ lang: language, title, format });
+  return `/api/og?${params}`;
+}
+
+async function fetchShareImage(title, language, format) {
+  const response = await fetch(getShareImagePath(title, language, format));
+  if (!response.ok) {
+    throw new Error(`Share image request failed with status ${response.status}`);
+  }
+  const blob = await response.blob();
+  const fileName = `${title.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '')}-wikitok-${format}.png`;
+  return new File([blob], fileName, { type: 'image/png' });
+}
+
+function downloadFile(file) {
+  const url = URL.createObjectURL(file);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download a card's share image
+ * @param {string} title - Wikipedia page title
+ * @param {string} language - Language code of the wiki the page belongs to
+ * @param {string} format - Key of SHARE_IMAGE_FORMATS
+ * @returns {boolean} True if the download started
+ */
+export async function downloadShareImage(title, language = 'en', format = 'story') {
+  try {
+    downloadFile(await fetchShareImage(title, language, format));
+    return true;
+  } catch (error) {
+    console.error('Error downloading share image:', error);
+    return false;
+  }
+}
+
+/**
+ * Start fetching a card's share image ahead of a tap, e.g. when the share menu opens
+ * @param {string} title - Wikipedia page title
+ * @param {string} language - Language code of the wiki the page belongs to
+ * @param {string} format - Key of SHARE_IMAGE_FORMATS
+ * @returns {Object} { file, ready } where file is set once the promise `ready` resolves
+ */
+export function prefetchShareImage(title, language = 'en', format = 'story') {
+  const prefetched = { file: null };
+  prefetched.ready = fetchShareImage(title, language, format).then(file => {
+    prefetched.file = file;
+    return file;
+  });
+  // Failures are reported by shareImage when the image is used
+  prefetched.ready.catch(() => {});
+  return prefetched;
+}
+
+/**
+ * Share a card's image as a file through the Web Share API, or download it where files can't be shared.
+ * Safari only opens the share sheet while the tap that asked for it still counts, so pass an image
+ * from prefetchShareImage: once it has loaded, the share starts without waiting for the network.
+ * @param {string} title - Wikipedia page title
+ * @param {string} language - Language code of the wiki the page belongs to
+ * @param {string} format - Key of SHARE_IMAGE_FORMATS
+ * @param {Object} [prefetched] - Result of prefetchShareImage for the same image
+ * @returns {string|null} 'shared' or 'downloaded', or null if neither worked
+ */
+export async function shareImage(title, language = 'en', format = 'story', prefetched = null) {
+  let file = prefetched && prefetched.file;
+  try {
+    if (!file) {
+      file = await (prefetched ? prefetched.ready : fetchShareImage(title, language, format));
+    }
+    const data = {
+      files: [file],
+      title,
+      url: `${window.location.origin}${getArticlePath(title, language)}`
+    };
+
+    if (navigator.canShare && navigator.canShare(data)) {
+      await navigator.share(data);
+      return 'shared';
+    }
+    downloadFile(file);
+    return 'downloaded';
+  } catch (error) {
+    // The tap no longer counted by the time the image loaded; a download still works
+    if (error.name === 'NotAllowedError' && file) {
+      downloadFile(file);
+      return 'downloaded';
+    }
+    // Closing the share sheet rejects with AbortError
+    if (error.name !== 'AbortError') {
+      console.error('Error sharing image:', error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Share a page through the Web Share API, or copy its link where that isn't available
+ * @param {string} title - Wikipedia page title
+ * @param {string} language - Language code of the wiki the page belongs to
+ * @returns {string|null} 'shared' or 'copied', or null if neither worked or the share sheet was closed
+ */
+export async function sharePage(title, language = 'en') {
+  try {
+    // Links bring people back to WikiTok rather than to Wikipedia
+    const shareUrl = `${window.location.origin}${getArticlePath(title, language)}`;
+    if (navigator.share) {
+      await navigator.share({
+        title: `Check out this WikiTok about ${title}!`,
+        text: `Learn about ${title} on WikiTok`,
+        url: shareUrl,
+      });
+      return 'shared';
+    }
+    // Fallback for browsers that don't support the Web Share API:
+    await navigator.clipboard.writeText(shareUrl);
+    return 'copied';
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Error sharing content:', error);
+    }
+    return null;
+  }
+}
+
+// Article links on any language wiki, desktop or mobile
+const WIKIPEDIA_URL = /https?:\/\/([a-z0-9-]+)\.(?:m\.)?wikipedia\.org\/(?:wiki\/([^\s?#]+)|w\/index\.php\?\S*?\btitle=([^\s&#]+))/i;
+
+/**
+ * Find a Wikipedia article link in shared text
+ * @param {string} text - Shared URL or text containing one
+ * @returns {Object|null} { title, language }, or null if there's no article link on a supported wiki
+ */
+export function parseWikipediaUrl(text) {
+  const match = text && text.match(WIKIPEDIA_URL);
+  if (!match) return null;
+
+  // Links to wikis WikiTok doesn't offer, or to www.wikipedia.org, can't open as cards
+  const language = match[1].toLowerCase();
+  if (!isSupportedLanguage(language)) return null;
+
+  try {
+    const title = decodeURIComponent(match[2] || match[3]).replace(/_/g, ' ').trim();
+    return title ? { title, language } : null;
+  } catch (error) {
+    // Malformed percent-encoding
+    console.error('Error parsing Wikipedia URL:', error);
+    return null;
+  }
+}
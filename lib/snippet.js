@@ -0,0 +1,67 @@
+// Helpers for rendering API text: search snippets without injecting API HTML, and excerpts
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#039;': "'",
+  '&#39;': "'",
+  '&nbsp;': ' ',
+};
+
+function decodeEntities(text) {
+  return text
+    .replace(/&(amp|lt|gt|quot|nbsp|#0?39);/g, entity => ENTITIES[entity])
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)));
+}
+
+/**
+ * Split a search snippet into plain-text segments, flagging the matched ones.
+ * The search API wraps matches in <span class="searchmatch">; any other markup is dropped.
+ * @param {string} html - snippet or titlesnippet from the search API
+ * @returns {Array} Array of { text, match } segments
+ */
+export function parseSnippet(html) {
+  if (!html) return [];
+
+  const segments = [];
+  const pattern = /<span class="searchmatch">(.*?)<\/span>/g;
+  let lastIndex = 0;
+  let found;
+
+  const pushText = (raw, match) => {
+    const text = decodeEntities(raw.replace(/<[^>]*>/g, ''));
+    if (text) segments.push({ text, match });
+  };
+
+  while ((found = pattern.exec(html)) !== null) {
+    pushText(html.slice(lastIndex, found.index), false);
+    pushText(found[1], true);
+    lastIndex = pattern.lastIndex;
+  }
+  pushText(html.slice(lastIndex), false);
+
+  return segments;
+}
+
+/**
+ * Strip the markup from an API HTML fragment
+ * @param {string} html - HTML fragment, e.g. an "In the news" story
+ * @returns {string} Plain text
+ */
+export function toPlainText(html) {
+  return parseSnippet(html).map(segment => segment.text).join('');
+}
+
+/**
+ * Shorten text to a length, cutting at a word boundary
+ * @param {string} text - Plain text
+ * @param {number} length - Maximum length including the ellipsis
+ * @returns {string} The text, with an ellipsis if it was cut
+ */
+export function truncateText(text, length) {
+  if (!text || text.length <= length) return text || '';
+  const cut = text.lastIndexOf(' ', length - 1);
+  return `${text.slice(0, cut > 0 ? cut : length - 1).replace(/[\s,;:.]+$/, '')}…`;
+}
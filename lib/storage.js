@@ -1,18 +1,132 @@
 // Local storage helpers for WikiTok
+//
+// Likes are stored under a single key as a versioned document:
+//   { version: 3, likes: [{ id, language, title, thumbnail, likedAt, updatedAt }],
+//     tombstones: [{ id, language, updatedAt }] }
+// Tombstones remember unlikes so lib/sync.js can merge devices last-writer-wins. They are
+// pruned after TOMBSTONE_MAX_AGE_MS or beyond TOMBSTONE_LIMIT; a device that stays offline
+// longer than that can bring an unliked page back when it next syncs.
+// Older formats are migrated the first time they are read:
+//   version 0 - array of page-ID strings, all from English Wikipedia
+//   version 1 - array of { id, language } records
+//   version 2 - { likes } without updatedAt or tombstones
 
 // Key for storing likes in localStorage
-const LIKES_STORAGE_KEY = 'wikitok_liked_pages';
+const LIKES_STORAGE_KEY = 'wikiTokLikes';
+const LIKES_SCHEMA_VERSION = 3;
+
+const TOMBSTONE_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+const TOMBSTONE_LIMIT = 1000;
+
+// Bring a record from any schema version up to the current one. Metadata the old
+// formats didn't keep is null until the liked pages sidebar backfills it.
+// Records without updatedAt count as older than any change made since.
+function normalizeLike(like) {
+  if (typeof like === 'string' || typeof like === 'number') {
+    return { id: like.toString(), language: 'en', title: null, thumbnail: null, likedAt: null, updatedAt: 0 };
+  }
+  if (!like || like.id === undefined || like.id === null) return null;
+
+  const likedAt = typeof like.likedAt === 'number' ? like.likedAt : null;
+  return {
+    id: like.id.toString(),
+    language: like.language || 'en',
+    title: typeof like.title === 'string' ? like.title : null,
+    thumbnail: typeof like.thumbnail === 'string' ? like.thumbnail : null,
+    likedAt,
+    updatedAt: typeof like.updatedAt === 'number' ? like.updatedAt : likedAt || 0
+  };
+}
+
+function normalizeTombstone(tombstone) {
+  if (!tombstone || tombstone.id === undefined || tombstone.id === null) return null;
+  return {
+    id: tombstone.id.toString(),
+    language: tombstone.language || 'en',
+    updatedAt: typeof tombstone.updatedAt === 'number' ? tombstone.updatedAt : 0
+  };
+}
+
+function tombstoneFor(like, updatedAt) {
+  return { id: like.id.toString(), language: like.language, updatedAt };
+}
+
+function isSameLike(like, pageId, language) {
+  return like.id === pageId.toString() && like.language === language;
+}
+
+// Parse the stored document, migrating older versions and writing the result back
+function readState() {
+  const stored = localStorage.getItem(LIKES_STORAGE_KEY);
+  if (!stored) return { likes: [], tombstones: [] };
+
+  const data = JSON.parse(stored);
+  const records = Array.isArray(data) ? data : data && Array.isArray(data.likes) ? data.likes : [];
+  const version = Array.isArray(data) ? 1 : (data && data.version) || 0;
+
+  const state = {
+    likes: records.map(normalizeLike).filter(Boolean),
+    tombstones: ((data && data.tombstones) || []).map(normalizeTombstone).filter(Boolean)
+  };
+  if (version < LIKES_SCHEMA_VERSION) {
+    saveState(state);
+  }
+  return state;
+}
+
+/**
+ * Drop tombstones older than TOMBSTONE_MAX_AGE_MS and keep at most the newest TOMBSTONE_LIMIT
+ * @param {Array} tombstones - Tombstones
+ * @param {number} [now] - Current time in ms
+ * @returns {Array} Remaining tombstones, newest first
+ */
+export function pruneTombstones(tombstones, now = Date.now()) {
+  return tombstones
+    .filter(tombstone => now - tombstone.updatedAt < TOMBSTONE_MAX_AGE_MS)
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, TOMBSTONE_LIMIT);
+}
+
+function saveState({ likes, tombstones }) {
+  localStorage.setItem(
+    LIKES_STORAGE_KEY,
+    JSON.stringify({ version: LIKES_SCHEMA_VERSION, likes, tombstones: pruneTombstones(tombstones) })
+  );
+}
+
+// Save a new list of likes, turning every like that's gone into a tombstone
+function saveLikes(likes) {
+  const { likes: previous, tombstones } = readState();
+  const now = Date.now();
+
+  const removed = previous
+    .filter(like => !likes.some(other => isSameLike(other, like.id, like.language)))
+    .map(like => tombstoneFor(like, now));
+  const kept = tombstones.filter(tombstone =>
+    !likes.some(like => isSameLike(like, tombstone.id, tombstone.language)) &&
+    !removed.some(other => isSameLike(other, tombstone.id, tombstone.language))
+  );
+
+  saveState({ likes, tombstones: [...kept, ...removed] });
+}
+
+// `synced` marks changes that came from another device, so lib/sync.js doesn't push them back
+function notifyLikeChange(pageId, language, liked, synced = false) {
+  const event = new CustomEvent('likeStatusChanged', {
+    detail: { pageId, language, liked, synced }
+  });
+  window.dispatchEvent(event);
+}
 
 /**
- * Get all liked page IDs from local storage
- * @returns {Array} Array of page IDs
+ * Get all liked pages from local storage
+ * @returns {Array} Array of { id, language, title, thumbnail, likedAt } records
  */
 export function getAllLikes() {
   if (typeof window === 'undefined') return [];
-  
+
   try {
-    const likes = localStorage.getItem('wikiTokLikes') || '[]';
-    return JSON.parse(likes);
+    return readState().likes;
   } catch (error) {
     console.error('Error retrieving likes from local storage:', error);
     return [];
@@ -21,77 +135,154 @@ export function getAllLikes() {
 
 /**
  * Check if a page is liked
- * @param {number} pageId - The Wikipedia page ID to check
+ * @param {number|string} pageId - The Wikipedia page ID to check
+ * @param {string} language - Language code of the wiki the page belongs to
  * @returns {boolean} True if the page is liked
  */
-export function isPageLiked(pageId) {
+export function isPageLiked(pageId, language = 'en') {
   if (typeof window === 'undefined') return false;
-  
+
   const likes = getAllLikes();
-  return likes.includes(pageId.toString());
+  return likes.some(like => isSameLike(like, pageId, language));
 }
 
 /**
  * Toggle like status for a page
- * @param {number} pageId - The Wikipedia page ID to toggle
+ * @param {Object} page - Card object with pageid, title, language and thumbnail
  * @returns {boolean} The new like status
  */
-export function togglePageLike(pageId) {
-  if (typeof window === 'undefined') return false;
-  
+export function togglePageLike(page) {
+  if (typeof window === 'undefined' || !page || !page.pageid) return false;
+
+  const language = page.language || 'en';
   const likes = getAllLikes();
-  const pageIdStr = pageId.toString();
-  
-  const isLiked = likes.includes(pageIdStr);
-  
+  const isLiked = likes.some(like => isSameLike(like, page.pageid, language));
+
   let newLikes;
   if (isLiked) {
     // Remove from likes
-    newLikes = likes.filter(id => id !== pageIdStr);
+    newLikes = likes.filter(like => !isSameLike(like, page.pageid, language));
   } else {
-    // Add to likes
-    newLikes = [...likes, pageIdStr];
+    // Add to likes, keeping enough to list the page without refetching it
+    newLikes = [...likes, {
+      id: page.pageid.toString(),
+      language,
+      title: page.title || null,
+      thumbnail: (page.thumbnail && page.thumbnail.source) || null,
+      likedAt: Date.now(),
+      updatedAt: Date.now()
+    }];
   }
-  
-  localStorage.setItem('wikiTokLikes', JSON.stringify(newLikes));
-  
+
+  try {
+    saveLikes(newLikes);
+  } catch (error) {
+    console.error('Error saving likes to local storage:', error);
+    return isLiked;
+  }
+
   // Dispatch event to notify components
-  const event = new CustomEvent('likeStatusChanged', { 
-    detail: { pageId, liked: !isLiked } 
-  });
-  window.dispatchEvent(event);
-  
+  notifyLikeChange(page.pageid.toString(), language, !isLiked);
+
   return !isLiked;
 }
 
 /**
  * Remove a page from likes
- * @param {number} pageId - The Wikipedia page ID to remove
+ * @param {number|string} pageId - The Wikipedia page ID to remove
+ * @param {string} language - Language code of the wiki the page belongs to
  */
-export function removeLike(pageId) {
+export function removeLike(pageId, language = 'en') {
   if (typeof window === 'undefined') return;
-  
+
   const likes = getAllLikes();
-  const pageIdStr = pageId.toString();
-  
-  const newLikes = likes.filter(id => id !== pageIdStr);
-  localStorage.setItem('wikiTokLikes', JSON.stringify(newLikes));
-  
+  const newLikes = likes.filter(like => !isSameLike(like, pageId, language));
+
+  try {
+    saveLikes(newLikes);
+  } catch (error) {
+    console.error('Error saving likes to local storage:', error);
+    return;
+  }
+
   // Dispatch event to notify components
-  const event = new CustomEvent('likeStatusChanged', { 
-    detail: { pageId, liked: false } 
+  notifyLikeChange(pageId.toString(), language, false);
+}
+
+/**
+ * Fill in title and thumbnail of likes migrated from formats that didn't store them
+ * @param {Array} pages - Objects with pageid, language, title and an optional thumbnail
+ */
+export function updateLikeMetadata(pages) {
+  if (typeof window === 'undefined' || pages.length === 0) return;
+
+  let changed = false;
+  const likes = getAllLikes().map(like => {
+    const page = pages.find(other => isSameLike(like, other.pageid, other.language));
+    if (!page) return like;
+
+    const title = page.title || like.title;
+    const thumbnail = (page.thumbnail && page.thumbnail.source) || like.thumbnail;
+    if (title === like.title && thumbnail === like.thumbnail) return like;
+
+    changed = true;
+    return { ...like, title, thumbnail, updatedAt: Date.now() };
   });
-  window.dispatchEvent(event);
+
+  // Pages shown again with the same metadata shouldn't count as a change to sync
+  if (!changed) return;
+
+  try {
+    saveLikes(likes);
+  } catch (error) {
+    console.error('Error saving likes to local storage:', error);
+  }
 }
 
 /**
- * Get all liked pages data
- * This could be used for a "Liked Pages" section
- * @returns {Array} Array of liked page IDs
+ * Merge likes from an import into the stored ones
+ * Pages that are already liked keep their stored record, with metadata the import adds
+ * @param {Array} imported - Validated like records, e.g. from parseLikesFile in lib/likesExport.js
+ * @returns {number} How many new likes were added
  */
-// export function getAllLikes() {
-//   return getAllLikes();
-// }
+export function importLikes(imported) {
+  if (typeof window === 'undefined') return 0;
+
+  const likes = getAllLikes();
+  const added = [];
+  let changed = false;
+
+  imported.forEach(record => {
+    const like = normalizeLike({ ...record, updatedAt: Date.now() });
+    if (!like) return;
+
+    const index = likes.findIndex(other => isSameLike(other, like.id, like.language));
+    if (index === -1) {
+      likes.push(like);
+      added.push(like);
+      return;
+    }
+
+    // Existing likes only change when the import fills in metadata they're missing
+    const existing = likes[index];
+    const title = existing.title || like.title;
+    const thumbnail = existing.thumbnail || like.thumbnail;
+    const likedAt = existing.likedAt || like.likedAt;
+    if (title === existing.title && thumbnail === existing.thumbnail && likedAt === existing.likedAt) return;
+
+    likes[index] = { ...existing, title, thumbnail, likedAt, updatedAt: like.updatedAt };
+    changed = true;
+  });
+
+  if (added.length === 0 && !changed) return 0;
+
+  saveLikes(likes);
+
+  // Cards on screen may have just been liked
+  added.forEach(like => notifyLikeChange(like.id, like.language, true));
+
+  return added.length;
+}
 
 /**
  * Clear all likes
@@ -99,10 +290,51 @@ export function removeLike(pageId) {
  */
 export function clearAllLikes() {
   if (typeof window === 'undefined') return; // Server-side rendering check
-  
+
   try {
-    localStorage.removeItem(LIKES_STORAGE_KEY);
+    // Keep tombstones so the removal also reaches synced devices
+    saveLikes([]);
   } catch (error) {
     console.error('Error clearing likes:', error);
+    return;
   }
+
+  // A null page ID tells listeners that every like is gone
+  notifyLikeChange(null, null, false);
+}
+
+/**
+ * Likes and tombstones, for lib/sync.js
+ * @returns {Object} { likes, tombstones }
+ */
+export function getLikesState() {
+  if (typeof window === 'undefined') return { likes: [], tombstones: [] };
+
+  try {
+    return readState();
+  } catch (error) {
+    console.error('Error retrieving likes from local storage:', error);
+    return { likes: [], tombstones: [] };
+  }
+}
+
+/**
+ * Replace likes and tombstones with a merged state from lib/sync.js and notify
+ * components about every page whose like status changed
+ * @param {Object} state - { likes, tombstones }
+ */
+export function replaceLikesState(state) {
+  if (typeof window === 'undefined') return;
+
+  const previous = getLikesState().likes;
+  const likes = state.likes.map(normalizeLike).filter(Boolean);
+  const tombstones = state.tombstones.map(normalizeTombstone).filter(Boolean);
+  saveState({ likes, tombstones });
+
+  likes
+    .filter(like => !previous.some(other => isSameLike(other, like.id, like.language)))
+    .forEach(like => notifyLikeChange(like.id, like.language, true, true));
+  previous
+    .filter(like => !likes.some(other => isSameLike(other, like.id, like.language)))
+    .forEach(like => notifyLikeChange(like.id, like.language, false, true));
 }
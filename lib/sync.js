@@ -0,0 +1,213 @@
+// Sync of likes between devices
+//
+// localStorage (lib/storage.js) stays the source of truth, so the app works offline. A sync
+// backend holds a remote copy of the same { likes, tombstones } state; syncing loads it, merges
+// it with the local state and writes back whichever side is behind. Merging is last-writer-wins
+// per page: the like or tombstone with the newest updatedAt is kept.
+//
+// A backend is { id, load(), save(state), subscribe(onChange) }: load resolves to the remote
+// state (or null if there is none yet), and subscribe, if present, calls onChange when another
+// device saves and returns an unsubscribe function.
+import { getLikesState, replaceLikesState, pruneTombstones } from './storage';
+
+// Batch local changes that happen in quick succession into one push
+const PUSH_DEBOUNCE_MS = 1000;
+
+const likeKey = (entry) => `${entry.language}-${entry.id}`;
+
+/**
+ * Merge two like states, keeping the newest like or tombstone of every page.
+ * On a tie the like wins, so a page is never lost to clocks that agree. Expired tombstones are
+ * pruned after merging, so both sides converge on what local storage keeps.
+ * @param {Object} local - { likes, tombstones }
+ * @param {Object} [remote] - { likes, tombstones }, or null
+ * @param {number} [now] - Current time in ms, for pruning
+ * @returns {Object} Merged { likes, tombstones }, likes in the order they were first seen
+ */
+export function mergeLikesState(local, remote, now = Date.now()) {
+  const winners = new Map();
+
+  const consider = (entry, deleted) => {
+    const key = likeKey(entry);
+    const current = winners.get(key);
+    if (
+      !current ||
+      entry.updatedAt > current.entry.updatedAt ||
+      (entry.updatedAt === current.entry.updatedAt && current.deleted && !deleted)
+    ) {
+      winners.set(key, { entry, deleted });
+    }
+  };
+
+  [local, remote].filter(Boolean).forEach(state => {
+    state.likes.forEach(like => consider(like, false));
+    state.tombstones.forEach(tombstone => consider(tombstone, true));
+  });
+
+  const merged = [...winners.values()];
+  return {
+    likes: merged.filter(winner => !winner.deleted).map(winner => winner.entry),
+    tombstones: pruneTombstones(merged.filter(winner => winner.deleted).map(winner => winner.entry), now)
+  };
+}
+
+/**
+ * Whether two states hold the same likes and tombstones, ignoring order
+ * @param {Object} a - { likes, tombstones }
+ * @param {Object} b - { likes, tombstones }, or null
+ * @returns {boolean}
+ */
+export function isSameLikesState(a, b) {
+  if (!b) return a.likes.length === 0 && a.tombstones.length === 0;
+
+  const signature = (state) => [
+    ...state.likes.map(like => `+${likeKey(like)}@${like.updatedAt}`),
+    ...state.tombstones.map(tombstone => `-${likeKey(tombstone)}@${tombstone.updatedAt}`)
+  ].sort().join('|');
+  return signature(a) === signature(b);
+}
+
+/**
+ * Backend that keeps likes on this device only
+ * @returns {Object} Sync backend
+ */
+export function localBackend() {
+  return {
+    id: 'local',
+    async load() {
+      return null;
+    },
+    async save() {}
+  };
+}
+
+/**
+ * Backend that keeps the remote state in memory; backends created with the same store act as
+ * two devices sharing an account, which makes it a stand-in for Firebase in development
+ * @param {Object} [store] - Shared { state, listeners } object
+ * @returns {Object} Sync backend
+ */
+export function memoryBackend(store = { state: null, listeners: new Set() }) {
+  return {
+    id: 'memory',
+    store,
+    async load() {
+      return store.state && structuredClone(store.state);
+    },
+    async save(state) {
+      store.state = structuredClone(state);
+      store.listeners.forEach(listener => listener());
+    },
+    subscribe(onChange) {
+      store.listeners.add(onChange);
+      return () => store.listeners.delete(onChange);
+    }
+  };
+}
+
+let backend = localBackend();
+let unsubscribe = null;
+let pushTimer = null;
+let running = null;
+let status = 'idle';
+
+function setStatus(nextStatus) {
+  status = nextStatus;
+  const event = new CustomEvent('syncStatusChanged', {
+    detail: { status, backend: backend.id }
+  });
+  window.dispatchEvent(event);
+}
+
+/**
+ * Current sync status: 'idle', 'syncing', 'offline' or 'error'
+ * @returns {string}
+ */
+export function getSyncStatus() {
+  return status;
+}
+
+/**
+ * Merge local likes with the backend now
+ * Runs one sync at a time; a call during a sync waits for it and then syncs again
+ * @returns {Promise<void>}
+ */
+export async function syncNow() {
+  if (typeof window === 'undefined' || backend.id === 'local') return;
+
+  if (running) {
+    await running;
+    return syncNow();
+  }
+
+  running = (async () => {
+    if (!navigator.onLine) {
+      setStatus('offline');
+      return;
+    }
+
+    setStatus('syncing');
+    const current = backend;
+    try {
+      const remote = await current.load();
+      // Signed out or switched accounts while loading
+      if (current !== backend) return;
+
+      const local = getLikesState();
+      const merged = mergeLikesState(local, remote);
+
+      if (!isSameLikesState(merged, local)) {
+        replaceLikesState(merged);
+      }
+      if (!isSameLikesState(merged, remote)) {
+        await current.save(merged);
+      }
+      setStatus('idle');
+    } catch (error) {
+      console.error('Error syncing likes:', error);
+      setStatus(navigator.onLine ? 'error' : 'offline');
+    }
+  })();
+
+  try {
+    await running;
+  } finally {
+    running = null;
+  }
+}
+
+// Push local changes once they settle; changes that came from a sync are already merged
+function handleLikeChange(event) {
+  if (event.detail && event.detail.synced) return;
+
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(syncNow, PUSH_DEBOUNCE_MS);
+}
+
+/**
+ * Switch the backend likes are synced with, and sync right away
+ * @param {Object} nextBackend - Sync backend; localBackend() stops syncing
+ */
+export function setSyncBackend(nextBackend) {
+  if (typeof window === 'undefined') return;
+
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+  clearTimeout(pushTimer);
+  window.removeEventListener('likeStatusChanged', handleLikeChange);
+  window.removeEventListener('online', syncNow);
+
+  backend = nextBackend;
+  if (backend.id === 'local') {
+    setStatus('idle');
+    return;
+  }
+
+  window.addEventListener('likeStatusChanged', handleLikeChange);
+  // Changes made offline are pushed when the connection comes back
+  window.addEventListener('online', syncNow);
+  if (backend.subscribe) {
+    unsubscribe = backend.subscribe(syncNow);
+  }
+  syncNow();
+}
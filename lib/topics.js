@@ -0,0 +1,107 @@
+// Topic filters for the random feed
+//
+// A filter is { id, label, kind, value, weight }: presets search with CirrusSearch's
+// `articletopic:` keyword (topics from the ORES article model, available on every Wikipedia),
+// custom filters sample the members of a category. Weights decide each topic's share of the feed.
+// The selected filters are saved as the topicFilters setting.
+import { getSettings, updateSettings } from './settings';
+
+export const TOPIC_PRESETS = [
+  { id: 'history', label: 'History', value: 'history' },
+  { id: 'science', label: 'Science', value: 'stem' },
+  { id: 'geography', label: 'Geography', value: 'geographical' },
+  { id: 'art', label: 'Art', value: 'visual-arts' },
+  { id: 'sports', label: 'Sports', value: 'sports' },
+  { id: 'music', label: 'Music', value: 'music' },
+  { id: 'literature', label: 'Literature', value: 'literature' },
+  { id: 'technology', label: 'Technology', value: 'technology' },
+  { id: 'biology', label: 'Biology', value: 'biology' },
+  { id: 'space', label: 'Space', value: 'space' },
+  { id: 'food', label: 'Food & drink', value: 'food-and-drink' },
+  { id: 'film', label: 'Film', value: 'films' }
+];
+
+export const MIN_TOPIC_WEIGHT = 1;
+export const MAX_TOPIC_WEIGHT = 3;
+
+/**
+ * Get the selected topic filters
+ * @returns {Array} Filters, empty when the feed isn't filtered
+ */
+export function getTopicFilters() {
+  return getSettings().topicFilters;
+}
+
+function saveTopicFilters(filters) {
+  updateSettings({ topicFilters: filters });
+}
+
+/**
+ * Turn a preset on or off
+ * @param {string} presetId - ID from TOPIC_PRESETS
+ */
+export function togglePresetTopic(presetId) {
+  const preset = TOPIC_PRESETS.find(other => other.id === presetId);
+  if (!preset) return;
+
+  const filters = getTopicFilters();
+  saveTopicFilters(filters.some(filter => filter.id === preset.id)
+    ? filters.filter(filter => filter.id !== preset.id)
+    : [...filters, { id: preset.id, label: preset.label, kind: 'preset', value: preset.value, weight: MIN_TOPIC_WEIGHT }]);
+}
+
+/**
+ * Add a Wikipedia category as a topic
+ * @param {string} name - Category name, with or without the "Category:" prefix
+ * @returns {boolean} False if the name is empty or already added
+ */
+export function addCategoryTopic(name) {
+  const category = name.trim().replace(/^category:/i, '').replace(/_/g, ' ').trim();
+  if (!category) return false;
+
+  const id = `category:${category.toLowerCase()}`;
+  const filters = getTopicFilters();
+  if (filters.some(filter => filter.id === id)) return false;
+
+  saveTopicFilters([...filters, { id, label: category, kind: 'category', value: category, weight: MIN_TOPIC_WEIGHT }]);
+  return true;
+}
+
+/**
+ * Remove a topic
+ * @param {string} topicId - Filter ID
+ */
+export function removeTopic(topicId) {
+  saveTopicFilters(getTopicFilters().filter(filter => filter.id !== topicId));
+}
+
+/**
+ * Change how much of the feed a topic gets
+ * @param {string} topicId - Filter ID
+ * @param {number} weight - MIN_TOPIC_WEIGHT to MAX_TOPIC_WEIGHT
+ */
+export function setTopicWeight(topicId, weight) {
+  const clamped = Math.min(Math.max(Math.round(weight), MIN_TOPIC_WEIGHT), MAX_TOPIC_WEIGHT);
+  saveTopicFilters(getTopicFilters().map(filter =>
+    filter.id === topicId ? { ...filter, weight: clamped } : filter
+  ));
+}
+
+/**
+ * Split a batch between topics in proportion to their weights
+ * @param {Array} filters - Topic filters
+ * @param {number} count - Size of the batch
+ * @param {Function} [random] - Random number source in [0, 1)
+ * @returns {Array} Number of cards for each filter, in the same order
+ */
+export function allocateTopics(filters, count, random = Math.random) {
+  const total = filters.reduce((sum, filter) => sum + filter.weight, 0);
+  const counts = filters.map(() => 0);
+
+  for (let slot = 0; slot < count; slot++) {
+    let pick = random() * total;
+    const index = filters.findIndex(filter => (pick -= filter.weight) < 0);
+    counts[index === -1 ? filters.length - 1 : index]++;
+  }
+  return counts;
+}
@@ -1,200 +1,247 @@
 import axios from 'axios';
+import { formatFeaturedDate, mapFeaturedContent } from './featured';
+import { isCandidateFile, rankImages, standardImage } from './images';
+import { getPlaceholderImage } from './placeholder';
 
-const WIKI_API_URL = 'https://en.wikipedia.org/w/api.php';
+/**
+ * Fetch the next batch of feed cards from the /api/feed route.
+ * Cards are already filtered to pages with images, deduplicated and tagged with their language.
+ * @param {string} language - Language code (en, es, fr, etc.)
+ * @param {string|null} cursor - Cursor returned by the previous batch, null to start a new feed
+ * @param {number} count - Number of cards to fetch
+ * @returns {Object} { pages, cursor } where cursor is passed to the next call
+ * @throws When the feed route fails or returns no pages
+ */
+export async function fetchFeedBatch(language = 'en', cursor = null, count = 5) {
+  const response = await axios.get('/api/feed', {
+    params: { lang: language, count, ...(cursor ? { cursor } : {}) },
+    timeout: 20000
+  });
+
+  return {
+    pages: response.data.pages || [],
+    cursor: response.data.cursor || null
+  };
+}
 
 /**
  * Fetch random wiki pages with images for a specific language
- * @param {number} count - Number of random pages to fetch
  * @param {string} language - Language code (en, es, fr, etc.)
+ * @param {number} count - Number of random pages to fetch
  * @returns {Array} Array of wiki page objects with images
  */
 export async function fetchRandomWikiPages(language = 'en', count = 5) {
-  // Cache for successful API results to reduce redundant requests
-  if (!window.__wikiCache) window.__wikiCache = {};
-  
   try {
-    // Add a throttling delay to prevent rate limiting (200ms)
-    await new Promise(resolve => setTimeout(resolve, 200));
-    
-    // Make the API request with proper headers and timeout
-    const response = await axios.get(`https://${language}.wikipedia.org/api/rest_v1/page/random/summary`, {
-      params: { format: 'json' },
-      headers: {
-        'User-Agent': 'WikiTok/1.0 (https://github.com/yourusername/wikitok; your@email.com)',
-        'Api-User-Agent': 'WikiTok/1.0'
-      },
-      timeout: 10000
-    });
-    
-    // Process the page and ensure it has an image
-    const page = response.data;
-    
-    // Store successful responses in cache
-    if (!window.__wikiCache[page.pageid]) {
-      window.__wikiCache[page.pageid] = page;
-    }
-    
-    // If we need more pages, fetch recursively but with a small delay between requests
-    if (count > 1) {
-      const rest = await fetchRandomWikiPages(language, count - 1);
-      return [page, ...rest];
-    }
-    
-    return [page];
+    const { pages } = await fetchFeedBatch(language, null, count);
+    return pages;
   } catch (error) {
-    console.error('Error fetching random Wikipedia page:', error);
-    
-    // If there's a network error, try again with exponential backoff
-    if (error.message === 'Network Error' && count > 0) {
-      console.log('Network error, retrying with backoff...');
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      return fetchRandomWikiPages(language, count);
-    }
-    
-    // If all else fails, return an empty array
+    console.error('Error fetching random Wikipedia pages:', error);
     return [];
   }
 }
 
+// Pick up to `count` random items without repeats
+function sample(items, count) {
+  const pool = [...items];
+  const picked = [];
+  while (pool.length > 0 && picked.length < count) {
+    picked.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+  }
+  return picked;
+}
+
+// The extracts module returns at most 20 intros per request
+const MAX_EXTRACTS = 20;
+
 /**
- * Get related wiki pages based on a category or topic, ensuring they have images
+ * Details of pages as feed cards, asked for MAX_EXTRACTS pages per request
+ * @param {string} language - Language code (en, es, fr, etc.)
+ * @param {Object} pages - { titles } or { pageids }, arrays of the pages to fetch
+ * @returns {Array} Cards for the pages that have an image, tagged with their language
+ */
+async function getCardDetails(language, { titles, pageids }) {
+  const key = titles ? 'titles' : 'pageids';
+  const values = titles || pageids;
+  const chunks = [];
+  for (let start = 0; start < values.length; start += MAX_EXTRACTS) {
+    chunks.push(values.slice(start, start + MAX_EXTRACTS));
+  }
+  
+  const responses = await Promise.all(chunks.map(chunk => axios.get(`https://${language}.wikipedia.org/w/api.php`, {
+    params: {
+      action: 'query',
+      format: 'json',
+      [key]: chunk.join('|'),
+      prop: 'extracts|pageimages',
+      exintro: true,
+      explaintext: true,
+      exlimit: MAX_EXTRACTS,
+      piprop: 'thumbnail',
+      pithumbsize: 1000,
+      redirects: 1,
+      origin: '*'
+    }
+  })));
+  
+  return responses
+    .flatMap(response => (response.data.query && response.data.query.pages ? Object.values(response.data.query.pages) : []))
+    .filter(page => page.pageid && page.thumbnail)
+    .map(page => ({
+      pageid: page.pageid,
+      title: page.title,
+      extract: page.extract,
+      thumbnail: page.thumbnail,
+      language
+    }));
+}
+
+/**
+ * Get related wiki pages from an article's categories and links, ensuring they have images
  * @param {string} title - Title of the current page
  * @param {number} count - Number of related pages to fetch
  * @param {string} language - Language code (en, es, fr, etc.)
- * @returns {Array} Array of related wiki page objects with images
+ * @param {Array} excludeIds - Page IDs that should not be returned, e.g. cards already in the feed
+ * @returns {Array} Array of related wiki page objects with images, tagged with their language
  */
-export async function getRelatedPages(title, count = 5, language = 'en') {
+export async function getRelatedPages(title, count = 5, language = 'en', excludeIds = []) {
+  const apiUrl = `https://${language}.wikipedia.org/w/api.php`;
+  const excluded = new Set(excludeIds.map(id => id.toString()));
+  
+  // Random pages stand in when there aren't enough related ones, minus the excluded ones as well
+  const randomPages = async (needed, found = []) => {
+    const foundIds = new Set(found.map(page => page.pageid.toString()));
+    const pages = await fetchRandomWikiPages(language, needed);
+    const fresh = pages.filter(page => !excluded.has(page.pageid.toString()) && !foundIds.has(page.pageid.toString()));
+    return [...found, ...fresh].slice(0, count);
+  };
+  
   try {
-    // First get categories for the page
-    const categoryResponse = await axios.get(`https://${language}.wikipedia.org/w/api.php`, {
+    // First get the visible categories and article links of the page
+    const sourceResponse = await axios.get(apiUrl, {
       params: {
         action: 'query',
         format: 'json',
         titles: title,
-        prop: 'categories',
-        cllimit: 5,
+        prop: 'categories|links',
+        clshow: '!hidden',
+        cllimit: 20,
+        plnamespace: 0,
+        pllimit: 100,
+        redirects: 1,
         origin: '*'
       }
     });
     
-    const pages = Object.values(categoryResponse.data.query.pages);
-    if (!pages.length || !pages[0].categories || pages[0].categories.length === 0) {
-      return fetchRandomWikiPages(count, language); // Fallback to random if no categories
-    }
+    const sourcePage = sourceResponse.data.query
+      ? Object.values(sourceResponse.data.query.pages)[0]
+      : null;
+    const categories = (sourcePage && sourcePage.categories) || [];
+    const links = (sourcePage && sourcePage.links) || [];
     
-    // Get a random category
-    const randomCategory = pages[0].categories[
-      Math.floor(Math.random() * pages[0].categories.length)
-    ].title.replace('Category:', '');
+    if (categories.length === 0 && links.length === 0) {
+      return randomPages(count); // Fallback to random if the page has neither
+    }
     
-    // Find pages in this category
-    const relatedResponse = await axios.get(`https://${language}.wikipedia.org/w/api.php`, {
-      params: {
-        action: 'query',
-        format: 'json',
-        list: 'categorymembers',
-        cmtitle: `Category:${randomCategory}`,
-        cmlimit: count * 3, // Fetch more to filter
-        cmtype: 'page',
-        cmnamespace: 0,
-        origin: '*'
+    // Find pages in a random category
+    let categoryMembers = [];
+    if (categories.length > 0) {
+      const [randomCategory] = sample(categories, 1);
+      const membersResponse = await axios.get(apiUrl, {
+        params: {
+          action: 'query',
+          format: 'json',
+          list: 'categorymembers',
+          cmtitle: randomCategory.title,
+          cmlimit: 50,
+          cmtype: 'page',
+          cmnamespace: 0,
+          origin: '*'
+        }
+      });
+      
+      if (membersResponse.data.query && membersResponse.data.query.categorymembers) {
+        categoryMembers = membersResponse.data.query.categorymembers;
       }
-    });
-    
-    if (!relatedResponse.data.query || !relatedResponse.data.query.categorymembers) {
-      return fetchRandomWikiPages(count, language);
     }
     
-    // Get details for these pages including images
-    const categoryMembers = relatedResponse.data.query.categorymembers;
-    const titles = categoryMembers.map(member => member.title).join('|');
-    
-    const detailsResponse = await axios.get(`https://${language}.wikipedia.org/w/api.php`, {
-      params: {
-        action: 'query',
-        format: 'json',
-        titles: titles,
-        prop: 'extracts|info|pageimages|images',
-        exintro: true,
-        explaintext: true,
-        inprop: 'url',
-        piprop: 'thumbnail',
-        pithumbsize: 1000,
-        imlimit: 5,
-        origin: '*'
-      }
-    });
+    // Mix category members and linked articles, fetching more than we need to filter
+    const candidateTitles = [...new Set([
+      ...sample(categoryMembers, count * 2),
+      ...sample(links, count * 2)
+    ].map(candidate => candidate.title))]
+      .filter(candidate => candidate !== (sourcePage.title || title));
     
-    if (!detailsResponse.data.query || !detailsResponse.data.query.pages) {
-      return fetchRandomWikiPages(count, language);
+    if (candidateTitles.length === 0) {
+      return randomPages(count);
     }
     
-    // Filter to pages with images
-    const relatedPages = Object.values(detailsResponse.data.query.pages);
-    const relatedPagesWithImages = relatedPages.filter(page => 
-      (page.thumbnail || (page.images && page.images.length > 0))
-    );
+    // Keep the pages with images that aren't excluded
+    const cards = await getCardDetails(language, { titles: candidateTitles });
+    const relatedPagesWithImages = sample(cards, cards.length)
+      .filter(page => !excluded.has(page.pageid.toString()));
     
     // If we don't have enough related pages with images, fetch random ones
     if (relatedPagesWithImages.length < count) {
-      const randomPages = await fetchRandomWikiPages(count - relatedPagesWithImages.length, language);
-      return [...relatedPagesWithImages, ...randomPages].slice(0, count);
+      return randomPages(count - relatedPagesWithImages.length, relatedPagesWithImages);
     }
     
     return relatedPagesWithImages.slice(0, count);
   } catch (error) {
     console.error('Error fetching related pages:', error);
-    return fetchRandomWikiPages(count, language);
+    return randomPages(count);
   }
 }
 
 /**
- * Extract images for a Wikipedia page
+ * Extract images for a Wikipedia page, ranked for a portrait card with the lead image first
  * @param {number} pageId - Wikipedia page ID
- * @returns {Array} Array of image objects with urls
+ * @param {string} language - Language code (en, es, fr, etc.)
+ * @returns {Array} Up to 3 { url, alt, width, height, credit } objects; credit holds the author
+ * and license from Commons, see rankImages in lib/images.js
  */
 export async function extractImages(pageId, language = 'en') {
+  const apiUrl = `https://${language}.wikipedia.org/w/api.php`;
+
   try {
-    const response = await axios.get(`https://${language}.wikipedia.org/w/api.php`, {
+    const response = await axios.get(apiUrl, {
       params: {
         action: 'query',
         format: 'json',
         pageids: pageId,
-        prop: 'images',
-        imlimit: 15, // Fetch more than we need to filter
+        prop: 'images|pageimages',
+        imlimit: 'max',
+        piprop: 'name',
         origin: '*'
       }
     });
     
-    if (!response.data.query || !response.data.query.pages) {
+    const page = response.data.query && response.data.query.pages && response.data.query.pages[pageId];
+    if (!page) {
       return [];
     }
     
-    const page = response.data.query.pages[pageId];
-    if (!page || !page.images || page.images.length === 0) {
-      return [];
-    }
+    // The lead image can be a file the page embeds through a template, so it's asked for even if unlisted
+    const leadName = page.pageimage || null;
+    const candidates = (page.images || [])
+      .map(image => image.title)
+      .filter(isCandidateFile)
+      .slice(0, 19);
+    const titles = [...new Set([...(leadName ? [`File:${leadName}`] : []), ...candidates])];
     
-    // Filter out non-image files and SVGs
-    const imageFiles = page.images
-      .filter(img => img.title.match(/\.(jpg|jpeg|png|gif)$/i))
-      .filter(img => !img.title.includes('Icon') && !img.title.includes('Logo'))
-      .slice(0, 10); // Take at most 10 image candidates
-    
-    if (imageFiles.length === 0) {
+    if (titles.length === 0) {
       return [];
     }
     
-    // Get image info for the filtered images
-    const imageTitles = imageFiles.map(img => img.title).join('|');
-    const imageInfoResponse = await axios.get(`https://${language}.wikipedia.org/w/api.php`, {
+    const imageInfoResponse = await axios.get(apiUrl, {
       params: {
         action: 'query',
         format: 'json',
-        titles: imageTitles,
+        titles: titles.join('|'),
         prop: 'imageinfo',
-        iiprop: 'url|size',
-        iiurlwidth: 1200, // Request a reasonably large size
+        iiprop: 'url|size|extmetadata',
+        iiextmetadatafilter: 'Artist|Credit|LicenseShortName|LicenseUrl|ImageDescription',
+        iiextmetadatalanguage: language,
+        iiurlwidth: 1920, // Widest size a card needs; smaller ones come from getImageSources. SVGs come back as PNG
         origin: '*'
       }
     });
@@ -203,22 +250,7 @@ export async function extractImages(pageId, language = 'en') {
       return [];
     }
     
-    // Extract image URLs and filter out small images
-    const images = Object.values(imageInfoResponse.data.query.pages)
-      .filter(img => img.imageinfo && img.imageinfo[0].width > 300)
-      .sort((a, b) => {
-        // Sort by image size (larger first)
-        const aSize = a.imageinfo[0].width * a.imageinfo[0].height;
-        const bSize = b.imageinfo[0].width * b.imageinfo[0].height;
-        return bSize - aSize;
-      })
-      .slice(0, 3) // Take only the top 3
-      .map(img => ({
-        url: img.imageinfo[0].url,
-        alt: img.title.replace('File:', '')
-      }));
-    
-    return images;
+    return rankImages(Object.values(imageInfoResponse.data.query.pages), leadName);
   } catch (error) {
     console.error('Error extracting images:', error);
     return [];
@@ -246,6 +278,27 @@ export async function getPageSummary(title, language = 'en') {
   }
 }
 
+/**
+ * Get the full Parsoid HTML of an article
+ * Not sanitized: pass it through parseArticle in lib/reader.js before rendering
+ * @param {string} title - Wikipedia page title
+ * @param {string} language - Language code (en, es, fr, etc.)
+ * @returns {string|null} Article HTML, or null if it couldn't be fetched
+ */
+export async function getArticleHtml(title, language = 'en') {
+  try {
+    const response = await axios.get(
+      `https://${language}.wikipedia.org/api/rest_v1/page/html/${encodeURIComponent(title.replace(/ /g, '_'))}`,
+      { headers: { 'User-Agent': 'WikiTok/1.0' }, responseType: 'text' }
+    );
+    
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching article HTML:', error);
+    return null;
+  }
+}
+
 /**
  * Search Wikipedia for a query
  * @param {string} query - Search query
@@ -280,74 +333,222 @@ export async function searchWiki(query, limit = 5, language = 'en') {
 }
 
 /**
- * Get trending or featured wiki articles with images
- * @param {number} limit - Maximum number of articles to fetch
+ * Search for articles that have images, as feed cards
+ * Accepts CirrusSearch keywords such as `morelike:Title` or `articletopic:physics`
+ * @param {string} query - Search query
+ * @param {number} count - Number of cards to return
  * @param {string} language - Language code (en, es, fr, etc.)
- * @returns {Array} Featured articles with images
+ * @param {Array} excludeIds - Page IDs that should not be returned
+ * @param {Object} [options]
+ * @param {boolean} [options.random] - Sample matching articles at random instead of by relevance
+ * @returns {Array} Cards in search ranking order, tagged with their language
  */
-export async function getTrendingArticles(limit = 5, language = 'en') {
+export async function searchCards(query, count = 5, language = 'en', excludeIds = [], { random = false } = {}) {
   try {
-    // Get today's featured article
-    const date = new Date();
-    const formattedDate = `${date.getFullYear()}/${(date.getMonth() + 1).toString().padStart(2, '0')}/${date.getDate().toString().padStart(2, '0')}`;
-    
-    const response = await axios.get(
-      `https://${language}.wikipedia.org/api/rest_v1/feed/featured/${formattedDate}`,
-      { headers: { 'User-Agent': 'WikiTok/1.0' } }
-    );
+    const response = await axios.get(`https://${language}.wikipedia.org/w/api.php`, {
+      params: {
+        action: 'query',
+        format: 'json',
+        generator: 'search',
+        gsrsearch: query,
+        gsrnamespace: 0,
+        gsrlimit: MAX_EXTRACTS,
+        ...(random ? { gsrsort: 'random' } : {}),
+        prop: 'extracts|pageimages',
+        exintro: true,
+        explaintext: true,
+        exlimit: MAX_EXTRACTS,
+        piprop: 'thumbnail',
+        pithumbsize: 1000,
+        origin: '*'
+      }
+    });
     
-    if (!response.data || !response.data.tfa) {
-      return fetchRandomWikiPages(limit, language);
+    if (!response.data.query || !response.data.query.pages) {
+      return [];
     }
     
-    // Check if featured article has images
-    const featuredArticle = response.data.tfa;
-    const hasImages = featuredArticle.thumbnail || 
-                      (await extractImages(featuredArticle.pageid, language)).length > 0;
+    const excluded = new Set(excludeIds.map(id => id.toString()));
+    return Object.values(response.data.query.pages)
+      .filter(page => page.thumbnail && !excluded.has(page.pageid.toString()))
+      .sort((a, b) => a.index - b.index)
+      .slice(0, count)
+      .map(page => ({
+        pageid: page.pageid,
+        title: page.title,
+        extract: page.extract,
+        thumbnail: page.thumbnail,
+        language
+      }));
+  } catch (error) {
+    console.error('Error searching for cards:', error);
+    return [];
+  }
+}
+
+/**
+ * Sample articles with images from a category
+ * @param {string} category - Category name without the "Category:" prefix
+ * @param {number} count - Number of cards to return
+ * @param {string} language - Language code (en, es, fr, etc.)
+ * @param {Array} excludeIds - Page IDs that should not be returned
+ * @returns {Array} Cards tagged with their language, empty if the category has no usable pages
+ */
+export async function getCategoryCards(category, count = 5, language = 'en', excludeIds = []) {
+  const apiUrl = `https://${language}.wikipedia.org/w/api.php`;
+
+  try {
+    const membersResponse = await axios.get(apiUrl, {
+      params: {
+        action: 'query',
+        format: 'json',
+        list: 'categorymembers',
+        cmtitle: `Category:${category}`,
+        cmtype: 'page',
+        cmnamespace: 0,
+        cmlimit: 500,
+        origin: '*'
+      }
+    });
     
-    let articlesWithImages = [];
+    const members = (membersResponse.data.query && membersResponse.data.query.categorymembers) || [];
+    const excluded = new Set(excludeIds.map(id => id.toString()));
+    const picked = sample(members.filter(member => !excluded.has(member.pageid.toString())), MAX_EXTRACTS);
+    if (picked.length === 0) return [];
     
-    if (hasImages) {
-      articlesWithImages.push({
-        title: featuredArticle.title,
-        pageid: featuredArticle.pageid,
-        extract: featuredArticle.extract,
-        thumbnail: featuredArticle.thumbnail
-      });
+    const cards = await getCardDetails(language, { pageids: picked.map(member => member.pageid) });
+    return cards.slice(0, count);
+  } catch (error) {
+    console.error('Error fetching category pages:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the visible categories and article links of several pages
+ * @param {Array} titles - Page titles, at most 50
+ * @param {string} language - Language code (en, es, fr, etc.)
+ * @returns {Object} Map from title to { pageid, categories, links }, with titles (without the
+ * "Category:" prefix for categories); pages that don't exist are left out
+ */
+export async function getPageTopics(titles, language = 'en') {
+  if (titles.length === 0) return {};
+
+  try {
+    const response = await axios.get(`https://${language}.wikipedia.org/w/api.php`, {
+      params: {
+        action: 'query',
+        format: 'json',
+        titles: titles.join('|'),
+        prop: 'categories|links',
+        clshow: '!hidden',
+        cllimit: 'max',
+        plnamespace: 0,
+        pllimit: 'max',
+        redirects: 1,
+        origin: '*'
+      }
+    });
+    
+    if (!response.data.query || !response.data.query.pages) {
+      return {};
     }
     
-    // Get random pages with images to make up the count
-    const randomPages = await fetchRandomWikiPages(limit - articlesWithImages.length, language);
+    // Limits are shared by all pages, so very long pages may come back partial; that's fine for a profile
+    const topics = {};
+    Object.values(response.data.query.pages)
+      .filter(page => !('missing' in page))
+      .forEach(page => {
+        topics[page.title] = {
+          pageid: page.pageid,
+          categories: (page.categories || []).map(category => category.title.replace(/^[^:]+:/, '')),
+          links: (page.links || []).map(link => link.title)
+        };
+      });
     
-    return [...articlesWithImages, ...randomPages];
+    // Also key pages by the title they were asked for, when it was normalized or redirected
+    const { normalized = [], redirects = [] } = response.data.query;
+    const aliases = Object.fromEntries([...normalized, ...redirects].map(({ from, to }) => [from, to]));
+    titles.forEach(title => {
+      let resolved = title;
+      // Normalization and a redirect can both apply
+      for (let step = 0; step < 2 && aliases[resolved]; step++) {
+        resolved = aliases[resolved];
+      }
+      if (resolved !== title && topics[resolved]) {
+        topics[title] = topics[resolved];
+      }
+    });
+    return topics;
   } catch (error) {
-    console.error('Error fetching trending articles:', error);
-    return fetchRandomWikiPages(limit, language);
+    console.error('Error fetching page topics:', error);
+    return {};
   }
 }
 
 /**
- * Extract images from a Wikipedia page
+ * Get the featured content of a day as cards: featured article, picture of the day,
+ * most read, in the news and on this day
+ * @param {Date} date - Day to fetch, in local time
+ * @param {string} language - Language code (en, es, fr, etc.)
+ * @returns {Array} Cards tagged with their `section`, empty if the wiki has no featured feed
+ */
+export async function getFeaturedFeed(date = new Date(), language = 'en') {
+  try {
+    const response = await axios.get(
+      `https://${language}.wikipedia.org/api/rest_v1/feed/featured/${formatFeaturedDate(date)}`,
+      { headers: { 'User-Agent': 'WikiTok/1.0' } }
+    );
+    
+    return mapFeaturedContent(response.data, language);
+  } catch (error) {
+    console.error('Error fetching featured feed:', error);
+    return [];
+  }
+}
+
+/**
+ * Get trending or featured wiki articles with images
+ * @param {number} limit - Maximum number of articles to fetch
+ * @param {string} language - Language code (en, es, fr, etc.)
+ * @returns {Array} Featured articles with images
+ */
+export async function getTrendingArticles(limit = 5, language = 'en') {
+  // Only articles can be liked and linked, so skip the picture of the day
+  const articles = (await getFeaturedFeed(new Date(), language))
+    .filter(card => card.pageid)
+    .slice(0, limit);
+  
+  if (articles.length >= limit) {
+    return articles;
+  }
+  
+  // Get random pages with images to make up the count
+  const randomPages = await fetchRandomWikiPages(language, limit - articles.length);
+  return [...articles, ...randomPages];
+}
+
+/**
+ * Images of a card from its summary alone, for cards without an image list
  * @param {Object} page - Wikipedia page object
- * @returns {Array} - Array of image URLs
+ * @returns {Array} - { url, width, height } of the page image, scaled to a standard width so
+ * getImageSources can offer smaller ones; a generated placeholder URL if the page has no image
  */
 export function getThumbnailImages(page) {
   const images = [];
   
   // Get the thumbnail image if available
   if (page.thumbnail && page.thumbnail.source) {
-    // Convert to a higher resolution version
-    const thumbnailUrl = page.thumbnail.source;
-    const highResUrl = thumbnailUrl.replace(/\/\d+px-/, '/800px-');
-    images.push(highResUrl);
+    const { originalimage: original, thumbnail } = page;
+    images.push(original && original.source && original.width
+      ? standardImage(original.source, original.width, original.height)
+      : { url: thumbnail.source, width: thumbnail.width, height: thumbnail.height });
   }
   
-  // Add placeholder image if we have no images
+  // Placeholder drawn from the title, so it works offline and never shows an unrelated photo
   if (images.length === 0) {
-    // Use a high-quality placeholder based on the page title
-    const placeholderUrl = `https://source.unsplash.com/800x600/?${encodeURIComponent(page.title || 'wikipedia')}`;
-    images.push(placeholderUrl);
+    images.push(getPlaceholderImage(page.title || 'Wikipedia'));
   }
   
   return images;
-}
\ No newline at end of file
+}
@@ -1,10 +0,0 @@
-// next.config.js
-module.exports = {
-    images: {
-      domains: ['upload.wikimedia.org'],
-    },
-    experimental: {
-      outputFileTracing: false,
-    },
-  };
-  
\ No newline at end of file
@@ -0,0 +1,91 @@
+import Head from 'next/head';
+import Home from '../index';
+import { getPageSummary } from '../../lib/wikiapi';
+import { isSupportedLanguage } from '../../lib/language';
+import { getArticlePath, getShareImagePath, SHARE_IMAGE_FORMATS } from '../../lib/share';
+import { truncateText } from '../../lib/snippet';
+
+// Longest description in link previews
+const DESCRIPTION_LENGTH = 200;
+
+// Origin for absolute URLs in the meta tags. Without SITE_URL it comes from the request; the
+// X-Forwarded-* headers are only trusted when TRUST_PROXY says a proxy in front sets them.
+function getOrigin(req) {
+  if (process.env.SITE_URL) return process.env.SITE_URL.replace(/\/$/, '');
+
+  const forwarded = (name) =>
+    process.env.TRUST_PROXY === 'true' && req.headers[name] ? req.headers[name].split(',')[0].trim() : null;
+  const protocol = forwarded('x-forwarded-proto') || (req.socket && req.socket.encrypted ? 'https' : 'http');
+  return `${protocol}://${forwarded('x-forwarded-host') || req.headers.host}`;
+}
+
+export async function getServerSideProps({ params, req, res }) {
+  const { lang, title } = params;
+  if (!isSupportedLanguage(lang)) {
+    return { notFound: true };
+  }
+
+  const summary = await getPageSummary(title.replace(/_/g, ' '), lang);
+  if (!summary || !summary.pageid) {
+    return { notFound: true };
+  }
+
+  // Chat apps fetch previews again for every share, so let caches absorb them. Only with a fixed
+  // SITE_URL, though: shared caches don't key on request headers, so a preview built from them
+  // could be served to everyone.
+  if (process.env.SITE_URL) {
+    res.setHeader('Cache-Control', 'public, s-maxage=3600, stale-while-revalidate=86400');
+  }
+
+  const page = {
+    pageid: summary.pageid,
+    title: summary.title,
+    displaytitle: summary.displaytitle || null,
+    description: summary.description || null,
+    extract: summary.extract || '',
+    type: summary.type || null,
+    thumbnail: summary.thumbnail || null,
+    originalimage: summary.originalimage || null,
+    language: lang
+  };
+
+  return {
+    props: {
+      page,
+      meta: {
+        title: `${summary.title} | WikiTok`,
+        description: truncateText(summary.extract, DESCRIPTION_LENGTH),
+        url: `${getOrigin(req)}${getArticlePath(summary.title, lang)}`,
+        // Generated by /api/og: lead image, title and extract with WikiTok branding
+        image: `${getOrigin(req)}${getShareImagePath(summary.title, lang, 'link')}`
+      }
+    }
+  };
+}
+
+// Deep link to an article: the feed starts with it, with Open Graph and Twitter tags for link previews
+export default function ArticlePage({ page, meta }) {
+  return (
+    <>
+      <Head>
+        <title>{meta.title}</title>
+        <meta name="description" content={meta.description} />
+        <link rel="canonical" href={meta.url} />
+        <meta property="og:type" content="article" />
+        <meta property="og:site_name" content="WikiTok" />
+        <meta property="og:title" content={page.title} />
+        <meta property="og:description" content={meta.description} />
+        <meta property="og:url" content={meta.url} />
+        <meta property="og:image" content={meta.image} />
+        <meta property="og:image:width" content={String(SHARE_IMAGE_FORMATS.link.width)} />
+        <meta property="og:image:height" content={String(SHARE_IMAGE_FORMATS.link.height)} />
+        <meta property="og:image:alt" content={page.title} />
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:title" content={page.title} />
+        <meta name="twitter:description" content={meta.description} />
+        <meta name="twitter:image" content={meta.image} />
+      </Head>
+      <Home initialPage={page} />
+    </>
+  );
+}
@@ -1,7 +1,17 @@
+import { useEffect } from 'react';
 import '../styles/globals.css';
 import Layout from '../components/Layout';
 
 function MyApp({ Component, pageProps }) {
+  // The service worker caches the app for offline use; in development it would serve stale builds
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Error registering service worker:', error);
+    });
+  }, []);
+
   return (
     <Layout>
       <Component {...pageProps} />
@@ -9,4 +19,4 @@ function MyApp({ Component, pageProps }) {
   );
 }
 
-export default MyApp;
\ No newline at end of file
+export default MyApp;
@@ -0,0 +1,35 @@
+import { takeFeedBatch } from '../../lib/feedBuffer';
+import { isSupportedLanguage } from '../../lib/language';
+
+const DEFAULT_BATCH_SIZE = 5;
+const MAX_BATCH_SIZE = 20;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { lang = 'en', count, cursor } = req.query;
+
+  if (!isSupportedLanguage(lang)) {
+    return res.status(400).json({ error: 'Invalid language code' });
+  }
+
+  const requested = parseInt(count, 10) || DEFAULT_BATCH_SIZE;
+  const batchSize = Math.min(Math.max(requested, 1), MAX_BATCH_SIZE);
+
+  try {
+    const batch = await takeFeedBatch({ language: lang, count: batchSize, cursor });
+
+    if (batch.pages.length === 0) {
+      return res.status(502).json({ error: 'No pages available from Wikipedia' });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(batch);
+  } catch (error) {
+    console.error('Error building feed batch:', error);
+    return res.status(500).json({ error: 'Failed to fetch feed' });
+  }
+}
@@ -1,24 +1,29 @@
 import axios from 'axios';
-
-const WIKI_API_URL = 'https://en.wikipedia.org/w/api.php';
+import { isSupportedLanguage } from '../../lib/language';
 
 export default async function handler(req, res) {
-  const { ids } = req.query;
+  const { ids, lang = 'en' } = req.query;
   
   if (!ids) {
     return res.status(400).json({ error: 'Page IDs are required' });
   }
   
+  if (!isSupportedLanguage(lang)) {
+    return res.status(400).json({ error: 'Unsupported language' });
+  }
+  
   try {
-    const response = await axios.get(WIKI_API_URL, {
+    const response = await axios.get(`https://${lang}.wikipedia.org/w/api.php`, {
       params: {
         action: 'query',
         format: 'json',
         pageids: ids,
-        prop: 'extracts|info',
+        prop: 'extracts|info|pageimages',
         exintro: true,
         explaintext: true,
         inprop: 'url',
+        piprop: 'thumbnail',
+        pithumbsize: 100,
         origin: '*'
       }
     });
@@ -27,7 +32,10 @@ export default async function handler(req, res) {
       return res.status(404).json({ error: 'No pages found' });
     }
     
-    const pages = Object.values(response.data.query.pages);
+    // Tag each page with the wiki it came from
+    const pages = Object.values(response.data.query.pages)
+      .filter(page => !('missing' in page))
+      .map(page => ({ ...page, language: lang }));
     
     return res.status(200).json({ pages });
   } catch (error) {
@@ -0,0 +1,164 @@
+import { ImageResponse } from 'next/og';
+import { isSupportedLanguage } from '../../lib/language';
+import { SHARE_IMAGE_FORMATS } from '../../lib/share';
+import { truncateText } from '../../lib/snippet';
+
+export const config = {
+  runtime: 'edge'
+};
+
+// Colors from styles/globals.css
+const DARK = '#121212';
+const PRIMARY = '#ff4d4d';
+
+// Extract lengths that fit each layout
+const EXTRACT_LENGTH = { story: 320, link: 160 };
+
+function jsonError(status, error) {
+  return new Response(JSON.stringify({ error }), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+async function fetchSummary(title, language) {
+  const response = await fetch(
+    `https://${language}.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(title.replace(/ /g, '_'))}`,
+    { headers: { 'Api-User-Agent': 'WikiTok/1.0' } }
+  );
+  return response.ok ? response.json() : null;
+}
+
+// URL of the lead image at about `width` pixels; thumbnails can't be wider than the original
+function leadImageUrl(summary, width) {
+  const { originalimage: original, thumbnail } = summary;
+  if (original && original.width <= width && !/\.svg$/i.test(original.source)) {
+    return original.source;
+  }
+  return thumbnail ? thumbnail.source.replace(/\/\d+px-/, `/${width}px-`) : null;
+}
+
+function Branding({ size }) {
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', fontSize: size, fontWeight: 700, color: 'white' }}>
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          width: size * 1.6,
+          height: size * 1.6,
+          marginRight: size * 0.5,
+          borderRadius: size * 0.35,
+          background: PRIMARY
+        }}
+      >
+        W
+      </div>
+      WikiTok
+    </div>
+  );
+}
+
+// 1080×1920: image on top, text over a fade at the bottom
+function StoryImage({ title, extract, image }) {
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', width: '100%', height: '100%', background: DARK }}>
+      {image && (
+        <img src={image} alt="" width={1080} height={1300} style={{ width: 1080, height: 1300, objectFit: 'cover' }} />
+      )}
+      <div
+        style={{
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'flex-end',
+          position: 'absolute',
+          left: 0,
+          right: 0,
+          bottom: 0,
+          height: image ? 1000 : 1920,
+          padding: 80,
+          backgroundImage: `linear-gradient(to bottom, rgba(18, 18, 18, 0), ${DARK} 35%)`
+        }}
+      >
+        <div style={{ display: 'flex', fontSize: 84, fontWeight: 700, color: 'white', lineHeight: 1.1, marginBottom: 32 }}>
+          {title}
+        </div>
+        <div style={{ display: 'flex', fontSize: 38, color: '#d1d5db', lineHeight: 1.4, marginBottom: 64 }}>
+          {extract}
+        </div>
+        <Branding size={44} />
+      </div>
+    </div>
+  );
+}
+
+// 1200×630: image on the left, text on the right
+function LinkImage({ title, extract, image }) {
+  return (
+    <div style={{ display: 'flex', width: '100%', height: '100%', background: DARK }}>
+      {image && (
+        <img src={image} alt="" width={520} height={630} style={{ width: 520, height: 630, objectFit: 'cover' }} />
+      )}
+      <div style={{ display: 'flex', flexDirection: 'column', justifyContent: 'space-between', flex: 1, padding: 56 }}>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <div style={{ display: 'flex', fontSize: 56, fontWeight: 700, color: 'white', lineHeight: 1.1, marginBottom: 24 }}>
+            {title}
+          </div>
+          <div style={{ display: 'flex', fontSize: 26, color: '#d1d5db', lineHeight: 1.4 }}>
+            {extract}
+          </div>
+        </div>
+        <Branding size={30} />
+      </div>
+    </div>
+  );
+}
+
+// Share image of a card: ?lang=en&title=Ada_Lovelace&format=story|link
+export default async function handler(req) {
+  if (req.method !== 'GET') {
+    return new Response(null, { status: 405, headers: { Allow: 'GET' } });
+  }
+
+  const { searchParams } = new URL(req.url);
+  const language = searchParams.get('lang') || 'en';
+  const title = searchParams.get('title');
+  const format = searchParams.get('format') || 'story';
+
+  if (!isSupportedLanguage(language)) {
+    return jsonError(400, 'Invalid language code');
+  }
+  if (!title) {
+    return jsonError(400, 'Missing title');
+  }
+  if (!SHARE_IMAGE_FORMATS[format]) {
+    return jsonError(400, 'Invalid format');
+  }
+
+  try {
+    const summary = await fetchSummary(title, language);
+    if (!summary || !summary.pageid) {
+      return jsonError(404, 'Article not found');
+    }
+
+    const { width, height } = SHARE_IMAGE_FORMATS[format];
+    const props = {
+      title: summary.title,
+      extract: truncateText(summary.extract, EXTRACT_LENGTH[format]),
+      image: leadImageUrl(summary, format === 'story' ? 1080 : 600)
+    };
+
+    return new ImageResponse(
+      format === 'story' ? <StoryImage {...props} /> : <LinkImage {...props} />,
+      {
+        width,
+        height,
+        headers: { 'Cache-Control': 'public, max-age=86400, s-maxage=86400, stale-while-revalidate=604800' }
+      }
+    );
+  } catch (error) {
+    console.error('Error rendering share image:', error);
+    return jsonError(500, 'Failed to render share image');
+  }
+}
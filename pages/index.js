@@ -1,225 +1,276 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import WikiCard from '../components/WikiCard';
-import LoadingSpinner from '../components/LoadingSpinner';
-import { fetchRandomWikiPages } from '../lib/wikiapi';
-
-export default function Home() {
-  const [wikiPages, setWikiPages] = useState([]);
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [loading, setLoading] = useState(false);
-  const [language, setLanguage] = useState('en');
-  const [loadError, setLoadError] = useState(null);
-  
-  // Mouse/touch dragging state
-  const [isDragging, setIsDragging] = useState(false);
-  const [startY, setStartY] = useState(0);
-  const [dragOffset, setDragOffset] = useState(0);
-  
-  // Preload status tracking
-  const preloadedPages = useRef(new Set());
-  
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import WikiBrowser from '../components/WikiBrowser';
+import TopicBreadcrumbs from '../components/TopicBreadcrumbs';
+import FeedTabs from '../components/FeedTabs';
+import ReaderPanel from '../components/ReaderPanel';
+import ResumePrompt from '../components/ResumePrompt';
+import useFeed from '../hooks/useFeed';
+import useReadingHistory from '../hooks/useReadingHistory';
+import {
+  randomSource,
+  topicSource,
+  featuredSource,
+  collectionSource,
+  forYouSource,
+  topicFilterSource
+} from '../lib/feedSources';
+import { getPageSummary } from '../lib/wikiapi';
+import { getStoredLanguage, isSupportedLanguage } from '../lib/language';
+import { getCollection } from '../lib/collections';
+import { getSavedSession, clearSavedSession } from '../lib/history';
+import { getTopicFilters } from '../lib/topics';
+
+const TAB_LABELS = { foryou: 'For You', random: 'Random', today: 'Today' };
+
+// Source of a feed tab
+function tabSource(mode, date) {
+  if (mode === 'today') return featuredSource(date);
+  if (mode === 'foryou') return forYouSource();
+  const filters = getTopicFilters();
+  return filters.length > 0 ? topicFilterSource(filters) : randomSource();
+}
+
+/**
+ * The feed
+ * @param {Object} props
+ * @param {Object} [props.initialPage] - Card to start with, followed by related articles; set by
+ * deep links (pages/[lang]/[title].js)
+ */
+export default function Home({ initialPage = null }) {
+  const router = useRouter();
+  const [language, setLanguage] = useState(getStoredLanguage);
+
+  // Which tab the stack draws from when not following a topic
+  const [feedMode, setFeedMode] = useState('random');
+  const [featuredDate, setFeaturedDate] = useState(() => new Date());
+
+  // Collection opened from the sidebar, shown instead of the active tab until closed
+  const [collection, setCollection] = useState(null);
+
+  // Articles picked with "More like this"; empty while browsing a tab's feed
+  const [topicTrail, setTopicTrail] = useState(() => (initialPage ? [initialPage] : []));
+
+  // Article open in the reader panel, null while browsing the feed
+  const [readerPage, setReaderPage] = useState(null);
+
+  // Stack of the previous visit, offered until resumed or dismissed; undefined until it's been read
+  const [savedSession, setSavedSession] = useState(undefined);
+
+  const feed = useFeed({
+    source: initialPage ? topicSource(initialPage) : tabSource('random'),
+    initialPages: initialPage ? [initialPage] : [],
+    language
+  });
+  const { reset, source } = feed;
+
+  // Read before this visit's stack replaces it; a deep link replaces it on purpose
+  useEffect(() => {
+    if (initialPage) {
+      setSavedSession(null);
+      return;
+    }
+
+    const session = getSavedSession();
+    const resumable = session && session.language === getStoredLanguage() && session.pages.length > 1;
+    setSavedSession(resumable ? session : null);
+  }, [initialPage]);
+
+  // Keep the saved stack until it's been read and the prompt for it answered
+  useReadingHistory(feed, { language, feedMode, featuredDate, holdSession: savedSession !== null });
+
+  // Source of the active tab or open collection, used when leaving topic mode
+  const rootSource = useCallback(() => {
+    if (collection) return collectionSource(collection);
+    return tabSource(feedMode, featuredDate);
+  }, [collection, feedMode, featuredDate]);
+
   // Listen for language changes from the Layout component
   useEffect(() => {
     const handleLanguageChange = (event) => {
       if (event.detail && event.detail.language) {
+        // A topic trail doesn't carry over to another language wiki
+        setTopicTrail([]);
+        reset(rootSource());
+        // useFeed clears the stack when the language changes
         setLanguage(event.detail.language);
-        // Reset and load new pages in the selected language
-        setWikiPages([]);
-        setCurrentIndex(0);
-        loadWikiPages(event.detail.language);
       }
     };
-    
+
     window.addEventListener('languageChange', handleLanguageChange);
     return () => window.removeEventListener('languageChange', handleLanguageChange);
-  }, []);
-  
-  // Load more pages when we're getting low
-  useEffect(() => {
-    // If we're getting close to the end of our loaded pages, fetch more
-    if (wikiPages.length - currentIndex < 3 && !loading) {
-      loadWikiPages();
-    }
-  }, [currentIndex, wikiPages.length]);
-  
-  // Fetch wiki pages with better error handling
-  const loadWikiPages = useCallback(async () => {
-    if (loading) return;
-  
-    setLoading(true);
-    setLoadError(null);
-  
-    try {
-      // Fetch more pages than we need in case some don't have images
-      const newPages = await fetchRandomWikiPages(language, 5);
-  
-      // Filter pages to include only those with a valid thumbnail image
-      const pagesWithImages = newPages.filter(
-        (page) => page.thumbnail && page.thumbnail.source
-      );
-  
-      if (pagesWithImages.length === 0) {
-        throw new Error("Failed to load new pages with images");
-      }
-  
-      setWikiPages((currentPages) => [...currentPages, ...pagesWithImages]);
-    } catch (error) {
-      console.error("Error loading wiki pages:", error);
-      setLoadError(error.message);
-  
-      // Try again after a delay
-      setTimeout(() => {
-        setLoading(false);
-        loadWikiPages();
-      }, 3000);
-    } finally {
-      setLoading(false);
-    }
-  }, [loading, language]);
-  
-  
-  // Initial load
+  }, [reset, rootSource]);
+
+  // Changing the topic filters restarts the random feed; elsewhere they apply when it's next opened
   useEffect(() => {
-    if (wikiPages.length === 0) {
-      loadWikiPages();
-    }
-  }, [loadWikiPages, wikiPages.length]);
-  
-  // Handle touch events
-  const handleTouchStart = (e) => {
-    setIsDragging(true);
-    setStartY(e.touches[0].clientY);
+    const handleSettingsChange = () => {
+      if (feedMode !== 'random' || collection || topicTrail.length > 0) return;
+
+      const next = tabSource('random');
+      if (next.id !== source.id) reset(next);
+    };
+
+    window.addEventListener('settingsChanged', handleSettingsChange);
+    return () => window.removeEventListener('settingsChanged', handleSettingsChange);
+  }, [feedMode, collection, topicTrail, source, reset]);
+
+  // "More like this" on a card starts (or extends) the topic trail
+  const handleMoreLikeThis = (page) => {
+    const last = topicTrail[topicTrail.length - 1];
+    if (last && last.pageid === page.pageid) return;
+
+    setTopicTrail([...topicTrail, page]);
+    reset(topicSource(page), { keepCurrent: true });
   };
-  
-  const handleTouchMove = (e) => {
-    if (!isDragging) return;
-    
-    const deltaY = startY - e.touches[0].clientY;
-    const newOffset = (deltaY / window.innerHeight) * 100;
-    setDragOffset(newOffset);
+
+  // Jump back to an earlier article in the trail
+  const handleTrailSelect = (index) => {
+    setTopicTrail(topicTrail.slice(0, index + 1));
+    reset(topicSource(topicTrail[index]), { keepCurrent: true });
   };
-  
-  // Handle mouse events for the container
-  const handleMouseDown = (e) => {
-    e.preventDefault();
-    setIsDragging(true);
-    setStartY(e.clientY);
+
+  // Leave topic mode and continue with the tab's feed
+  const handleTrailExit = () => {
+    setTopicTrail([]);
+    reset(rootSource(), { keepCurrent: true });
   };
-  
-  // Complete a swipe/drag action
-  const finishSwipe = () => {
-    if (!isDragging) return;
-    
-    // Determine if we should change pages
-    const threshold = 15;
-    
-    if (Math.abs(dragOffset) > threshold) {
-      if (dragOffset > 0) {
-        // Swiped UP, go to NEXT page
-        if (currentIndex < wikiPages.length - 1) {
-          setCurrentIndex(prev => prev + 1);
-        } else {
-          // At the end, load more
-          loadWikiPages();
-        }
-      } else {
-        // Swiped DOWN, go to PREVIOUS page
-        if (currentIndex > 0) {
-          setCurrentIndex(prev => prev - 1);
-        }
-      }
-    }
-    
-    // Reset drag state
-    setDragOffset(0);
-    setIsDragging(false);
+
+  // Switching tabs or dates starts a fresh stack
+  const handleModeChange = (mode) => {
+    if (mode === feedMode && topicTrail.length === 0 && !collection) return;
+    setFeedMode(mode);
+    setCollection(null);
+    setTopicTrail([]);
+    reset(tabSource(mode, featuredDate));
+  };
+
+  const handleDateChange = (date) => {
+    setFeaturedDate(date);
+    setTopicTrail([]);
+    reset(featuredSource(date));
   };
-  
-  // Add global mouse event listeners
+
+  // Collections open from the sidebar as their own stack
   useEffect(() => {
-    // Handle mouse move anywhere on screen while dragging
-    const handleGlobalMouseMove = (e) => {
-      if (isDragging) {
-        const deltaY = startY - e.clientY;
-        const newOffset = (deltaY / window.innerHeight) * 100;
-        setDragOffset(newOffset);
-      }
+    const handleOpenCollection = (event) => {
+      const opened = event.detail && getCollection(event.detail.collectionId);
+      if (!opened) return;
+
+      setCollection(opened);
+      setTopicTrail([]);
+      reset(collectionSource(opened));
     };
-    
-    // Handle mouse up anywhere on screen
-    const handleGlobalMouseUp = () => {
-      if (isDragging) {
-        finishSwipe();
+
+    window.addEventListener('openCollection', handleOpenCollection);
+    return () => window.removeEventListener('openCollection', handleOpenCollection);
+  }, [reset]);
+
+  const handleCloseCollection = () => {
+    setCollection(null);
+    setTopicTrail([]);
+    reset(tabSource(feedMode, featuredDate));
+  };
+
+  // Open an article as the current card, followed by related pages
+  const openArticle = useCallback(async (title, articleLanguage = language) => {
+    const summary = await getPageSummary(title, articleLanguage);
+    if (!summary || !summary.pageid) {
+      console.error(`Could not open "${title}"`);
+      return;
+    }
+
+    const card = { ...summary, language: articleLanguage };
+    setTopicTrail([card]);
+    reset(topicSource(card), { keepCurrent: true, insert: [card] });
+  }, [language, reset]);
+
+  // Articles picked in search open the same way
+  useEffect(() => {
+    const handleOpenArticle = (event) => {
+      if (event.detail && event.detail.title) {
+        openArticle(event.detail.title, event.detail.language);
       }
     };
-    
-    // Add the event listeners
-    window.addEventListener('mousemove', handleGlobalMouseMove);
-    window.addEventListener('mouseup', handleGlobalMouseUp);
-    
-    // Clean up
-    return () => {
-      window.removeEventListener('mousemove', handleGlobalMouseMove);
-      window.removeEventListener('mouseup', handleGlobalMouseUp);
-    };
-  }, [isDragging, startY, finishSwipe]);
-  
+
+    window.addEventListener('openArticle', handleOpenArticle);
+    return () => window.removeEventListener('openArticle', handleOpenArticle);
+  }, [openArticle]);
+
+  // Links shared into the app arrive as ?article=Title&lang=xx (see pages/share.js)
+  useEffect(() => {
+    if (!router.isReady || !router.query.article) return;
+
+    const { article, lang } = router.query;
+    openArticle(article, isSupportedLanguage(lang) ? lang : language);
+    router.replace('/', undefined, { shallow: true });
+  }, [router, openArticle, language]);
+
+  // Continue the previous visit's stack from the tab it came from
+  const handleResume = () => {
+    const { pages, index, feedMode: mode, featuredDate: date } = savedSession;
+    const resumedDate = date || new Date();
+
+    setSavedSession(null);
+    const resumedMode = TAB_LABELS[mode] ? mode : 'random';
+    setFeedMode(resumedMode);
+    setFeaturedDate(resumedDate);
+    setCollection(null);
+    setTopicTrail([]);
+    reset(tabSource(resumedMode, resumedDate), { insert: pages, index });
+  };
+
+  const handleDismissResume = () => {
+    setSavedSession(null);
+    clearSavedSession();
+  };
+
+  const closeReader = useCallback(() => setReaderPage(null), []);
+
+  // Links followed in the reader become new cards; closing the reader leaves the stack untouched
+  const handleReaderOpenArticle = (title, articleLanguage) => {
+    setReaderPage(null);
+    openArticle(title, articleLanguage);
+  };
+
   return (
-    <div className="h-screen w-screen bg-black overflow-hidden">
-      <div 
-        className="relative h-full w-full cursor-grab active:cursor-grabbing select-none"
-        onTouchStart={handleTouchStart}
-        onTouchMove={handleTouchMove}
-        onTouchEnd={finishSwipe}
-        onMouseDown={handleMouseDown}
-      >
-        {wikiPages.length === 0 ? (
-          <LoadingSpinner />
-        ) : (
-          wikiPages.map((page, index) => {
-            // Position of this card (100vh = full screen height)
-            const position = (index - currentIndex) * 100 - dragOffset;
-            
-            // Determine if this card should be visible and preloaded
-            const isVisible = Math.abs(position) < 200;
-            const shouldPreload = Math.abs(index - currentIndex) <= 3;
-            
-            // Track which pages have been preloaded
-            if (shouldPreload && !preloadedPages.current.has(page.pageid)) {
-              preloadedPages.current.add(page.pageid);
-            }
-            
-            // Only render visible cards
-            return isVisible ? (
-              <WikiCard 
-                key={page.pageid} 
-                page={page} 
-                isActive={index === currentIndex && !isDragging}
-                preload={shouldPreload}
-                style={{
-                  transform: `translateY(${position}vh)`,
-                  transition: isDragging ? 'none' : 'transform 0.6s cubic-bezier(0.23, 1, 0.32, 1)',
-                  zIndex: 100 - Math.abs(index - currentIndex),
-                }}
-              />
-            ) : null;
-          })
-        )}
-        
-        {/* Loading indicator for when more content is being fetched */}
-        {loading && wikiPages.length > 0 && (
-          <div className="absolute bottom-4 right-4 z-40">
-            <div className="animate-spin rounded-full h-6 w-6 border-t-2 border-b-2 border-white"></div>
-          </div>
-        )}
-        
-        {/* Error message */}
-        {loadError && (
-          <div className="absolute bottom-4 left-4 right-4 bg-red-500 text-white p-2 rounded-lg z-50 text-center">
-            Error: {loadError}. Retrying...
-          </div>
-        )}
-      </div>
-    </div>
+    <>
+      {/* For You / Random / Today tabs */}
+      <FeedTabs
+        mode={feedMode}
+        onModeChange={handleModeChange}
+        date={featuredDate}
+        onDateChange={handleDateChange}
+        showDatePicker={topicTrail.length === 0}
+        collectionName={collection && collection.name}
+        onCloseCollection={handleCloseCollection}
+      />
+
+      {/* Breadcrumbs back out of the rabbit hole */}
+      <TopicBreadcrumbs
+        trail={topicTrail}
+        rootLabel={collection ? collection.name : TAB_LABELS[feedMode]}
+        onSelect={handleTrailSelect}
+        onExit={handleTrailExit}
+      />
+
+      <WikiBrowser
+        feed={feed}
+        onMoreLikeThis={handleMoreLikeThis}
+        onReadMore={setReaderPage}
+      />
+
+      <ResumePrompt
+        session={savedSession}
+        onResume={handleResume}
+        onDismiss={handleDismissResume}
+      />
+
+      {/* Full article reader, outside the swipe area so scrolling it doesn't move the stack */}
+      <ReaderPanel
+        page={readerPage}
+        onClose={closeReader}
+        onOpenArticle={handleReaderOpenArticle}
+      />
+    </>
   );
-}
\ No newline at end of file
+}
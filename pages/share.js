@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { parseWikipediaUrl } from '../lib/share';
+
+// Web Share Target from the manifest: a Wikipedia link shared into the installed app opens as a card
+export default function Share() {
+  const router = useRouter();
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    // Apps put the link in different fields, often inside the text
+    const { url, text, title } = router.query;
+    const article = [url, text, title].map(parseWikipediaUrl).find(Boolean);
+    if (article) {
+      router.replace({ pathname: '/', query: { article: article.title, lang: article.language } });
+    } else {
+      setFailed(true);
+    }
+  }, [router]);
+
+  return (
+    <div className="h-screen w-full flex flex-col items-center justify-center bg-black text-white p-6 text-center">
+      {failed ? (
+        <>
+          <p className="mb-4">That doesn&apos;t look like a link to a Wikipedia article in a language WikiTok offers.</p>
+          <Link href="/" className="text-wikitok-primary">Go to the feed</Link>
+        </>
+      ) : (
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-white" aria-label="Opening article"></div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+// WikiTok service worker
+//
+// Caches the app shell and the build chunks it loads so the app opens offline, and keeps recently fetched Wikipedia summaries
+// and images so cards already seen still render. Offline cards beyond that come from the card
+// packs in IndexedDB (lib/cardPacks.js), not from here. Bump CACHE_VERSION to drop old caches.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `wikitok-shell-${CACHE_VERSION}`;
+const SUMMARY_CACHE = `wikitok-summaries-${CACHE_VERSION}`;
+const IMAGE_CACHE = `wikitok-images-${CACHE_VERSION}`;
+const CACHES = [SHELL_CACHE, SUMMARY_CACHE, IMAGE_CACHE];
+
+// Entries kept per runtime cache, oldest dropped first
+const MAX_SUMMARIES = 300;
+const MAX_IMAGES = 200;
+
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+// Scripts and styles of the shell page, whose names change with every build
+const SHELL_ASSET_PATTERN = /(?:src|href)="(\/_next\/static\/[^"]+)"/g;
+
+// Precache the _next/static chunks the cached shell page loads, so it can start offline
+async function cacheShellAssets(cache) {
+  const shell = await cache.match('/');
+  if (!shell) return;
+
+  const html = await shell.text();
+  const urls = [...html.matchAll(SHELL_ASSET_PATTERN)].map(match => match[1].replace(/&amp;/g, '&'));
+  await cache.addAll([...new Set(urls)]);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS).then(() => cacheShellAssets(cache)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith('wikitok-') && !CACHES.includes(key)).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+// Fresh data when online, the last copy when not
+async function networkFirst(request, cacheName, maxEntries, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      if (maxEntries) trimCache(cacheName, maxEntries);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// For responses that never change at the same URL
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Images are cross-origin without CORS, so their responses are opaque and can't be checked
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    if (maxEntries) trimCache(cacheName, maxEntries);
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    // The feed route hands out each card once, so its responses can't be replayed
+    if (url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+      event.respondWith(networkFirst(request, SHELL_CACHE, null, '/'));
+    } else if (url.pathname.startsWith('/_next/static/')) {
+      event.respondWith(cacheFirst(request, SHELL_CACHE));
+    } else {
+      event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+    return;
+  }
+
+  if (url.hostname === 'upload.wikimedia.org') {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGES));
+  } else if (url.hostname.endsWith('.wikipedia.org')) {
+    event.respondWith(networkFirst(request, SUMMARY_CACHE, MAX_SUMMARIES));
+  }
+});
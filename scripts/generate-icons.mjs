@@ -0,0 +1,141 @@
+// Generate the app icons in public/icons from code, so they can be tweaked without an image editor.
+// Run with `npm run icons` and commit the PNGs.
+import { deflateSync } from 'zlib';
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const OUTPUT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'public', 'icons');
+
+// Colors from styles/globals.css
+const DARK = [0x12, 0x12, 0x12];
+const PRIMARY = [0xff, 0x4d, 0x4d];
+const WHITE = [0xff, 0xff, 0xff];
+
+// Samples per pixel side, for antialiased edges
+const SUPERSAMPLE = 4;
+
+const ICONS = [
+  { file: 'icon-192.png', size: 192, maskable: false },
+  { file: 'icon-512.png', size: 512, maskable: false },
+  { file: 'icon-maskable-512.png', size: 512, maskable: true },
+  { file: 'apple-touch-icon.png', size: 180, maskable: true }
+];
+
+// The letter W as strokes in a unit square
+const W_STROKES = [
+  [[0.2, 0.3], [0.35, 0.72]],
+  [[0.35, 0.72], [0.5, 0.42]],
+  [[0.5, 0.42], [0.65, 0.72]],
+  [[0.65, 0.72], [0.8, 0.3]]
+];
+const STROKE_WIDTH = 0.085;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// RGBA pixels to a PNG file
+function encodePng(size, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // RGBA
+  // Every row starts with filter type 0
+  const raw = Buffer.alloc(size * (size * 4 + 1));
+  for (let y = 0; y < size; y++) {
+    pixels.copy(raw, y * (size * 4 + 1) + 1, y * size * 4, (y + 1) * size * 4);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function distanceToSegment(x, y, [[x1, y1], [x2, y2]]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const t = Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / (dx * dx + dy * dy)));
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+function insideRoundedSquare(x, y, inset, radius) {
+  const cx = Math.max(inset + radius, Math.min(1 - inset - radius, x));
+  const cy = Math.max(inset + radius, Math.min(1 - inset - radius, y));
+  return Math.hypot(x - cx, y - cy) <= radius;
+}
+
+// Color of a point in the unit square, or null where the icon is transparent
+function shade(x, y, maskable) {
+  // Maskable icons are cropped by the platform, so they fill the square and keep the mark in the middle 80%
+  if (!maskable && !insideRoundedSquare(x, y, 0, 0.22)) return null;
+
+  const scale = maskable ? 0.8 : 1;
+  const u = (x - 0.5) / scale + 0.5;
+  const v = (y - 0.5) / scale + 0.5;
+
+  if (W_STROKES.some(stroke => distanceToSegment(u, v, stroke) <= STROKE_WIDTH / 2)) return WHITE;
+  if (insideRoundedSquare(u, v, 0.1, 0.16)) return PRIMARY;
+  return DARK;
+}
+
+function render(size, maskable) {
+  const pixels = Buffer.alloc(size * size * 4);
+  const samples = SUPERSAMPLE * SUPERSAMPLE;
+
+  for (let py = 0; py < size; py++) {
+    for (let px = 0; px < size; px++) {
+      const total = [0, 0, 0, 0];
+      for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+        for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+          const color = shade((px + (sx + 0.5) / SUPERSAMPLE) / size, (py + (sy + 0.5) / SUPERSAMPLE) / size, maskable);
+          if (!color) continue;
+          total[0] += color[0];
+          total[1] += color[1];
+          total[2] += color[2];
+          total[3] += 255;
+        }
+      }
+
+      const offset = (py * size + px) * 4;
+      const covered = total[3] / 255;
+      // Average the color over the covered samples only, so edges don't darken
+      pixels[offset] = covered ? Math.round(total[0] / covered) : 0;
+      pixels[offset + 1] = covered ? Math.round(total[1] / covered) : 0;
+      pixels[offset + 2] = covered ? Math.round(total[2] / covered) : 0;
+      pixels[offset + 3] = Math.round(total[3] / samples);
+    }
+  }
+  return pixels;
+}
+
+mkdirSync(OUTPUT_DIR, { recursive: true });
+for (const { file, size, maskable } of ICONS) {
+  writeFileSync(join(OUTPUT_DIR, file), encodePng(size, render(size, maskable)));
+  console.log(`Wrote public/icons/${file}`);
+}
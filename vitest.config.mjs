@@ -0,0 +1,15 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  // Components and pages use JSX in .js files
+  esbuild: {
+    loader: 'jsx',
+    include: /\.js$/,
+    exclude: [],
+    jsx: 'automatic'
+  },
+  test: {
+    include: ['__tests__/**/*.test.js'],
+    environment: 'node'
+  }
+});